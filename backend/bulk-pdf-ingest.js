@@ -21,15 +21,14 @@ import fg from 'fast-glob';
 import pLimit from 'p-limit';
 import pRetry from 'p-retry';
 import Database from 'better-sqlite3';
-import { QdrantVectorStore } from '@langchain/community/vectorstores/qdrant';
-import { GoogleGenerativeAIEmbeddings } from '@langchain/google-genai';
+import { createEmbeddings } from './src/services/embeddingProviders.js';
+import { AliasAwareQdrantVectorStore } from './src/services/qdrantCollections.js';
 
 // Configuration from environment variables
 const {
   QDRANT_URL = 'http://localhost:6333',
   QDRANT_API_KEY = '',
   QDRANT_COLLECTION = 'documents',
-  GOOGLE_API_KEY,
   BULK_CONCURRENCY = '6',
   BULK_EMBED_BATCH = '128',
   BULK_UPSERT_BATCH = '256',
@@ -37,9 +36,12 @@ const {
   BULK_CHUNK_OVERLAP = '200'
 } = process.env;
 
-// Validate required environment variables
-if (!GOOGLE_API_KEY) {
-  console.error('❌ GOOGLE_API_KEY is required in .env file');
+// Initialize the configured embedding provider (EMBEDDING_PROVIDER, default gemini)
+let embeddings;
+try {
+  embeddings = createEmbeddings();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
   process.exit(1);
 }
 
@@ -50,14 +52,8 @@ const upsertBatchSize = Number(BULK_UPSERT_BATCH);
 const chunkSize = Number(BULK_CHUNK_SIZE);
 const chunkOverlap = Number(BULK_CHUNK_OVERLAP);
 
-// Initialize Google Gemini embeddings
-const embeddings = new GoogleGenerativeAIEmbeddings({
-  apiKey: GOOGLE_API_KEY,
-  model: 'embedding-001',
-});
-
 // Initialize Qdrant vector store
-const vectorStore = new QdrantVectorStore(embeddings, {
+const vectorStore = new AliasAwareQdrantVectorStore(embeddings, {
   url: QDRANT_URL,
   collectionName: QDRANT_COLLECTION,
 });
@@ -157,7 +153,7 @@ async function embedBatch(texts) {
   try {
     log(`Embedding batch of ${texts.length} texts`);
 
-    // Use Google Gemini embeddings with retry logic
+    // Use the configured embedding provider with retry logic
     const embeddings_result = await pRetry(
       () => embeddings.embedDocuments(texts),
       {
@@ -334,6 +330,7 @@ async function main() {
   try {
     log('🚀 Starting bulk PDF ingestion...');
     log(`📁 PDF Directory: ${pdfDir}`);
+    log(`🧠 Embeddings: ${embeddings.provider} (${embeddings.model})`);
     log(`⚙️  Concurrency: ${concurrency}`);
     log(`📦 Embed Batch Size: ${embedBatchSize}`);
     log(`💾 Upsert Batch Size: ${upsertBatchSize}`);
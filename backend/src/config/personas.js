@@ -0,0 +1,75 @@
+/**
+ * Persona Registry
+ *
+ * Every answering persona the backend can serve. A request picks one with the `persona`
+ * field; requests without it get DEFAULT_PERSONA (or `physician`). To add a persona, write
+ * its prompts in src/prompts/ and register them here.
+ */
+
+import * as PhysicianPrompts from '../prompts/systemPrompt.js';
+import * as PhysicianPhilosopherPrompts from '../prompts/JordanPeterson.js';
+import * as CodingTutorPrompts from '../prompts/HiteshChoudhary.js';
+
+const GENERIC_ERROR_MESSAGE = 'Something went wrong while answering. Please try again.';
+
+export const PERSONAS = {
+    physician: {
+        id: 'physician',
+        name: 'Professor of Medicine',
+        description: 'Academic, evidence-based clinical educator addressing fellow physicians',
+        systemPrompt: PhysicianPrompts.SYSTEM_PROMPT,
+        queryPrompt: PhysicianPrompts.QUERY_PROMPT,
+        temperature: 0.3,
+        errorMessages: {
+            noContext: 'The knowledge base does not contain evidence on this question. Add the relevant guideline or review article and ask again.',
+            generic: GENERIC_ERROR_MESSAGE,
+        },
+    },
+    'physician-philosopher': {
+        id: 'physician-philosopher',
+        name: 'Physician-Philosopher',
+        description: 'Clinical academic who frames medicine through order, chaos and responsibility',
+        systemPrompt: PhysicianPhilosopherPrompts.SYSTEM_PROMPT,
+        queryPrompt: PhysicianPhilosopherPrompts.QUERY_PROMPT,
+        temperature: 0.6,
+        errorMessages: {
+            noContext: 'Well, look, the documents you have given me are silent on this, and proceeding without information is a dangerous thing. Add the relevant material and we can confront the question properly.',
+            generic: GENERIC_ERROR_MESSAGE,
+        },
+    },
+    'coding-tutor': {
+        id: 'coding-tutor',
+        name: 'Hitesh Choudhary',
+        description: 'Hinglish-speaking developer and educator with a chai-powered teaching style',
+        systemPrompt: CodingTutorPrompts.SYSTEM_PROMPT,
+        queryPrompt: CodingTutorPrompts.QUERY_PROMPT,
+        temperature: 0.7,
+        errorMessages: {
+            noContext: 'Haan ji, ye information mere knowledge base mein nahi hai. Koi aur document add kar sakte hain.',
+            generic: 'Arre yaar, kuch gadbad ho gayi. Ek baar phir try karo.',
+        },
+    },
+};
+
+export const DEFAULT_PERSONA_ID = PERSONAS[process.env.DEFAULT_PERSONA] ? process.env.DEFAULT_PERSONA : 'physician';
+
+// Returns the persona for `id`, the default persona when `id` is empty, or null for unknown ids
+export function getPersona(id) {
+    if (id === undefined || id === null || id === '') {
+        return PERSONAS[DEFAULT_PERSONA_ID];
+    }
+    return PERSONAS[id] || null;
+}
+
+// Public description of the registry (prompts stay on the server)
+export function listPersonas() {
+    return Object.values(PERSONAS).map(({ id, name, description, temperature }) => ({
+        id,
+        name,
+        description,
+        temperature,
+        isDefault: id === DEFAULT_PERSONA_ID,
+    }));
+}
+
+export default PERSONAS;
@@ -1,77 +1,52 @@
 /**
- * Prompt Configuration for Personal NotebookLM - Hitesh Choudhary Edition
- * 
- * This file allows you to easily customize the AI assistant's behavior
- * based on Hitesh Choudhary's unique teaching style and personality.
+ * Prompt Configuration for Personal NotebookLM
+ *
+ * Model settings shared by every persona. The persona itself (prompts, temperature,
+ * error messages) comes from the registry in personas.js and is chosen per request.
  */
 
-import { SYSTEM_PROMPT, QUERY_PROMPT, PROMPTS } from '../prompts/systemPrompt.js';
+import { getPersona } from './personas.js';
 
-// Configuration object for Hitesh Choudhary's persona
+// Model settings used unless the environment, a workspace, a persona or a request overrides them
 export const PROMPT_CONFIG = {
-    // Model settings
-    model: 'gemini-1.5-flash',
-    temperature: 0.7, // Slightly higher for more personality
-
-    // Hitesh's persona customization
-    assistantName: 'Hitesh Choudhary',
-    assistantRole: 'Seasoned Developer & Educator',
-
-    // Hitesh's communication style preferences
-    responseStyle: {
-        tone: 'friendly', // Hitesh's warm, approachable tone
-        detailLevel: 'comprehensive', // Detailed explanations with guidance
-        structurePreference: 'conversational', // Natural, flowing conversation
-        language: 'hinglish', // Hindi-English blend
-    },
-
-    // Hitesh's teaching approach
-    teachingStyle: {
-        approach: 'no-spoon-feeding', // Guide rather than give complete solutions
-        emphasis: 'project-based-learning', // Practical, hands-on approach
-        motivation: 'encouraging', // Supportive and motivating
-        analogies: 'cultural', // Indian cultural references and chai analogies
-    },
-
-    // Special instructions for different content types
-    contentTypeInstructions: {
-        technical: 'Explain concepts step-by-step, encourage experimentation',
-        academic: 'Make complex topics relatable with cultural analogies',
-        business: 'Share practical insights from real-world experience',
-        creative: 'Encourage creative problem-solving and innovation',
-    },
+    provider: 'gemini',
+    temperature: 0.7,
+};
 
-    // Error handling in Hitesh's style
-    errorHandling: {
-        noContextMessage: 'Haan ji, ye information mere knowledge base mein nahi hai. Koi aur document add kar sakte hain.',
-        partialContextMessage: 'Thoda information hai, lekin complete nahi. Aur details chahiye toh batao.',
-        suggestAlternatives: true,
-    },
+// Chat model defaults from the environment
+export function chatConfigFromEnv(env = process.env) {
+    let responses;
+    if (env.CHAT_FAKE_RESPONSES) {
+        try {
+            responses = JSON.parse(env.CHAT_FAKE_RESPONSES);
+        } catch {
+            responses = [env.CHAT_FAKE_RESPONSES];
+        }
+    }
 
-    // Hitesh's signature phrases and motifs
-    signatureElements: {
-        greeting: 'Haan ji, kaisa chal raha hai?',
-        chaiMotif: true,
-        hinglishStyle: true,
-        encouragingPhrases: ['samjha?', 'try karo', 'chai ke saath samjhate hain'],
-    },
-};
+    return {
+        provider: env.CHAT_PROVIDER || PROMPT_CONFIG.provider,
+        model: env.CHAT_MODEL || undefined,
+        baseUrl: env.CHAT_BASE_URL || undefined,
+        apiKey: env.CHAT_API_KEY || undefined,
+        maxTokens: env.CHAT_MAX_TOKENS ? Number(env.CHAT_MAX_TOKENS) : undefined,
+        responses: Array.isArray(responses) ? responses.map(String) : undefined,
+    };
+}
 
-// Function to get customized system prompt for Hitesh
-export function getCustomizedSystemPrompt(customizations = {}) {
-    let prompt = SYSTEM_PROMPT;
+// Function to get the persona's system prompt, optionally renamed or with tone guidelines
+export function getCustomizedSystemPrompt(persona = getPersona(), customizations = {}) {
+    let prompt = persona.systemPrompt;
 
-    // Apply Hitesh-specific customizations
     if (customizations.assistantName) {
-        prompt = prompt.replace(/Hitesh Choudhary/g, customizations.assistantName);
+        prompt = prompt.split(persona.name).join(customizations.assistantName);
     }
 
     if (customizations.tone) {
-        // Add tone-specific instructions for Hitesh's style
         const toneInstructions = {
-            friendly: 'Maintain Hitesh\'s warm, approachable Hinglish communication style.',
-            casual: 'Use conversational Hinglish while remaining educational and supportive.',
-            formal: 'Keep Hitesh\'s personality while adapting to more formal contexts.',
+            friendly: 'Keep a warm, approachable communication style.',
+            casual: 'Use a conversational style while remaining educational and supportive.',
+            formal: 'Keep the persona\'s character while adapting to more formal contexts.',
         };
 
         if (toneInstructions[customizations.tone]) {
@@ -82,15 +57,24 @@ export function getCustomizedSystemPrompt(customizations = {}) {
     return prompt;
 }
 
-// Function to get model configuration for Hitesh's persona
-export function getModelConfig(customizations = {}) {
+// Function to get the chat model configuration for a persona. `customizations` holds workspace
+// and request settings (provider, model, baseUrl, temperature, maxTokens); the environment's
+// model, endpoint and key only apply while its provider is the one in use.
+export function getModelConfig(persona = getPersona(), customizations = {}) {
+    const env = chatConfigFromEnv();
+    const provider = customizations.provider || env.provider;
+    const inherited = provider === env.provider ? env : {};
+
     return {
-        apiKey: process.env.GOOGLE_API_KEY,
-        model: customizations.model || PROMPT_CONFIG.model,
-        temperature: customizations.temperature || PROMPT_CONFIG.temperature,
-        systemInstruction: getCustomizedSystemPrompt(customizations),
+        provider,
+        model: customizations.model || inherited.model,
+        baseUrl: customizations.baseUrl || inherited.baseUrl,
+        apiKey: inherited.apiKey,
+        temperature: customizations.temperature ?? persona.temperature ?? PROMPT_CONFIG.temperature,
+        maxTokens: customizations.maxTokens ?? inherited.maxTokens,
+        responses: inherited.responses,
     };
 }
 
 // Export default configuration
-export default PROMPT_CONFIG; 
\ No newline at end of file
+export default PROMPT_CONFIG;
@@ -1,8 +1,14 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { once } from 'node:events';
 import express from 'express';
 import multer from 'multer';
 import dotenv from 'dotenv';
 import cors from 'cors';
 import logger from './config/logger.js';
+import { getPersona, listPersonas, DEFAULT_PERSONA_ID } from './config/personas.js';
+import { validateChatConfig } from './services/chatModelProviders.js';
+import { validateCrawlOptions } from './services/websiteCrawler.js';
 
 // Load environment variables
 dotenv.config();
@@ -18,9 +24,134 @@ app.use(express.json());
 // Configure file upload
 const upload = multer({ storage: multer.memoryStorage() });
 
+// Collection snapshots can be far larger than documents, so they go straight to the job's upload
+// directory on disk (see JobQueue.createUploadDirectory) and are capped at SNAPSHOT_MAX_MB
+const SNAPSHOT_MAX_MB = Number(process.env.SNAPSHOT_MAX_MB || '2048');
+const snapshotUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      req.uploadDirectory = jobQueue.createUploadDirectory();
+      cb(null, req.uploadDirectory);
+    }
+  }),
+  limits: { fileSize: SNAPSHOT_MAX_MB * 1024 * 1024 }
+}).single('snapshot');
+
+function receiveSnapshot(req, res, next) {
+  snapshotUpload(req, res, error => {
+    if (!error) return next();
+    if (req.uploadDirectory) fs.rmSync(req.uploadDirectory, { recursive: true, force: true });
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Snapshot is larger than ${SNAPSHOT_MAX_MB} MB (SNAPSHOT_MAX_MB)` });
+    }
+    next(error);
+  });
+}
+
+// Source filters arrive as arrays of source names; anything else is a client error
+function validateSourceLists(excludedSources, includedSources) {
+  for (const [name, value] of [['excludedSources', excludedSources], ['includedSources', includedSources]]) {
+    if (value === undefined || value === null) continue;
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      return `${name} must be an array of source names`;
+    }
+  }
+  return null;
+}
+
+// Bulk include/exclude globs: optional arrays of patterns relative to the directory
+function validateGlobPatterns(include, exclude) {
+  for (const [name, value] of [['include', include], ['exclude', exclude]]) {
+    if (value === undefined || value === null) continue;
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+      return `${name} must be an array of glob patterns`;
+    }
+  }
+  return null;
+}
+
+// Hybrid fusion weight: optional number between 0 (dense only) and 1 (keyword only)
+function validateLexicalWeight(lexicalWeight) {
+  if (lexicalWeight === undefined || lexicalWeight === null) return null;
+  const weight = Number(lexicalWeight);
+  if (!Number.isFinite(weight) || weight < 0 || weight > 1) {
+    return 'lexicalWeight must be a number between 0 and 1';
+  }
+  return null;
+}
+
+// Reranking: `rerank` is a boolean or a reranker type, `rerankCandidates` how many chunks to rescore
+function validateRerankOptions(rerank, rerankCandidates) {
+  if (rerank !== undefined && rerank !== null && typeof rerank !== 'boolean' && !['llm', 'local', 'none'].includes(rerank)) {
+    return 'rerank must be true, false, "llm", "local" or "none"';
+  }
+  if (rerankCandidates !== undefined && rerankCandidates !== null) {
+    const candidates = Number(rerankCandidates);
+    if (!Number.isInteger(candidates) || candidates < 1 || candidates > 100) {
+      return 'rerankCandidates must be an integer between 1 and 100';
+    }
+  }
+  return null;
+}
+
+// Condense-question rewriting is on by default; `rewriteQuery: false` turns it off for one request
+function validateRewriteQuery(rewriteQuery) {
+  if (rewriteQuery !== undefined && rewriteQuery !== null && typeof rewriteQuery !== 'boolean') {
+    return 'rewriteQuery must be a boolean';
+  }
+  return null;
+}
+
+// Persona must be one of the registered ids (see GET /api/personas)
+function validatePersona(persona) {
+  if (persona === undefined || persona === null) return null;
+  if (typeof persona !== 'string' || !getPersona(persona)) {
+    return `Unknown persona "${persona}". Available personas: ${listPersonas().map(p => p.id).join(', ')}`;
+  }
+  return null;
+}
+
+// Per-request chat model settings (provider, model, temperature, maxTokens). Endpoints and
+// API keys are configured on the server only.
+function parseChatOptions({ provider, model, temperature, maxTokens }) {
+  return {
+    provider,
+    model,
+    temperature: temperature === undefined || temperature === null ? undefined : Number(temperature),
+    maxTokens: maxTokens === undefined || maxTokens === null ? undefined : parseInt(maxTokens)
+  };
+}
+
+// Workspace must exist (see GET /api/workspaces); omitting it selects the default workspace
+function validateWorkspace(workspace) {
+  if (workspace === undefined || workspace === null || workspace === '') return null;
+  if (typeof workspace !== 'string' || !workspaceStore.get(workspace)) {
+    return `Unknown workspace "${workspace}". Available workspaces: ${workspaceStore.list().map(w => w.name).join(', ')}`;
+  }
+  return null;
+}
+
+// Ingest routes queue a job. By default they wait for it and answer with its result as before;
+// with ?async=true they answer 202 with the job id at once (poll GET /api/jobs/:id).
+async function sendJobResult(res, job, { async = false } = {}) {
+  if (async) {
+    return res.status(202).json({ jobId: job.id, operationId: job.opId, status: job.status });
+  }
+  const finished = await jobQueue.waitFor(job.id);
+  if (finished.status === 'completed') {
+    return res.status(201).json({ ...finished.result, jobId: job.id });
+  }
+  if (finished.status === 'cancelled') {
+    return res.status(409).json({ error: `Job ${job.id} was cancelled`, jobId: job.id });
+  }
+  throw new Error(finished.error);
+}
+
 // Initialize RAG service
 let ragService;
 let bulkPdfService;
+let workspaceStore;
+let jobQueue;
 
 async function initializeApp() {
   try {
@@ -28,13 +159,71 @@ async function initializeApp() {
     const ragModule = await import('./services/ragService.js');
     ragService = ragModule.default;
 
+    // Workspace registry (collection, chunking and default persona per workspace)
+    const workspaceModule = await import('./services/workspaceStore.js');
+    workspaceStore = workspaceModule.default;
+    const { DEFAULT_WORKSPACE } = workspaceModule;
+
     // Import Bulk PDF service
     const bulkPdfModule = await import('./services/bulkPdfService.js');
     bulkPdfService = new bulkPdfModule.default(ragService);
 
     // Progress SSE
     const progressModule = await import('./services/progress.js');
-    const { sseHandler, emitProgress } = progressModule;
+    const { sseHandler, emitProgress, openEventStream, writeEvent } = progressModule;
+
+    // Durable job queue for uploads, crawls, text and bulk runs
+    const jobModule = await import('./services/jobQueue.js');
+    jobQueue = jobModule.default;
+    const { JOB_TYPES, JOB_STATUSES } = jobModule;
+
+    jobQueue.register('file', async (job, { signal }) => {
+      const { files, removeTimestamps } = job.params;
+      const fileNames = files.map(file => file.originalname).join(', ');
+      const result = await ragService.forWorkspace(job.workspace).processFile(jobQueue.loadUploads(files), job.opId, removeTimestamps, { signal });
+      emitProgress?.(job.opId, `Files processed: ${fileNames}`, result);
+      return result;
+    });
+    jobQueue.register('crawl', async (job, { signal }) => {
+      const { url, options } = job.params;
+      emitProgress?.(job.opId, `Starting crawl: ${url}`);
+      const result = await ragService.forWorkspace(job.workspace).processWebUrl(url, job.opId, { ...options, signal });
+      emitProgress?.(job.opId, `Crawl complete: ${url}`, result);
+      return result;
+    });
+    jobQueue.register('text', async (job) => {
+      emitProgress?.(job.opId, `Processing text input`);
+      const result = await ragService.forWorkspace(job.workspace).processText(job.params.text, job.opId);
+      emitProgress?.(job.opId, `Text processed`, result);
+      return result;
+    });
+    // A bulk job picked up again after a restart simply reprocesses the directory: files already stored are skipped
+    jobQueue.register('bulk', async (job, { signal }) => {
+      const options = { workspace: job.workspace, signal };
+      if (job.params.resume) {
+        return bulkPdfService.resumeProcessing(job.opId, options);
+      }
+      const { pdfDirectory, sync, include, exclude, removeTimestamps } = job.params;
+      const runOptions = { ...options, include, exclude, removeTimestamps };
+      return sync
+        ? bulkPdfService.syncDirectory(pdfDirectory, job.opId, runOptions)
+        : bulkPdfService.processDirectory(pdfDirectory, job.opId, runOptions);
+    });
+    jobQueue.register('import', (job, { signal }) => {
+      const { files: [snapshot], reembed } = job.params;
+      return ragService.forWorkspace(job.workspace).importPoints(snapshot.path, job.opId, { reembed, signal });
+    });
+    // A re-embedding interrupted by a restart starts over; the old collection is only replaced at the end
+    jobQueue.register('reembed', (job, { signal }) => {
+      return ragService.forWorkspace(job.workspace).reembedCollection(job.opId, { signal });
+    });
+    jobQueue.start();
+
+    // Recurring recrawls (POST /api/crawl/schedules) queue 'crawl' jobs when due
+    const schedulerModule = await import('./services/crawlScheduler.js');
+    schedulerModule.default.start();
+    const crawlHistoryModule = await import('./services/crawlHistory.js');
+    const crawlHistory = crawlHistoryModule.default;
 
     // --- API Routes ---
 
@@ -50,50 +239,111 @@ async function initializeApp() {
     app.post('/api/documents', upload.array('document', 10), async (req, res, next) => {
       try {
         const { opId, removeTimestamps } = req.query;
+        const workspace = req.query.workspace ?? req.body.workspace;
         if (!req.files || req.files.length === 0) {
           return res.status(400).json({ error: 'No files uploaded' });
         }
+        const workspaceError = validateWorkspace(workspace);
+        if (workspaceError) {
+          return res.status(400).json({ error: workspaceError });
+        }
 
         const fileNames = req.files.map(file => file.originalname).join(', ');
         emitProgress?.(opId, `Uploading ${req.files.length} files: ${fileNames}`);
 
-        const result = await ragService.processFile(req.files, opId, removeTimestamps === 'true');
-        emitProgress?.(opId, `Files processed: ${fileNames}`, result);
-        res.status(201).json(result);
+        const job = jobQueue.enqueue('file', {
+          files: jobQueue.saveUploads(req.files),
+          removeTimestamps: removeTimestamps === 'true'
+        }, { workspace, opId });
+        await sendJobResult(res, job, { async: req.query.async === 'true' });
       } catch (error) {
         next(error);
       }
     });
 
-    // Ingest content from a website URL
+    // Ingest content from a website URL. Crawling the same URL again is a recrawl: only pages
+    // that changed since the last crawl are stored again.
     app.post('/api/crawl', async (req, res, next) => {
       try {
-        const { url } = req.body;
+        const { url, workspace, maxPages, maxDepth, include, exclude, includeSubdomains, useSitemap, concurrency, force, deleteMissing } = req.body;
         const { opId } = req.query;
         if (!url) {
           return res.status(400).json({ error: 'URL is required' });
         }
-        emitProgress?.(opId, `Starting crawl: ${url}`);
-        const result = await ragService.processWebUrl(url, opId);
-        emitProgress?.(opId, `Crawl complete: ${url}`, result);
-        res.status(201).json(result);
+        const workspaceError = validateWorkspace(workspace);
+        if (workspaceError) {
+          return res.status(400).json({ error: workspaceError });
+        }
+        const options = { maxPages, maxDepth, include, exclude, includeSubdomains, useSitemap, concurrency, force, deleteMissing };
+        const crawlError = validateCrawlOptions(options);
+        if (crawlError) {
+          return res.status(400).json({ error: crawlError });
+        }
+        const job = jobQueue.enqueue('crawl', { url, options }, { workspace, opId });
+        await sendJobResult(res, job, { async: req.query.async === 'true' });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Recrawl a site every `intervalHours`; takes the same crawl options as POST /api/crawl.
+    // The first crawl is queued within a minute.
+    app.post('/api/crawl/schedules', (req, res, next) => {
+      try {
+        const { url, workspace, intervalHours, maxPages, maxDepth, include, exclude, includeSubdomains, useSitemap, concurrency, force, deleteMissing } = req.body;
+        if (!url) {
+          return res.status(400).json({ error: 'URL is required' });
+        }
+        const workspaceError = validateWorkspace(workspace);
+        if (workspaceError) {
+          return res.status(400).json({ error: workspaceError });
+        }
+        if (typeof intervalHours !== 'number' || !(intervalHours >= 1) || intervalHours > 24 * 365) {
+          return res.status(400).json({ error: 'intervalHours must be a number of hours between 1 and 8760' });
+        }
+        const options = { maxPages, maxDepth, include, exclude, includeSubdomains, useSitemap, concurrency, force, deleteMissing };
+        const crawlError = validateCrawlOptions(options);
+        if (crawlError) {
+          return res.status(400).json({ error: crawlError });
+        }
+        const schedule = crawlHistory.createSchedule({
+          workspace,
+          url,
+          options,
+          intervalMinutes: Math.round(intervalHours * 60)
+        });
+        res.status(201).json(schedule);
       } catch (error) {
         next(error);
       }
     });
 
+    app.get('/api/crawl/schedules', (req, res) => {
+      res.json({ schedules: crawlHistory.listSchedules() });
+    });
+
+    // Stops future runs; a crawl already queued or running is not cancelled
+    app.delete('/api/crawl/schedules/:id', (req, res) => {
+      if (!crawlHistory.deleteSchedule(req.params.id)) {
+        return res.status(404).json({ error: `Schedule ${req.params.id} not found` });
+      }
+      res.json({ success: true, id: req.params.id });
+    });
+
     // Ingest raw text
     app.post('/api/text', async (req, res, next) => {
       try {
-        const { text } = req.body;
+        const { text, workspace } = req.body;
         const { opId } = req.query;
         if (!text) {
           return res.status(400).json({ error: 'Text content is required' });
         }
-        emitProgress?.(opId, `Processing text input`);
-        const result = await ragService.processText(text, opId);
-        emitProgress?.(opId, `Text processed`, result);
-        res.status(201).json(result);
+        const workspaceError = validateWorkspace(workspace);
+        if (workspaceError) {
+          return res.status(400).json({ error: workspaceError });
+        }
+        const job = jobQueue.enqueue('text', { text }, { workspace, opId });
+        await sendJobResult(res, job, { async: req.query.async === 'true' });
       } catch (error) {
         next(error);
       }
@@ -102,7 +352,7 @@ async function initializeApp() {
     // Query endpoint with conversation history support
     app.post('/api/query', async (req, res, next) => {
       try {
-        const { question, topK, messages, excludedSources, similarityThreshold, useSystemPrompt } = req.body;
+        const { question, topK, messages, excludedSources, includedSources, similarityThreshold, useSystemPrompt, lexicalWeight, rerank, rerankCandidates, rewriteQuery, persona, workspace, provider, model, temperature, maxTokens } = req.body;
         
         console.log(`Query endpoint: Received similarityThreshold: ${similarityThreshold}, useSystemPrompt: ${useSystemPrompt}`);
         
@@ -110,6 +360,16 @@ async function initializeApp() {
           return res.status(400).json({ error: 'Either question or messages array is required' });
         }
 
+        const validationError = validateSourceLists(excludedSources, includedSources) || validateLexicalWeight(lexicalWeight)
+          || validateRerankOptions(rerank, rerankCandidates)
+          || validateRewriteQuery(rewriteQuery)
+          || validatePersona(persona)
+          || validateWorkspace(workspace)
+          || validateChatConfig({ provider, model, temperature, maxTokens });
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+
         // If messages array is provided, use conversation history
         if (messages && Array.isArray(messages) && messages.length > 0) {
           console.log(`Query endpoint: Processing with conversation history (${messages.length} messages)`);
@@ -130,24 +390,35 @@ async function initializeApp() {
           console.log(`Latest user message: ${latestMessage.content}`);
 
                   // Call RAG service with conversation history and system prompt toggle
-        const result = await ragService.queryWithHistory(
+        const result = await ragService.forWorkspace(workspace).queryWithHistory(
           latestMessage.content, 
           conversationHistory, 
           topK ? parseInt(topK) : null,
           excludedSources,
           similarityThreshold ? parseFloat(similarityThreshold) : null,
-          useSystemPrompt !== false // Default to true if not specified
+          useSystemPrompt !== false, // Default to true if not specified
+          { includedSources, lexicalWeight, rerank, rerankCandidates: rerankCandidates ? parseInt(rerankCandidates) : undefined, rewriteQuery, persona, chat: parseChatOptions(req.body) }
         );
 
           // Ensure response format matches what frontend expects
           res.json({
             answer: result.answer || result.response,
-            sources: result.sources || []
+            sources: result.sources || [],
+            citations: result.citations || [],
+            invalidCitations: result.invalidCitations || [],
+            standaloneQuery: result.standaloneQuery,
+            persona: result.persona,
+            chatModel: result.chatModel
           });
         } else {
           // Fallback to old behavior for backward compatibility
           console.log(`Query endpoint: Processing single question without history`);
-          const answer = await ragService.query(question, topK ? parseInt(topK) : null, similarityThreshold ? parseFloat(similarityThreshold) : null);
+          const answer = await ragService.forWorkspace(workspace).query(
+            question,
+            topK ? parseInt(topK) : null,
+            similarityThreshold ? parseFloat(similarityThreshold) : null,
+            { excludedSources, includedSources, lexicalWeight, rerank, rerankCandidates: rerankCandidates ? parseInt(rerankCandidates) : undefined, persona, chat: parseChatOptions(req.body) }
+          );
           res.json({ answer });
         }
       } catch (error) {
@@ -159,12 +430,22 @@ async function initializeApp() {
     // Chat endpoint with conversation history
     app.post('/api/chat', async (req, res, next) => {
       try {
-        const { messages, excludedSources, topK, similarityThreshold, useSystemPrompt } = req.body;
+        const { messages, excludedSources, includedSources, topK, similarityThreshold, useSystemPrompt, lexicalWeight, rerank, rerankCandidates, rewriteQuery, persona, workspace, provider, model, temperature, maxTokens } = req.body;
         
         if (!messages || !Array.isArray(messages) || messages.length === 0) {
           return res.status(400).json({ error: 'Messages array is required' });
         }
 
+        const validationError = validateSourceLists(excludedSources, includedSources) || validateLexicalWeight(lexicalWeight)
+          || validateRerankOptions(rerank, rerankCandidates)
+          || validateRewriteQuery(rewriteQuery)
+          || validatePersona(persona)
+          || validateWorkspace(workspace)
+          || validateChatConfig({ provider, model, temperature, maxTokens });
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+
         // Get the latest user message
         const latestMessage = messages[messages.length - 1];
         if (latestMessage.role !== 'user') {
@@ -181,13 +462,14 @@ async function initializeApp() {
         console.log(`Latest user message: ${latestMessage.content}`);
 
         // Call RAG service with conversation history and system prompt toggle
-        const result = await ragService.queryWithHistory(
+        const result = await ragService.forWorkspace(workspace).queryWithHistory(
           latestMessage.content, 
           conversationHistory, 
           topK ? parseInt(topK) : null,
           excludedSources,
           similarityThreshold ? parseFloat(similarityThreshold) : null,
-          useSystemPrompt !== false // Default to true if not specified
+          useSystemPrompt !== false, // Default to true if not specified
+          { includedSources, lexicalWeight, rerank, rerankCandidates: rerankCandidates ? parseInt(rerankCandidates) : undefined, rewriteQuery, persona, chat: parseChatOptions(req.body) }
         );
 
         res.json(result);
@@ -197,6 +479,87 @@ async function initializeApp() {
       }
     });
 
+    // Streaming chat endpoint: sends the retrieved sources first, then the answer token by token
+    // over text/event-stream. Closing the connection cancels generation.
+    app.post('/api/chat/stream', async (req, res) => {
+      const { messages, excludedSources, includedSources, topK, similarityThreshold, useSystemPrompt, lexicalWeight, rerank, rerankCandidates, rewriteQuery, persona, workspace, provider, model, temperature, maxTokens } = req.body;
+
+      if (!messages || !Array.isArray(messages) || messages.length === 0) {
+        return res.status(400).json({ error: 'Messages array is required' });
+      }
+
+      const validationError = validateSourceLists(excludedSources, includedSources) || validateLexicalWeight(lexicalWeight)
+        || validateRerankOptions(rerank, rerankCandidates)
+        || validateRewriteQuery(rewriteQuery)
+        || validatePersona(persona)
+        || validateWorkspace(workspace)
+        || validateChatConfig({ provider, model, temperature, maxTokens });
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const latestMessage = messages[messages.length - 1];
+      if (latestMessage.role !== 'user') {
+        return res.status(400).json({ error: 'Last message must be from user' });
+      }
+
+      const conversationHistory = messages.slice(0, -1).map(msg => ({
+        role: msg.role,
+        content: msg.content
+      }));
+
+      const controller = new AbortController();
+      res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+      });
+
+      const rag = ragService.forWorkspace(workspace);
+      const stopHeartbeat = openEventStream(res);
+      try {
+        const result = await rag.streamQueryWithHistory(latestMessage.content, conversationHistory, {
+          userTopK: topK ? parseInt(topK) : null,
+          excludedSources,
+          includedSources,
+          lexicalWeight,
+          rerank,
+          rerankCandidates: rerankCandidates ? parseInt(rerankCandidates) : undefined,
+          rewriteQuery,
+          persona,
+          chat: parseChatOptions(req.body),
+          userSimilarityThreshold: similarityThreshold ? parseFloat(similarityThreshold) : null,
+          useSystemPrompt: useSystemPrompt !== false,
+          signal: controller.signal,
+          onSources: (sources, standaloneQuery) => writeEvent(res, 'sources', { sources, standaloneQuery }),
+          onToken: token => writeEvent(res, 'token', { token })
+        });
+
+        if (!result.cancelled) {
+          writeEvent(res, 'done', {
+            answer: result.answer,
+            citations: result.citations,
+            invalidCitations: result.invalidCitations,
+            persona: result.persona,
+            chatModel: result.chatModel
+          });
+        }
+      } catch (error) {
+        logger.error(`Chat stream error: ${error.message}`);
+        if (!controller.signal.aborted) {
+          writeEvent(res, 'error', {
+            error: process.env.NODE_ENV === 'development' ? error.message : rag.resolvePersona(persona).errorMessages.generic
+          });
+        }
+      } finally {
+        stopHeartbeat();
+        res.end();
+      }
+    });
+
+    // List the personas a chat request can pick with `persona`
+    app.get('/api/personas', (req, res) => {
+      res.json({ personas: listPersonas(), defaultPersona: DEFAULT_PERSONA_ID });
+    });
+
     // Query analysis endpoint - get Top-K recommendations
     app.post('/api/query/analyze', async (req, res, next) => {
       try {
@@ -215,7 +578,12 @@ async function initializeApp() {
     // List all documents endpoint
     app.get('/api/documents', async (req, res, next) => {
       try {
-        const result = await ragService.listDocuments();
+        const { workspace } = req.query;
+        const workspaceError = validateWorkspace(workspace);
+        if (workspaceError) {
+          return res.status(400).json({ error: workspaceError });
+        }
+        const result = await ragService.forWorkspace(workspace).listDocuments();
         res.json(result);
       } catch (error) {
         next(error);
@@ -225,21 +593,210 @@ async function initializeApp() {
     // Get collection statistics endpoint
     app.get('/api/collection/stats', async (req, res, next) => {
       try {
-        const result = await ragService.getCollectionStats();
+        const { workspace } = req.query;
+        const workspaceError = validateWorkspace(workspace);
+        if (workspaceError) {
+          return res.status(400).json({ error: workspaceError });
+        }
+        const result = await ragService.forWorkspace(workspace).getCollectionStats();
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Rebuild the keyword (BM25) index from the points already stored in Qdrant
+    app.post('/api/collection/lexical-index/rebuild', async (req, res, next) => {
+      try {
+        const { opId, workspace } = req.query;
+        const workspaceError = validateWorkspace(workspace);
+        if (workspaceError) {
+          return res.status(400).json({ error: workspaceError });
+        }
+        const result = await ragService.forWorkspace(workspace).rebuildLexicalIndex(opId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Rebuild the document catalog (sources, chunk counts) from the points already stored in Qdrant
+    app.post('/api/collection/catalog/rebuild', async (req, res, next) => {
+      try {
+        const { opId, workspace } = req.query;
+        const workspaceError = validateWorkspace(workspace);
+        if (workspaceError) {
+          return res.status(400).json({ error: workspaceError });
+        }
+        const result = await ragService.forWorkspace(workspace).rebuildDocumentCatalog(opId);
         res.json(result);
       } catch (error) {
         next(error);
       }
     });
 
+    // Stream every point as JSONL ({ id, payload } per line, plus `vector` with ?vectors=true)
+    app.get('/api/collection/export', async (req, res, next) => {
+      try {
+        const { workspace, vectors } = req.query;
+        const workspaceError = validateWorkspace(workspace);
+        if (workspaceError) {
+          return res.status(400).json({ error: workspaceError });
+        }
+
+        const rag = ragService.forWorkspace(workspace);
+        if (await rag.getCollectionPointCount() === null) {
+          return res.status(404).json({ error: `Collection ${rag.collectionName} does not exist` });
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        res.setHeader('Content-Disposition', `attachment; filename="${rag.collectionName}-${date}.jsonl"`);
+
+        try {
+          for await (const point of rag.exportPoints({ withVectors: vectors === 'true' })) {
+            if (res.destroyed) break;
+            if (!res.write(`${JSON.stringify(point)}\n`)) {
+              await Promise.race([once(res, 'drain'), once(res, 'close')]);
+            }
+          }
+          res.end();
+        } catch (error) {
+          // Headers are already sent; cut the stream so the client sees an incomplete download
+          logger.error(`Export of ${rag.collectionName} failed: ${error.message}`);
+          res.destroy(error);
+        }
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Load a JSONL snapshot (see /api/collection/export) into the collection as an 'import' job
+    app.post('/api/collection/import', receiveSnapshot, async (req, res, next) => {
+      let queued = false;
+      try {
+        const { opId } = req.query;
+        const workspace = req.query.workspace ?? req.body.workspace;
+        const reembed = req.query.reembed ?? req.body.reembed ?? 'auto';
+        if (!req.file) {
+          return res.status(400).json({ error: 'No snapshot file uploaded' });
+        }
+        if (!['auto', 'always', 'never'].includes(reembed)) {
+          return res.status(400).json({ error: 'reembed must be "auto", "always" or "never"' });
+        }
+        const workspaceError = validateWorkspace(workspace);
+        if (workspaceError) {
+          return res.status(400).json({ error: workspaceError });
+        }
+
+        const rag = ragService.forWorkspace(workspace);
+        if (rag.isMigrating) {
+          return res.status(409).json({ error: `Collection ${rag.collectionName} is being re-embedded` });
+        }
+
+        const job = jobQueue.enqueue('import', {
+          files: [{ path: req.file.path, originalname: req.file.originalname, mimetype: req.file.mimetype }],
+          reembed
+        }, { workspace, opId });
+        queued = true;
+        await sendJobResult(res, job, { async: req.query.async === 'true' });
+      } catch (error) {
+        next(error);
+      } finally {
+        // Once queued, the job removes the file when it settles
+        if (!queued && req.file) fs.rmSync(path.dirname(req.file.path), { recursive: true, force: true });
+      }
+    });
+
+    // Re-embed every stored chunk with the configured embedding provider into a new collection
+    // and switch the collection name over to it when done (queued as a job, answered at once)
+    app.post('/api/collection/reembed', (req, res, next) => {
+      try {
+        const { opId, workspace } = req.query;
+        const workspaceError = validateWorkspace(workspace);
+        if (workspaceError) {
+          return res.status(400).json({ error: workspaceError });
+        }
+
+        const rag = ragService.forWorkspace(workspace);
+        const pending = ['queued', 'running'].flatMap(status => jobQueue.list({ status, type: 'reembed' }))
+          .some(job => (job.workspace || DEFAULT_WORKSPACE) === rag.workspaceName);
+        if (rag.isMigrating || pending) {
+          return res.status(409).json({ error: `Collection ${rag.collectionName} is already being re-embedded` });
+        }
+
+        const job = jobQueue.enqueue('reembed', {}, { workspace, opId });
+        res.status(202).json({
+          message: 'Re-embedding queued',
+          jobId: job.id,
+          operationId: job.opId,
+          collectionName: rag.collectionName,
+          status: job.status
+        });
+      } catch (error) {
+        next(error);
+      }
+    });
+
     // Delete document endpoint
     app.delete('/api/documents/:source', async (req, res, next) => {
       try {
         const { source } = req.params;
+        const { workspace } = req.query;
         if (!source) {
           return res.status(400).json({ error: 'Source is required' });
         }
-        const result = await ragService.deleteDocument(decodeURIComponent(source));
+        const workspaceError = validateWorkspace(workspace);
+        if (workspaceError) {
+          return res.status(400).json({ error: workspaceError });
+        }
+        const result = await ragService.forWorkspace(workspace).deleteDocument(decodeURIComponent(source));
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // --- Workspace Endpoints ---
+
+    // List workspaces (the default workspace is always first)
+    app.get('/api/workspaces', (req, res) => {
+      res.json({ workspaces: ragService.listWorkspaces(), defaultWorkspace: DEFAULT_WORKSPACE });
+    });
+
+    // Create a workspace and its Qdrant collection
+    app.post('/api/workspaces', async (req, res, next) => {
+      try {
+        const { name, collectionName, chunkSize, chunkOverlap, defaultPersona, description, chat } = req.body;
+        const definition = { name, collectionName, chunkSize, chunkOverlap, defaultPersona, description, chat };
+        const validationError = workspaceStore.validate(definition);
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+        const conflict = workspaceStore.findConflict(definition);
+        if (conflict) {
+          return res.status(409).json({ error: conflict });
+        }
+
+        const workspace = await ragService.createWorkspace(definition);
+        res.status(201).json({ success: true, workspace });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Delete a workspace; ?purge=true also deletes its collection and local indexes
+    app.delete('/api/workspaces/:name', async (req, res, next) => {
+      try {
+        const { name } = req.params;
+        if (name === DEFAULT_WORKSPACE) {
+          return res.status(400).json({ error: 'The default workspace cannot be deleted' });
+        }
+        if (!workspaceStore.get(name)) {
+          return res.status(404).json({ error: `Unknown workspace "${name}"` });
+        }
+
+        const result = await ragService.deleteWorkspace(name, { purge: req.query.purge === 'true' });
         res.json(result);
       } catch (error) {
         next(error);
@@ -278,30 +835,81 @@ async function initializeApp() {
       }
     });
 
+    // --- Job Endpoints ---
+
+    // List jobs, newest first (?status=running&type=bulk&limit=50)
+    app.get('/api/jobs', (req, res) => {
+      const { status, type } = req.query;
+      const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+      if (status !== undefined && !JOB_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+      }
+      if (type !== undefined && !JOB_TYPES.includes(type)) {
+        return res.status(400).json({ error: `type must be one of: ${JOB_TYPES.join(', ')}` });
+      }
+      if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({ error: 'limit must be an integer between 1 and 500' });
+      }
+      res.json({ jobs: jobQueue.list({ status, type, limit }) });
+    });
+
+    app.get('/api/jobs/:id', (req, res) => {
+      const job = jobQueue.get(req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: `Job ${req.params.id} not found` });
+      }
+      res.json(job);
+    });
+
+    // Cancel a queued or running job; running jobs stop at their next checkpoint
+    app.post('/api/jobs/:id/cancel', (req, res) => {
+      const job = jobQueue.get(req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: `Job ${req.params.id} not found` });
+      }
+      if (!['queued', 'running'].includes(job.status)) {
+        return res.status(409).json({ error: `Job ${job.id} has already ${job.status === 'cancelled' ? 'been cancelled' : job.status}` });
+      }
+      res.json(jobQueue.cancel(job.id));
+    });
+
     // --- Bulk PDF Processing Endpoints ---
 
-    // Start bulk PDF processing
+    // Start bulk processing of a directory: every supported format, or the files matching
+    // `include` and not `exclude` (glob patterns); `removeTimestamps` applies to subtitles
     app.post('/api/bulk-pdf/process', async (req, res, next) => {
       try {
-        const { pdfDirectory } = req.body;
+        const { pdfDirectory, workspace, include, exclude, removeTimestamps } = req.body;
         const { opId } = req.query;
         
         if (!pdfDirectory) {
           return res.status(400).json({ error: 'PDF directory path is required' });
         }
+        const workspaceError = validateWorkspace(workspace);
+        if (workspaceError) {
+          return res.status(400).json({ error: workspaceError });
+        }
+
+        const patternError = validateGlobPatterns(include, exclude);
+        if (patternError) {
+          return res.status(400).json({ error: patternError });
+        }
 
         if (!opId) {
           return res.status(400).json({ error: 'Operation ID is required for progress tracking' });
         }
 
-        // Start processing in background
-        bulkPdfService.processDirectory(pdfDirectory, opId)
-          .catch(error => {
-            logger.error(`Bulk PDF processing failed: ${error.message}`);
-          });
+        // Processed in the background by the job queue
+        const job = jobQueue.enqueue('bulk', {
+          pdfDirectory,
+          include: include || undefined,
+          exclude: exclude || undefined,
+          removeTimestamps: removeTimestamps === true
+        }, { workspace, opId });
 
         res.status(202).json({ 
           message: 'Bulk PDF processing started',
+          jobId: job.id,
           operationId: opId,
           status: 'processing'
         });
@@ -310,23 +918,115 @@ async function initializeApp() {
       }
     });
 
-    // Resume bulk PDF processing
+    // Sync a directory with the workspace's collection: ingest new and changed files and delete
+    // the chunks of files that no longer exist. Same body as /process plus `dryRun`, which returns
+    // the list of changes right away instead of starting a run.
+    app.post('/api/bulk-pdf/sync', async (req, res, next) => {
+      try {
+        const { pdfDirectory, workspace, include, exclude, removeTimestamps, dryRun } = req.body;
+        const { opId } = req.query;
+
+        if (!pdfDirectory) {
+          return res.status(400).json({ error: 'PDF directory path is required' });
+        }
+        const workspaceError = validateWorkspace(workspace);
+        if (workspaceError) {
+          return res.status(400).json({ error: workspaceError });
+        }
+        const patternError = validateGlobPatterns(include, exclude);
+        if (patternError) {
+          return res.status(400).json({ error: patternError });
+        }
+
+        // Syncing a missing directory would look like every one of its files had been deleted
+        if (!fs.existsSync(pdfDirectory) || !fs.statSync(pdfDirectory).isDirectory()) {
+          return res.status(400).json({ error: `Directory does not exist: ${pdfDirectory}` });
+        }
+
+        if (dryRun === true) {
+          const plan = await bulkPdfService.syncDirectory(pdfDirectory, opId, { workspace, include, exclude, dryRun: true });
+          return res.json(plan);
+        }
+
+        if (!opId) {
+          return res.status(400).json({ error: 'Operation ID is required for progress tracking' });
+        }
+
+        const job = jobQueue.enqueue('bulk', {
+          pdfDirectory,
+          sync: true,
+          include: include || undefined,
+          exclude: exclude || undefined,
+          removeTimestamps: removeTimestamps === true
+        }, { workspace, opId });
+
+        res.status(202).json({
+          message: 'Bulk sync started',
+          jobId: job.id,
+          operationId: opId,
+          status: 'processing'
+        });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Pause a running bulk run: files in progress finish, the rest stay pending for /api/bulk-pdf/resume
+    app.post('/api/bulk-pdf/pause', (req, res) => {
+      const { opId } = req.query;
+      if (!opId) {
+        return res.status(400).json({ error: 'Operation ID is required' });
+      }
+      if (!bulkPdfService.pause(opId)) {
+        return res.status(404).json({ error: `No running bulk run with operation ID ${opId}` });
+      }
+      res.status(202).json({ operationId: opId, status: 'pausing' });
+    });
+
+    // Cancel a bulk run: a running one drains its in-flight files, a paused one drops its pending files
+    app.post('/api/bulk-pdf/cancel', (req, res) => {
+      const { opId } = req.query;
+      if (!opId) {
+        return res.status(400).json({ error: 'Operation ID is required' });
+      }
+
+      const job = [...jobQueue.list({ type: 'bulk', status: 'running' }), ...jobQueue.list({ type: 'bulk', status: 'queued' })]
+        .find(candidate => candidate.opId === opId);
+      if (job) {
+        jobQueue.cancel(job.id);
+        return res.status(202).json({ operationId: opId, jobId: job.id, status: 'cancelling' });
+      }
+
+      const run = bulkPdfService.getRun(opId);
+      if (!run) {
+        return res.status(404).json({ error: `No bulk run with operation ID ${opId}` });
+      }
+      if (['completed', 'cancelled'].includes(run.status)) {
+        return res.status(409).json({ error: `Bulk run ${opId} has already ${run.status === 'cancelled' ? 'been cancelled' : 'completed'}` });
+      }
+      const cancelledFiles = bulkPdfService.cancelPending(opId);
+      res.json({ operationId: opId, status: 'cancelled', cancelledFiles });
+    });
+
+    // Resume bulk PDF processing: the pending files of the run with this opId, or all pending files
     app.post('/api/bulk-pdf/resume', async (req, res, next) => {
       try {
         const { opId } = req.query;
+        const { workspace } = req.body;
         
         if (!opId) {
           return res.status(400).json({ error: 'Operation ID is required for progress tracking' });
         }
+        const workspaceError = validateWorkspace(workspace);
+        if (workspaceError) {
+          return res.status(400).json({ error: workspaceError });
+        }
 
-        // Start resume processing in background
-        bulkPdfService.resumeProcessing(opId)
-          .catch(error => {
-            logger.error(`Bulk PDF resume failed: ${error.message}`);
-          });
+        const job = jobQueue.enqueue('bulk', { resume: true }, { workspace, opId });
 
         res.status(202).json({ 
           message: 'Bulk PDF processing resumed',
+          jobId: job.id,
           operationId: opId,
           status: 'resuming'
         });
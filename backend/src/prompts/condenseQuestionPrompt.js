@@ -0,0 +1,21 @@
+/**
+ * Condense-Question Prompt
+ *
+ * Used before retrieval to turn a follow-up question ("what about its side effects?")
+ * into a standalone search query, using the conversation so far. It is independent of
+ * the answering persona: its output only goes to the retriever, never to the user.
+ */
+
+export const CONDENSE_QUESTION_PROMPT = `Given the conversation below and a follow-up question, rewrite the follow-up as a single standalone question that can be understood without the conversation.
+
+- Replace pronouns and vague references ("it", "that drug", "the second one") with the terms they refer to
+- Keep medical terms, drug names and abbreviations exactly as written
+- If the follow-up is already standalone, return it unchanged
+- Do not answer the question
+
+**Conversation:**
+{history}
+
+**Follow-up Question:** {input}
+
+**Standalone Question:**`;
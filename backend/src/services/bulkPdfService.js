@@ -7,6 +7,11 @@ import pRetry from 'p-retry';
 import Database from 'better-sqlite3';
 import logger from '../config/logger.js';
 import { emitProgress, emitDone } from './progress.js';
+import { findExtractor, layoutMetadataForChunks, SUPPORTED_EXTENSIONS } from './fileExtractors.js';
+import documentCatalog from './documentCatalog.js';
+
+// Every format the shared extractors understand, e.g. "**/*{.pdf,.docx,.txt}"
+const DEFAULT_INCLUDE = [`**/*{${SUPPORTED_EXTENSIONS.join(',')}}`];
 
 class BulkPdfService {
   constructor(ragService) {
@@ -25,6 +30,9 @@ class BulkPdfService {
     
     // Concurrency limiter
     this.limit = pLimit(this.concurrency);
+
+    // Runs in progress in this process: opId -> { stopRequested: null | 'paused' }
+    this.activeRuns = new Map();
   }
 
   initDatabase() {
@@ -49,27 +57,113 @@ class BulkPdfService {
           status TEXT NOT NULL,
           error TEXT,
           chunks_count INTEGER DEFAULT 0,
-          updated_at TEXT NOT NULL
+          updated_at TEXT NOT NULL,
+          root_dir TEXT,
+          op_id TEXT,
+          file_type TEXT,
+          extractor TEXT
         );
         
         CREATE INDEX IF NOT EXISTS idx_bulk_files_status ON bulk_files(status);
         CREATE INDEX IF NOT EXISTS idx_bulk_files_checksum ON bulk_files(checksum);
+
+        -- One row per bulk run (processDirectory or resumeProcessing), keyed by its operation id
+        CREATE TABLE IF NOT EXISTS bulk_runs (
+          op_id TEXT PRIMARY KEY,
+          root_dir TEXT,
+          workspace TEXT,
+          status TEXT NOT NULL,
+          total_files INTEGER DEFAULT 0,
+          options TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
       `);
 
+      // Manifests written by earlier releases only held PDFs and no runs
+      const columns = this.db.prepare(`PRAGMA table_info(bulk_files)`).all().map(column => column.name);
+      if (!columns.includes('op_id')) {
+        this.db.exec(`
+          ALTER TABLE bulk_files ADD COLUMN root_dir TEXT;
+          ALTER TABLE bulk_files ADD COLUMN op_id TEXT;
+          ALTER TABLE bulk_files ADD COLUMN file_type TEXT;
+          ALTER TABLE bulk_files ADD COLUMN extractor TEXT;
+          UPDATE bulk_files SET file_type = 'pdf', extractor = 'pdf-parse';
+        `);
+      }
+      this.db.exec(`CREATE INDEX IF NOT EXISTS idx_bulk_files_op_id ON bulk_files(op_id, status)`);
+
       // Prepared statements
       this.upsertFileStmt = this.db.prepare(`
-        INSERT INTO bulk_files (path, checksum, status, error, chunks_count, updated_at)
-        VALUES (@path, @checksum, @status, @error, @chunks_count, @updated_at)
+        INSERT INTO bulk_files (path, checksum, status, error, chunks_count, updated_at, file_type, extractor)
+        VALUES (@path, @checksum, @status, @error, @chunks_count, @updated_at, @file_type, @extractor)
         ON CONFLICT(path) DO UPDATE SET
           checksum=excluded.checksum,
           status=excluded.status,
           error=excluded.error,
           chunks_count=excluded.chunks_count,
-          updated_at=excluded.updated_at
+          updated_at=excluded.updated_at,
+          file_type=excluded.file_type,
+          extractor=excluded.extractor
       `);
       
       this.getFileStmt = this.db.prepare(`SELECT path, checksum, status, chunks_count FROM bulk_files WHERE path = ?`);
       this.getPendingFilesStmt = this.db.prepare(`SELECT path FROM bulk_files WHERE status IN ('queued', 'processing')`);
+      this.getRunPendingFilesStmt = this.db.prepare(`
+        SELECT path FROM bulk_files WHERE op_id = ? AND status IN ('queued', 'processing') ORDER BY path
+      `);
+
+      // Registering a file keeps the checksum and chunk count of its last completed version
+      this.registerFileStmt = this.db.prepare(`
+        INSERT INTO bulk_files (path, checksum, status, error, chunks_count, updated_at, root_dir, op_id, file_type, extractor)
+        VALUES (@path, '', 'queued', NULL, 0, @now, @root_dir, @op_id, @file_type, @extractor)
+        ON CONFLICT(path) DO UPDATE SET
+          status='queued',
+          error=NULL,
+          root_dir=excluded.root_dir,
+          op_id=excluded.op_id,
+          file_type=excluded.file_type,
+          extractor=excluded.extractor,
+          updated_at=excluded.updated_at
+      `);
+      this.registerFilesTx = this.db.transaction((paths, rootDir, operationId) => {
+        const now = this.nowIso();
+        for (const filePath of paths) {
+          const extractor = findExtractor(filePath);
+          this.registerFileStmt.run({
+            path: filePath,
+            now,
+            root_dir: rootDir,
+            op_id: operationId,
+            file_type: extractor.fileType,
+            extractor: extractor.name
+          });
+        }
+      });
+      this.adoptPendingStmt = this.db.prepare(`
+        UPDATE bulk_files SET op_id = ?, updated_at = ? WHERE status IN ('queued', 'processing')
+      `);
+      this.deleteFileStmt = this.db.prepare(`DELETE FROM bulk_files WHERE path = ?`);
+      this.deleteFilesTx = this.db.transaction(paths => {
+        for (const filePath of paths) this.deleteFileStmt.run(filePath);
+      });
+      this.cancelRunFilesStmt = this.db.prepare(`
+        UPDATE bulk_files SET status = 'cancelled', updated_at = ? WHERE op_id = ? AND status IN ('queued', 'processing')
+      `);
+
+      this.insertRunStmt = this.db.prepare(`
+        INSERT INTO bulk_runs (op_id, root_dir, workspace, status, total_files, options, created_at, updated_at)
+        VALUES (@op_id, @root_dir, @workspace, 'running', @total_files, @options, @now, @now)
+        ON CONFLICT(op_id) DO UPDATE SET
+          root_dir=COALESCE(excluded.root_dir, bulk_runs.root_dir),
+          workspace=excluded.workspace,
+          options=COALESCE(excluded.options, bulk_runs.options),
+          total_files=excluded.total_files,
+          status='running',
+          updated_at=excluded.updated_at
+      `);
+      this.getRunStmt = this.db.prepare(`SELECT * FROM bulk_runs WHERE op_id = ?`);
+      this.updateRunStmt = this.db.prepare(`UPDATE bulk_runs SET status = @status, updated_at = @updated_at WHERE op_id = @op_id`);
       this.getStatsStmt = this.db.prepare(`
         SELECT 
           COUNT(*) as total,
@@ -79,6 +173,10 @@ class BulkPdfService {
           SUM(chunks_count) as total_chunks
         FROM bulk_files
       `);
+      this.getTypeStatsStmt = this.db.prepare(`
+        SELECT file_type, extractor, COUNT(*) as files, SUM(chunks_count) as chunks
+        FROM bulk_files GROUP BY file_type, extractor ORDER BY files DESC
+      `);
       
       logger.info('Bulk PDF manifest database initialized');
     } catch (error) {
@@ -122,50 +220,66 @@ class BulkPdfService {
     return chunks;
   }
 
-  async processFile(filePath, operationId) {
+  // Whether this exact file version is already stored in the workspace's collection. The manifest
+  // is shared by all workspaces, so the workspace's document catalog has the final say; catalog
+  // entries rebuilt from Qdrant carry no checksum and fall back to the manifest.
+  isAlreadyStored(rag, normalizedPath, checksum, existing) {
+    const entry = documentCatalog.get(rag.localIndexKey, normalizedPath);
+    if (!entry) return false;
+    if (entry.checksum) return entry.checksum === checksum;
+    // Rows keep the checksum and chunk count of their last completed version while queued again
+    return Boolean(existing && existing.checksum === checksum && existing.chunks_count > 0);
+  }
+
+  // options.removeTimestamps applies to VTT/SRT subtitles, as on the upload route
+  async processFile(filePath, operationId, rag = this.ragService, { removeTimestamps = false } = {}) {
     const normalizedPath = path.normalize(filePath);
+    const extractor = findExtractor(normalizedPath);
+    if (!extractor) {
+      throw new Error(`Unsupported file type: ${normalizedPath}`);
+    }
     const checksum = await this.sha256File(normalizedPath);
+
+    // Every manifest write records the file type and the extractor used
+    const record = (status, { error = null, chunks = 0 } = {}) => this.upsertFileStmt.run({
+      path: normalizedPath,
+      checksum,
+      status,
+      error,
+      chunks_count: chunks,
+      updated_at: this.nowIso(),
+      file_type: extractor.fileType,
+      extractor: extractor.name
+    });
     
     // Check if already processed
     const existing = this.getFileStmt.get(normalizedPath);
-    if (existing && existing.status === 'completed' && existing.checksum === checksum) {
+    if (this.isAlreadyStored(rag, normalizedPath, checksum, existing)) {
       logger.info(`Skipping already processed file: ${normalizedPath}`);
-      return { skipped: true, chunks: existing.chunks_count };
+      const chunks = existing?.chunks_count || documentCatalog.get(rag.localIndexKey, normalizedPath)?.chunk_count || 0;
+      // The run registered the file as queued; it is done
+      record('completed', { chunks });
+      return { skipped: true, chunks };
     }
 
-    // Mark as queued
-    this.upsertFileStmt.run({
-      path: normalizedPath,
-      checksum,
-      status: 'queued',
-      error: null,
-      chunks_count: 0,
-      updated_at: this.nowIso()
-    });
-
     try {
       // Mark as processing
-      this.upsertFileStmt.run({
-        path: normalizedPath,
-        checksum,
-        status: 'processing',
-        error: null,
-        chunks_count: 0,
-        updated_at: this.nowIso()
-      });
+      record('processing');
 
-      // Extract text using the same method as RAG service
+      // Extract text with the same per-format extractors as RAGService.processFile
       const buffer = fs.readFileSync(normalizedPath);
-      const pdfModule = await import('pdf-parse/lib/pdf-parse.js');
-      const pdfParse = pdfModule.default || pdfModule;
-      const data = await pdfParse(buffer);
+      const { text, layout } = await extractor.extract(buffer, { removeTimestamps });
       
-      if (!data || !data.text || !data.text.trim()) {
-        throw new Error('No text extracted from PDF');
+      if (!text || !text.trim()) {
+        throw new Error(`No text extracted from ${extractor.fileType.toUpperCase()} file`);
       }
 
-      const text = data.text.replace(/\r\n/g, '\n').trim();
-      const chunks = this.splitIntoChunks(text, this.chunkSize, this.chunkOverlap);
+      // Named workspaces bring their own chunking settings
+      const chunkSize = rag.workspace?.chunkSize ?? this.chunkSize;
+      const chunkOverlap = rag.workspace?.chunkOverlap ?? this.chunkOverlap;
+      const chunks = this.splitIntoChunks(text, chunkSize, chunkOverlap);
+      // PDFs have pages to cite, HTML files headings
+      const pageMetadata = layout ? layoutMetadataForChunks(layout, chunks) : [];
 
       // Create documents for RAG service
       const documents = chunks.map((chunk, index) => ({
@@ -173,26 +287,21 @@ class BulkPdfService {
         metadata: {
           source: normalizedPath,
           chunk_index: index,
-          file_type: 'pdf',
-          total_chunks: chunks.length
+          file_type: extractor.fileType,
+          total_chunks: chunks.length,
+          ...pageMetadata[index]
         }
       }));
 
       // Process documents using RAG service's bulk processing method
-      const result = await this.ragService.processBulkDocuments(documents, operationId);
-      const processedChunks = result.chunksAdded;
+      await rag.processBulkDocuments(documents, operationId, {
+        checksums: { [normalizedPath]: checksum }
+      });
 
       // Mark as completed
-      this.upsertFileStmt.run({
-        path: normalizedPath,
-        checksum,
-        status: 'completed',
-        error: null,
-        chunks_count: chunks.length,
-        updated_at: this.nowIso()
-      });
+      record('completed', { chunks: chunks.length });
 
-      logger.info(`Successfully processed: ${normalizedPath} (${chunks.length} chunks)`);
+      logger.info(`Successfully processed: ${normalizedPath} (${extractor.name}, ${chunks.length} chunks)`);
       return { skipped: false, chunks: chunks.length };
 
     } catch (error) {
@@ -200,14 +309,7 @@ class BulkPdfService {
       logger.error(`Failed to process ${normalizedPath}: ${errorMsg}`);
       
       // Mark as error
-      this.upsertFileStmt.run({
-        path: normalizedPath,
-        checksum,
-        status: 'error',
-        error: errorMsg,
-        chunks_count: 0,
-        updated_at: this.nowIso()
-      });
+      record('error', { error: errorMsg });
       
       throw error;
     }
@@ -221,17 +323,21 @@ class BulkPdfService {
         completed: stats.completed || 0,
         errors: stats.errors || 0,
         pending: stats.pending || 0,
-        total_chunks: stats.total_chunks || 0
+        total_chunks: stats.total_chunks || 0,
+        by_type: this.getTypeStatsStmt.all().map(row => ({ ...row, chunks: row.chunks || 0 }))
       };
     } catch (error) {
       logger.error(`Failed to get stats: ${error.message}`);
-      return { total: 0, completed: 0, errors: 0, pending: 0, total_chunks: 0 };
+      return { total: 0, completed: 0, errors: 0, pending: 0, total_chunks: 0, by_type: [] };
     }
   }
 
-  async getPendingFiles() {
+  // Pending manifest entries, optionally only those of one run
+  async getPendingFiles(operationId = null) {
     try {
-      const rows = this.getPendingFilesStmt.all();
+      const rows = operationId
+        ? this.getRunPendingFilesStmt.all(operationId)
+        : this.getPendingFilesStmt.all();
       return rows.map(row => row.path);
     } catch (error) {
       logger.error(`Failed to get pending files: ${error.message}`);
@@ -239,24 +345,231 @@ class BulkPdfService {
     }
   }
 
-  async processDirectory(pdfDir, operationId) {
+  getRun(operationId) {
+    const run = this.getRunStmt.get(operationId);
+    return run ? { ...run, options: this.runOptions(run), active: this.activeRuns.has(operationId) } : null;
+  }
+
+  runOptions(run) {
+    return run?.options ? JSON.parse(run.options) : {};
+  }
+
+  setRunStatus(operationId, status) {
+    this.updateRunStmt.run({ op_id: operationId, status, updated_at: this.nowIso() });
+  }
+
+  // Stop starting new files; files already being processed finish and the rest stay pending
+  // in the manifest for resumeProcessing. Returns false when no such run is active.
+  pause(operationId) {
+    const run = this.activeRuns.get(operationId);
+    if (!run) return false;
+    run.stopRequested = 'paused';
+    logger.info(`Pause requested for bulk run ${operationId}`);
+    return true;
+  }
+
+  // Cancel a paused (or crashed) run: its pending files will not be resumed. Active runs are
+  // cancelled through their job's AbortSignal instead.
+  cancelPending(operationId) {
+    const cancelled = this.cancelRunFilesStmt.run(this.nowIso(), operationId).changes;
+    this.setRunStatus(operationId, 'cancelled');
+    logger.info(`Bulk run ${operationId} cancelled (${cancelled} pending files)`);
+    return cancelled;
+  }
+
+  // Files under the directory matching the include patterns (default: every supported format)
+  // and none of the exclude patterns; patterns are relative to the directory and match
+  // case-insensitively. Matches no extractor can read are left out.
+  async findFiles(rootDir, { include, exclude } = {}) {
+    const matches = await fg(include?.length ? include : DEFAULT_INCLUDE, {
+      cwd: rootDir,
+      ignore: exclude || [],
+      absolute: true,
+      onlyFiles: true,
+      followSymbolicLinks: false,
+      caseSensitiveMatch: false
+    });
+
+    const files = matches.filter(filePath => findExtractor(filePath)).sort();
+    if (files.length < matches.length) {
+      logger.warn(`Ignoring ${matches.length - files.length} files in ${rootDir} with unsupported formats`);
+    }
+    return files;
+  }
+
+  // options: include / exclude glob patterns and removeTimestamps (subtitles). They are stored
+  // with the run so resuming it extracts the remaining files the same way.
+  // An aborted `signal` (job cancellation) lets files already being processed finish and skips the rest
+  async processDirectory(pdfDir, operationId, { workspace, signal, ...options } = {}) {
+    const rag = this.ragService.forWorkspace(workspace);
+    logger.info(`Starting bulk processing for directory: ${pdfDir} (workspace: ${rag.workspaceName})`);
+
     try {
-      logger.info(`Starting bulk PDF processing for directory: ${pdfDir}`);
-      
-      // Find all PDF files recursively
-      const files = await fg(['**/*.pdf'], {
-        cwd: pdfDir,
-        absolute: true,
-        onlyFiles: true,
-        followSymbolicLinks: false
-      });
+      const files = await this.findFiles(pdfDir, options);
 
       if (files.length === 0) {
-        throw new Error(`No PDF files found in directory: ${pdfDir}`);
+        throw new Error(`No supported files found in directory: ${pdfDir}`);
       }
 
-      logger.info(`Found ${files.length} PDF files to process`);
-      
+      logger.info(`Found ${files.length} files to process`);
+
+      // Every file of the run is pending in the manifest before work starts, so a pause or
+      // crash leaves exactly the unprocessed files for resumeProcessing
+      const rootDir = path.resolve(pdfDir);
+      this.insertRunStmt.run({
+        op_id: operationId,
+        root_dir: rootDir,
+        workspace: rag.workspaceName,
+        total_files: files.length,
+        options: JSON.stringify(options),
+        now: this.nowIso()
+      });
+      this.registerFilesTx(files.map(filePath => path.normalize(filePath)), rootDir, operationId);
+    } catch (error) {
+      logger.error(`Bulk processing failed: ${error.message}`);
+      emitDone(operationId, { error: error.message, status: 'failed' });
+      throw error;
+    }
+
+    return this.runFiles(await this.getPendingFiles(operationId), operationId, rag, signal, options);
+  }
+
+  // Process exactly the pending manifest entries: those of the run started with this operation
+  // id if there is one (keeping its workspace), otherwise every pending entry
+  async resumeProcessing(operationId, { workspace, signal } = {}) {
+    if (this.activeRuns.has(operationId)) {
+      throw new Error(`Bulk run ${operationId} is still running`);
+    }
+
+    const run = this.getRunStmt.get(operationId);
+    const pendingFiles = await this.getPendingFiles(run ? operationId : null);
+
+    if (pendingFiles.length === 0) {
+      logger.info('No pending files to resume');
+      emitDone(operationId, { total_files: 0, status: 'completed', message: 'No pending files to resume' });
+      return { message: 'No pending files to resume' };
+    }
+
+    const rag = this.ragService.forWorkspace(workspace ?? run?.workspace);
+    logger.info(`Resuming processing for ${pendingFiles.length} pending files${run ? ` of ${run.root_dir}` : ''}`);
+
+    if (!run) {
+      // Entries left by several earlier runs are adopted by this one
+      this.insertRunStmt.run({
+        op_id: operationId,
+        root_dir: null,
+        workspace: rag.workspaceName,
+        total_files: pendingFiles.length,
+        options: null,
+        now: this.nowIso()
+      });
+      this.adoptPendingStmt.run(operationId, this.nowIso());
+    }
+
+    return this.runFiles(pendingFiles, operationId, rag, signal, this.runOptions(run));
+  }
+
+  // What syncing the directory with the workspace's collection would change: files below it that
+  // are not stored yet (added) or whose checksum differs from the stored version (changed), and
+  // stored files below it that no longer exist on disk (removed). Stored files that still exist
+  // but no longer match the include/exclude patterns are left alone.
+  async planSync(rootDir, rag, options = {}) {
+    if (!fs.existsSync(rootDir) || !fs.statSync(rootDir).isDirectory()) {
+      throw new Error(`Directory does not exist: ${rootDir}`);
+    }
+
+    await rag.ensureDocumentCatalog(await rag.getCollectionPointCount());
+    const files = (await this.findFiles(rootDir, options)).map(filePath => path.normalize(filePath));
+
+    const plan = { root_dir: rootDir, added: [], changed: [], removed: [], unchanged: 0 };
+    for (const filePath of files) {
+      if (!documentCatalog.get(rag.localIndexKey, filePath)) {
+        plan.added.push(filePath);
+      } else if (this.isAlreadyStored(rag, filePath, await this.sha256File(filePath), this.getFileStmt.get(filePath))) {
+        plan.unchanged += 1;
+      } else {
+        plan.changed.push(filePath);
+      }
+    }
+
+    const found = new Set(files);
+    const prefix = rootDir.endsWith(path.sep) ? rootDir : rootDir + path.sep;
+    for (const entry of documentCatalog.list(rag.localIndexKey)) {
+      if (!entry.source.startsWith(prefix) || found.has(entry.source) || fs.existsSync(entry.source)) continue;
+      plan.removed.push({ path: entry.source, chunks: entry.chunk_count });
+    }
+    plan.removed_chunks = plan.removed.reduce((sum, entry) => sum + entry.chunks, 0);
+
+    return plan;
+  }
+
+  // Mirror a directory into the workspace's collection: delete the chunks of vanished files,
+  // then ingest new and changed files as a regular run (changed files have their old chunks
+  // replaced). Takes the processDirectory options plus `dryRun`, which only reports the plan.
+  async syncDirectory(pdfDir, operationId, { workspace, signal, dryRun = false, ...options } = {}) {
+    const rag = this.ragService.forWorkspace(workspace);
+    const rootDir = path.resolve(pdfDir);
+    logger.info(`${dryRun ? 'Planning' : 'Starting'} sync of directory: ${rootDir} (workspace: ${rag.workspaceName})`);
+
+    let plan;
+    try {
+      plan = await this.planSync(rootDir, rag, options);
+      if (dryRun) {
+        logger.info(`Sync plan for ${rootDir}: ${plan.added.length} added, ${plan.changed.length} changed, ${plan.removed.length} removed, ${plan.unchanged} unchanged`);
+        return { dry_run: true, ...plan };
+      }
+      signal?.throwIfAborted();
+
+      if (plan.removed.length > 0) {
+        emitProgress(operationId, `Removing ${plan.removed.length} files that no longer exist`);
+        const removedPaths = plan.removed.map(entry => entry.path);
+        await rag.deleteSources(removedPaths);
+        this.deleteFilesTx(removedPaths);
+        logger.info(`Removed ${removedPaths.length} vanished files (${plan.removed_chunks} chunks)`);
+      }
+
+      this.insertRunStmt.run({
+        op_id: operationId,
+        root_dir: rootDir,
+        workspace: rag.workspaceName,
+        total_files: plan.added.length + plan.changed.length,
+        options: JSON.stringify({ ...options, sync: true }),
+        now: this.nowIso()
+      });
+      this.registerFilesTx([...plan.added, ...plan.changed], rootDir, operationId);
+    } catch (error) {
+      logger.error(`Bulk sync failed: ${error.message}`);
+      // A dry run has no progress stream
+      if (!dryRun && !signal?.aborted) {
+        emitDone(operationId, { error: error.message, status: 'failed' });
+      }
+      throw error;
+    }
+
+    return this.runFiles([...plan.added, ...plan.changed], operationId, rag, signal, {
+      ...options,
+      report: {
+        files_added: plan.added.length,
+        files_changed: plan.changed.length,
+        files_removed: plan.removed.length,
+        files_unchanged: plan.unchanged,
+        removed_chunks: plan.removed_chunks
+      }
+    });
+  }
+
+  // `report` (a sync's counts) is added to the summary and the done event
+  async runFiles(files, operationId, rag, signal, { removeTimestamps = false, report = {} } = {}) {
+    const run = { stopRequested: null };
+    this.activeRuns.set(operationId, run);
+    this.setRunStatus(operationId, 'running');
+
+    const stopReason = () => (signal?.aborted ? 'cancelled' : run.stopRequested);
+
+    try {
+      // Collections filled before the document catalog existed need it for the skip check
+      await rag.ensureDocumentCatalog(await rag.getCollectionPointCount());
+
       // Emit initial progress
       emitProgress(operationId, {
         total_files: files.length,
@@ -269,11 +582,13 @@ class BulkPdfService {
       let errors = 0;
       let totalChunks = 0;
 
-      // Process files with concurrency limit
+      // Process files with concurrency limit. Tasks queued in p-limit check for a stop request
+      // before starting, so pausing or cancelling drains the in-flight files and nothing else.
       const tasks = files.map(filePath =>
         this.limit(async () => {
+          if (stopReason()) return { stopped: true };
           try {
-            const result = await this.processFile(filePath, operationId);
+            const result = await this.processFile(filePath, operationId, rag, { removeTimestamps });
             
             if (result.skipped) {
               skipped += 1;
@@ -321,72 +636,53 @@ class BulkPdfService {
       // Wait for all tasks to complete
       await Promise.allSettled(tasks);
 
-      // Get final stats
-      const stats = await this.getStats();
-      
-      // Emit completion
-      emitDone(operationId, {
-        total_files: files.length,
-        completed: stats.completed,
-        skipped,
-        errors: stats.errors,
-        total_chunks: stats.total_chunks,
-        status: 'completed'
-      });
-
-      logger.info(`Bulk PDF processing completed. Files: ${files.length}, Completed: ${stats.completed}, Errors: ${stats.errors}, Total Chunks: ${stats.total_chunks}`);
-      
-      return {
+      const summary = {
         total_files: files.length,
-        completed: stats.completed,
+        completed,
         skipped,
-        errors: stats.errors,
-        total_chunks: stats.total_chunks
+        errors,
+        total_chunks: totalChunks,
+        ...report
       };
 
-    } catch (error) {
-      logger.error(`Bulk PDF processing failed: ${error.message}`);
-      
-      emitDone(operationId, {
-        error: error.message,
-        status: 'failed'
-      });
-      
-      throw error;
-    }
-  }
-
-  async resumeProcessing(operationId) {
-    try {
-      const pendingFiles = await this.getPendingFiles();
-      
-      if (pendingFiles.length === 0) {
-        logger.info('No pending files to resume');
-        return { message: 'No pending files to resume' };
+      const stopped = stopReason();
+      if (stopped) {
+        const pending = files.length - completed - errors;
+        if (stopped === 'cancelled') {
+          this.cancelRunFilesStmt.run(this.nowIso(), operationId);
+        }
+        this.setRunStatus(operationId, stopped);
+        logger.info(`Bulk processing ${stopped}: ${completed} files done, ${pending} ${stopped === 'paused' ? 'left pending' : 'cancelled'}`);
+        emitDone(operationId, { ...summary, pending, status: stopped });
+        // A cancelled job has to end in an error for the job queue to record it as cancelled
+        signal?.throwIfAborted();
+        return { ...summary, pending, status: stopped };
       }
 
-      logger.info(`Resuming processing for ${pendingFiles.length} pending files`);
-      
-      // Reset status to queued for retry
-      const resetStmt = this.db.prepare(`
-        UPDATE bulk_files 
-        SET status = 'queued', error = NULL, updated_at = ? 
-        WHERE status IN ('queued', 'processing')
-      `);
-      resetStmt.run(this.nowIso());
+      this.setRunStatus(operationId, 'completed');
+      emitDone(operationId, { ...summary, status: 'completed' });
+      logger.info(`Bulk processing completed. Files: ${files.length}, Completed: ${completed}, Skipped: ${skipped}, Errors: ${errors}, Total Chunks: ${totalChunks}`);
+
+      return summary;
 
-      // Process pending files
-      return await this.processDirectory(path.dirname(pendingFiles[0]), operationId);
-      
     } catch (error) {
-      logger.error(`Resume processing failed: ${error.message}`);
+      if (!signal?.aborted) {
+        logger.error(`Bulk processing failed: ${error.message}`);
+        this.setRunStatus(operationId, 'failed');
+        emitDone(operationId, {
+          error: error.message,
+          status: 'failed'
+        });
+      }
       throw error;
+    } finally {
+      this.activeRuns.delete(operationId);
     }
   }
 
   async clearManifest() {
     try {
-      this.db.exec('DELETE FROM bulk_files');
+      this.db.exec('DELETE FROM bulk_files; DELETE FROM bulk_runs;');
       logger.info('Bulk PDF manifest cleared');
       return { message: 'Manifest cleared successfully' };
     } catch (error) {
@@ -0,0 +1,88 @@
+import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
+import { ChatOpenAI } from '@langchain/openai';
+import { FakeListChatModel } from '@langchain/core/utils/testing';
+import logger from '../config/logger.js';
+
+// Chat-model providers. The environment picks the default (CHAT_PROVIDER), a workspace can
+// override it and a request can override both; see getModelConfig in promptConfig.js.
+//   gemini - Google Gemini models (needs GOOGLE_API_KEY or CHAT_API_KEY)
+//   openai - any OpenAI-compatible chat endpoint (OpenAI, vLLM, llama.cpp server, LM Studio...)
+//   fake   - replies with scripted responses in order; for tests and demos without a model,
+//            so it can only be chosen with CHAT_PROVIDER, never by a request or workspace
+
+export const CHAT_PROVIDERS = ['gemini', 'openai', 'fake'];
+const ENV_ONLY_PROVIDERS = ['fake'];
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-1.5-flash',
+  openai: 'gpt-4o-mini',
+  fake: 'scripted'
+};
+
+const DEFAULT_FAKE_RESPONSES = ['This is a scripted response from the fake chat model.'];
+
+// Returns an error message for invalid request or workspace chat settings, or null. `baseUrl`
+// is only accepted where allowBaseUrl is set (workspace definitions), never from chat requests.
+export function validateChatConfig(chat, { allowBaseUrl = false } = {}) {
+  if (chat === undefined || chat === null) return null;
+  if (typeof chat !== 'object' || Array.isArray(chat)) return 'chat settings must be an object';
+
+  const { provider, model, baseUrl, temperature, maxTokens } = chat;
+  if (provider !== undefined && provider !== null && !CHAT_PROVIDERS.includes(provider)) {
+    return `Unknown chat provider "${provider}". Expected one of: ${CHAT_PROVIDERS.join(', ')}`;
+  }
+  if (ENV_ONLY_PROVIDERS.includes(provider)) {
+    return `The ${provider} chat provider can only be selected with CHAT_PROVIDER`;
+  }
+  if (model !== undefined && model !== null && (typeof model !== 'string' || !model.trim() || model.length > 200)) {
+    return 'model must be a non-empty string of at most 200 characters';
+  }
+  if (baseUrl !== undefined && baseUrl !== null) {
+    if (!allowBaseUrl) return 'baseUrl cannot be set per request';
+    if (typeof baseUrl !== 'string' || !/^https?:\/\//.test(baseUrl)) return 'baseUrl must be an http(s) URL';
+  }
+  if (temperature !== undefined && temperature !== null) {
+    const value = Number(temperature);
+    if (!Number.isFinite(value) || value < 0 || value > 2) return 'temperature must be a number between 0 and 2';
+  }
+  if (maxTokens !== undefined && maxTokens !== null) {
+    const value = Number(maxTokens);
+    if (!Number.isInteger(value) || value < 1 || value > 32768) return 'maxTokens must be an integer between 1 and 32768';
+  }
+  return null;
+}
+
+// config: { provider, model, baseUrl, apiKey, temperature, maxTokens, responses }
+export function createChatModel(config) {
+  const { provider, baseUrl, apiKey, temperature, maxTokens, responses } = config;
+  const model = config.model || DEFAULT_MODELS[provider];
+
+  switch (provider) {
+    case 'gemini': {
+      const googleApiKey = apiKey || process.env.GOOGLE_API_KEY;
+      if (!googleApiKey) {
+        throw new Error('GOOGLE_API_KEY (or CHAT_API_KEY) is required for the gemini chat provider');
+      }
+      return new ChatGoogleGenerativeAI({ apiKey: googleApiKey, model, temperature, maxOutputTokens: maxTokens });
+    }
+    case 'openai':
+      return new ChatOpenAI({
+        model,
+        temperature,
+        maxTokens,
+        // Local servers usually ignore the key, but the client refuses to start without one
+        apiKey: apiKey || process.env.OPENAI_API_KEY || 'not-needed',
+        configuration: baseUrl ? { baseURL: baseUrl } : undefined
+      });
+    case 'fake':
+      return new FakeListChatModel({ responses: responses?.length ? responses : DEFAULT_FAKE_RESPONSES });
+    default:
+      logger.warn(`Unknown chat provider: ${provider}`);
+      throw new Error(`Unknown chat provider "${provider}". Expected one of: ${CHAT_PROVIDERS.join(', ')}`);
+  }
+}
+
+// Provider and model name as reported in responses
+export function describeChatConfig(config) {
+  return { provider: config.provider, model: config.model || DEFAULT_MODELS[config.provider] };
+}
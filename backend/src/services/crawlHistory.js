@@ -0,0 +1,234 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import Database from 'better-sqlite3';
+import logger from '../config/logger.js';
+
+// What every crawled page looked like last time, per collection: its ETag and Last-Modified
+// for conditional requests, a hash of its extracted text and the links it had, so a recrawl
+// can skip unchanged pages and still follow their links. Also holds the recurring crawls set
+// up per site (see crawlScheduler.js).
+class CrawlHistory {
+  constructor() {
+    this.initDatabase();
+  }
+
+  initDatabase() {
+    try {
+      const dataDir = process.env.DATA_DIR || '/app/data';
+      const dbPath = path.join(dataDir, 'crawl_history.db');
+
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+
+      this.db = new Database(dbPath);
+      this.db.pragma('journal_mode = WAL');
+
+      // site is the start URL of the crawl that last saw the page
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS crawl_pages (
+          collection TEXT NOT NULL,
+          url TEXT NOT NULL,
+          site TEXT NOT NULL,
+          etag TEXT,
+          last_modified TEXT,
+          content_hash TEXT,
+          links TEXT,
+          depth INTEGER DEFAULT 0,
+          linked_from TEXT,
+          crawled_at TEXT NOT NULL,
+          changed_at TEXT NOT NULL,
+          PRIMARY KEY (collection, url)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_crawl_pages_site ON crawl_pages(collection, site);
+
+        CREATE TABLE IF NOT EXISTS crawl_schedules (
+          id TEXT PRIMARY KEY,
+          workspace TEXT,
+          url TEXT NOT NULL,
+          options TEXT NOT NULL,
+          interval_minutes INTEGER NOT NULL,
+          next_run_at TEXT NOT NULL,
+          last_run_at TEXT,
+          last_job_id TEXT,
+          created_at TEXT NOT NULL
+        );
+      `);
+
+      this.siteStmt = this.db.prepare(`SELECT * FROM crawl_pages WHERE collection = ? AND site = ?`);
+      this.upsertStmt = this.db.prepare(`
+        INSERT INTO crawl_pages (collection, url, site, etag, last_modified, content_hash, links, depth, linked_from, crawled_at, changed_at)
+        VALUES (@collection, @url, @site, @etag, @last_modified, @content_hash, @links, @depth, @linked_from, @now, @now)
+        ON CONFLICT(collection, url) DO UPDATE SET
+          site=excluded.site,
+          etag=excluded.etag,
+          last_modified=excluded.last_modified,
+          content_hash=excluded.content_hash,
+          links=excluded.links,
+          depth=excluded.depth,
+          linked_from=excluded.linked_from,
+          crawled_at=excluded.crawled_at,
+          changed_at=CASE WHEN crawl_pages.content_hash IS excluded.content_hash THEN crawl_pages.changed_at ELSE excluded.changed_at END
+      `);
+      this.touchStmt = this.db.prepare(`UPDATE crawl_pages SET crawled_at = ? WHERE collection = ? AND url = ?`);
+      this.deleteStmt = this.db.prepare(`DELETE FROM crawl_pages WHERE collection = ? AND url = ?`);
+      this.clearStmt = this.db.prepare(`DELETE FROM crawl_pages WHERE collection = ?`);
+
+      this.recordTx = this.db.transaction((collection, site, pages) => {
+        const now = this.nowIso();
+        for (const page of pages) {
+          this.upsertStmt.run({
+            collection,
+            site,
+            url: page.url,
+            etag: page.etag || null,
+            last_modified: page.lastModified || null,
+            content_hash: page.contentHash || null,
+            links: JSON.stringify(page.links || []),
+            depth: page.depth ?? 0,
+            linked_from: page.linkedFrom || null,
+            now
+          });
+        }
+      });
+      this.touchTx = this.db.transaction((collection, urls) => {
+        const now = this.nowIso();
+        for (const url of urls) this.touchStmt.run(now, collection, url);
+      });
+      this.removeTx = this.db.transaction((collection, urls) => {
+        for (const url of urls) this.deleteStmt.run(collection, url);
+      });
+
+      this.insertScheduleStmt = this.db.prepare(`
+        INSERT INTO crawl_schedules (id, workspace, url, options, interval_minutes, next_run_at, created_at)
+        VALUES (@id, @workspace, @url, @options, @interval_minutes, @next_run_at, @created_at)
+      `);
+      this.getScheduleStmt = this.db.prepare(`SELECT * FROM crawl_schedules WHERE id = ?`);
+      this.listSchedulesStmt = this.db.prepare(`SELECT * FROM crawl_schedules ORDER BY created_at`);
+      this.dueSchedulesStmt = this.db.prepare(`SELECT * FROM crawl_schedules WHERE next_run_at <= ? ORDER BY next_run_at`);
+      this.markScheduleStmt = this.db.prepare(`
+        UPDATE crawl_schedules SET next_run_at = @next_run_at, last_run_at = @last_run_at, last_job_id = @last_job_id
+        WHERE id = @id
+      `);
+      this.deleteScheduleStmt = this.db.prepare(`DELETE FROM crawl_schedules WHERE id = ?`);
+      this.deleteWorkspaceSchedulesStmt = this.db.prepare(`DELETE FROM crawl_schedules WHERE workspace = ?`);
+
+      logger.info('Crawl history database initialized');
+    } catch (error) {
+      logger.error(`Failed to initialize crawl history database: ${error.message}`);
+      throw error;
+    }
+  }
+
+  nowIso() {
+    return new Date().toISOString();
+  }
+
+  hashContent(text) {
+    return crypto.createHash('sha256').update(text || '').digest('hex');
+  }
+
+  // url -> { etag, lastModified, contentHash, links, depth, linkedFrom, crawledAt, changedAt } for
+  // the pages last crawled from this start URL; linkedFrom is the page a linked document was found on
+  forSite(collection, site) {
+    return new Map(this.siteStmt.all(collection, site).map(row => [row.url, {
+      etag: row.etag,
+      lastModified: row.last_modified,
+      contentHash: row.content_hash,
+      links: row.links ? JSON.parse(row.links) : [],
+      depth: row.depth,
+      linkedFrom: row.linked_from,
+      crawledAt: row.crawled_at,
+      changedAt: row.changed_at
+    }]));
+  }
+
+  // pages: [{ url, etag, lastModified, contentHash, links, depth, linkedFrom }]
+  record(collection, site, pages) {
+    this.recordTx(collection, site, pages);
+  }
+
+  // Pages that answered 304 Not Modified
+  touch(collection, urls) {
+    this.touchTx(collection, urls);
+  }
+
+  remove(collection, urls) {
+    this.removeTx(collection, urls);
+  }
+
+  clearCollection(collection) {
+    return this.clearStmt.run(collection).changes;
+  }
+
+  scheduleFromRow(row) {
+    return {
+      id: row.id,
+      workspace: row.workspace || null,
+      url: row.url,
+      options: JSON.parse(row.options),
+      intervalMinutes: row.interval_minutes,
+      nextRunAt: row.next_run_at,
+      lastRunAt: row.last_run_at || null,
+      lastJobId: row.last_job_id || null,
+      createdAt: row.created_at
+    };
+  }
+
+  // The first run is due right away
+  createSchedule({ workspace, url, options = {}, intervalMinutes }) {
+    const id = crypto.randomUUID();
+    const now = this.nowIso();
+    this.insertScheduleStmt.run({
+      id,
+      workspace: workspace || null,
+      url,
+      options: JSON.stringify(options),
+      interval_minutes: intervalMinutes,
+      next_run_at: now,
+      created_at: now
+    });
+    logger.info(`Scheduled a crawl of ${url} every ${intervalMinutes} minutes`);
+    return this.getSchedule(id);
+  }
+
+  getSchedule(id) {
+    const row = this.getScheduleStmt.get(id);
+    return row ? this.scheduleFromRow(row) : null;
+  }
+
+  listSchedules() {
+    return this.listSchedulesStmt.all().map(row => this.scheduleFromRow(row));
+  }
+
+  dueSchedules(now = this.nowIso()) {
+    return this.dueSchedulesStmt.all(now).map(row => this.scheduleFromRow(row));
+  }
+
+  markScheduleRun(id, { nextRunAt, jobId }) {
+    this.markScheduleStmt.run({
+      id,
+      next_run_at: nextRunAt,
+      last_run_at: this.nowIso(),
+      last_job_id: jobId
+    });
+  }
+
+  deleteSchedule(id) {
+    return this.deleteScheduleStmt.run(id).changes > 0;
+  }
+
+  deleteWorkspaceSchedules(workspace) {
+    return this.deleteWorkspaceSchedulesStmt.run(workspace).changes;
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+    }
+  }
+}
+
+export default new CrawlHistory();
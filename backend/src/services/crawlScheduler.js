@@ -0,0 +1,53 @@
+import logger from '../config/logger.js';
+import crawlHistory from './crawlHistory.js';
+import jobQueue from './jobQueue.js';
+
+// How often the schedules are checked for due crawls
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Runs the recurring crawls stored in crawlHistory. A due schedule queues an ordinary 'crawl'
+// job, which recrawls the site (only changed pages are stored again), and moves its next run
+// one interval ahead. A schedule whose previous job is still queued or running stays due until
+// that job has finished, so slow sites never pile up crawls.
+class CrawlScheduler {
+  constructor() {
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.runDue(), CHECK_INTERVAL_MS);
+    this.timer.unref();
+    this.runDue();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Queues the due crawls; returns the jobs started
+  runDue(now = new Date()) {
+    const jobs = [];
+    for (const schedule of crawlHistory.dueSchedules(now.toISOString())) {
+      try {
+        const previous = schedule.lastJobId ? jobQueue.get(schedule.lastJobId) : null;
+        if (previous && ['queued', 'running'].includes(previous.status)) {
+          logger.debug(`Scheduled crawl of ${schedule.url} is waiting for job ${previous.id}`);
+          continue;
+        }
+
+        const job = jobQueue.enqueue('crawl', { url: schedule.url, options: schedule.options, scheduleId: schedule.id }, { workspace: schedule.workspace });
+        const nextRunAt = new Date(now.getTime() + schedule.intervalMinutes * 60 * 1000).toISOString();
+        crawlHistory.markScheduleRun(schedule.id, { nextRunAt, jobId: job.id });
+        logger.info(`Started scheduled crawl of ${schedule.url} (job ${job.id}); next run at ${nextRunAt}`);
+        jobs.push(job);
+      } catch (error) {
+        logger.error(`Failed to start scheduled crawl of ${schedule.url}: ${error.message}`);
+      }
+    }
+    return jobs;
+  }
+}
+
+export default new CrawlScheduler();
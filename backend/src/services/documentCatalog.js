@@ -0,0 +1,139 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import Database from 'better-sqlite3';
+import logger from '../config/logger.js';
+
+// One row per ingested source (file, web page, pasted text) and collection. Kept up to date by
+// RAGService.storeChunks and deleteDocument so listing, stats and deletes never have to scroll
+// the whole Qdrant collection.
+class DocumentCatalog {
+  constructor() {
+    this.initDatabase();
+  }
+
+  initDatabase() {
+    try {
+      const dataDir = process.env.DATA_DIR || '/app/data';
+      const dbPath = path.join(dataDir, 'document_catalog.db');
+
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+
+      this.db = new Database(dbPath);
+      this.db.pragma('journal_mode = WAL');
+
+      // display_name is the cleaned name shown in the UI (RAGService.cleanSourceName)
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS documents (
+          collection TEXT NOT NULL,
+          source TEXT NOT NULL,
+          display_name TEXT NOT NULL,
+          title TEXT,
+          type TEXT,
+          chunk_count INTEGER DEFAULT 0,
+          checksum TEXT,
+          ingested_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (collection, source)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_documents_display_name ON documents(collection, display_name);
+      `);
+
+      this.upsertStmt = this.db.prepare(`
+        INSERT INTO documents (collection, source, display_name, title, type, chunk_count, checksum, ingested_at, updated_at)
+        VALUES (@collection, @source, @display_name, @title, @type, @chunk_count, @checksum, @now, @now)
+        ON CONFLICT(collection, source) DO UPDATE SET
+          display_name=excluded.display_name,
+          title=COALESCE(excluded.title, documents.title),
+          type=COALESCE(excluded.type, documents.type),
+          chunk_count=excluded.chunk_count,
+          checksum=COALESCE(excluded.checksum, documents.checksum),
+          updated_at=excluded.updated_at
+      `);
+
+      this.listStmt = this.db.prepare(`SELECT * FROM documents WHERE collection = ? ORDER BY display_name`);
+      this.getStmt = this.db.prepare(`SELECT * FROM documents WHERE collection = ? AND source = ?`);
+      this.byDisplayNameStmt = this.db.prepare(`SELECT source FROM documents WHERE collection = ? AND display_name = ?`);
+      this.deleteStmt = this.db.prepare(`DELETE FROM documents WHERE collection = ? AND source = ?`);
+      this.clearStmt = this.db.prepare(`DELETE FROM documents WHERE collection = ?`);
+      this.statsStmt = this.db.prepare(`
+        SELECT COUNT(*) as sources, COALESCE(SUM(chunk_count), 0) as chunks
+        FROM documents WHERE collection = ?
+      `);
+
+      this.replaceAllTx = this.db.transaction((collection, rows) => {
+        this.clearStmt.run(collection);
+        for (const row of rows) this.upsertStmt.run({ ...row, collection });
+      });
+
+      logger.info('Document catalog database initialized');
+    } catch (error) {
+      logger.error(`Failed to initialize document catalog database: ${error.message}`);
+      throw error;
+    }
+  }
+
+  nowIso() {
+    return new Date().toISOString();
+  }
+
+  toRow(entry) {
+    return {
+      source: entry.source,
+      display_name: entry.displayName,
+      title: entry.title ?? null,
+      type: entry.type ?? null,
+      chunk_count: entry.chunkCount ?? 0,
+      checksum: entry.checksum ?? null,
+      now: entry.updatedAt || this.nowIso()
+    };
+  }
+
+  // entry: { source, displayName, title, type, chunkCount, checksum }
+  upsert(collection, entry) {
+    this.upsertStmt.run({ ...this.toRow(entry), collection });
+  }
+
+  // Replace the whole catalog of a collection (used when rebuilding from Qdrant)
+  replaceAll(collection, entries) {
+    this.replaceAllTx(collection, entries.map(entry => this.toRow(entry)));
+  }
+
+  get(collection, source) {
+    return this.getStmt.get(collection, source) || null;
+  }
+
+  list(collection) {
+    return this.listStmt.all(collection);
+  }
+
+  sourcesForDisplayName(collection, displayName) {
+    return this.byDisplayNameStmt.all(collection, displayName).map(row => row.source);
+  }
+
+  remove(collection, sources) {
+    let removed = 0;
+    for (const source of sources) {
+      removed += this.deleteStmt.run(collection, source).changes;
+    }
+    return removed;
+  }
+
+  clearCollection(collection) {
+    return this.clearStmt.run(collection).changes;
+  }
+
+  stats(collection) {
+    return this.statsStmt.get(collection);
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+    }
+  }
+}
+
+export default new DocumentCatalog();
@@ -0,0 +1,182 @@
+import crypto from 'node:crypto';
+import { Embeddings } from '@langchain/core/embeddings';
+import { GoogleGenerativeAIEmbeddings } from '@langchain/google-genai';
+import logger from '../config/logger.js';
+
+// Embedding providers selected with EMBEDDING_PROVIDER. Every provider is a LangChain
+// Embeddings instance, so QdrantVectorStore and the ingest code use them interchangeably.
+//   gemini  - Google embedding models (default, needs GOOGLE_API_KEY)
+//   openai  - any OpenAI-compatible /embeddings endpoint (OpenAI, Azure proxies, vLLM, LM Studio...)
+//   ollama  - an Ollama-style local server (/api/embed)
+//   hash    - deterministic feature hashing; no network, for offline tests and air-gapped installs
+
+export const EMBEDDING_PROVIDERS = ['gemini', 'openai', 'ollama', 'hash'];
+
+async function postJson(provider, url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`${provider} embeddings request failed (${response.status}): ${detail.slice(0, 200)}`);
+  }
+  return response.json();
+}
+
+export class OpenAICompatibleEmbeddings extends Embeddings {
+  constructor({ baseUrl = 'https://api.openai.com/v1', apiKey, model = 'text-embedding-3-small', dimensions, batchSize = 256, ...params } = {}) {
+    super(params);
+    this.provider = 'openai';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    // Only sent when configured: models with a fixed size reject the parameter
+    this.dimensions = dimensions || null;
+    this.batchSize = batchSize;
+  }
+
+  async embedBatch(texts) {
+    const body = { model: this.model, input: texts };
+    if (this.dimensions) body.dimensions = this.dimensions;
+    const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+
+    const result = await this.caller.call(() => postJson(this.provider, `${this.baseUrl}/embeddings`, body, headers));
+    return result.data
+      .slice()
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+
+  async embedDocuments(texts) {
+    const vectors = [];
+    for (let start = 0; start < texts.length; start += this.batchSize) {
+      vectors.push(...await this.embedBatch(texts.slice(start, start + this.batchSize)));
+    }
+    return vectors;
+  }
+
+  async embedQuery(text) {
+    const [vector] = await this.embedBatch([text]);
+    return vector;
+  }
+}
+
+export class OllamaEmbeddings extends Embeddings {
+  constructor({ baseUrl = 'http://localhost:11434', model = 'nomic-embed-text', batchSize = 64, ...params } = {}) {
+    super(params);
+    this.provider = 'ollama';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.model = model;
+    this.dimensions = null;
+    this.batchSize = batchSize;
+  }
+
+  async embedBatch(texts) {
+    const result = await this.caller.call(() => postJson(this.provider, `${this.baseUrl}/api/embed`, { model: this.model, input: texts }));
+    return result.embeddings;
+  }
+
+  async embedDocuments(texts) {
+    const vectors = [];
+    for (let start = 0; start < texts.length; start += this.batchSize) {
+      vectors.push(...await this.embedBatch(texts.slice(start, start + this.batchSize)));
+    }
+    return vectors;
+  }
+
+  async embedQuery(text) {
+    const [vector] = await this.embedBatch([text]);
+    return vector;
+  }
+}
+
+// Feature hashing over words and word pairs, L2-normalised. Texts sharing vocabulary get similar
+// vectors, which is enough for tests and keyword-heavy corpora; it has no notion of synonyms.
+export class HashingEmbeddings extends Embeddings {
+  constructor({ dimensions = 384, ...params } = {}) {
+    super(params);
+    this.provider = 'hash';
+    this.model = `hash-${dimensions}`;
+    this.dimensions = dimensions;
+  }
+
+  addFeature(vector, feature, weight) {
+    const digest = crypto.createHash('sha1').update(feature).digest();
+    const index = digest.readUInt32BE(0) % this.dimensions;
+    vector[index] += (digest[4] & 1 ? 1 : -1) * weight;
+  }
+
+  embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const terms = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+    terms.forEach((term, index) => {
+      this.addFeature(vector, term, 1);
+      if (index > 0) this.addFeature(vector, `${terms[index - 1]} ${term}`, 0.5);
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    if (norm === 0) {
+      // Cosine distance is undefined for a zero vector
+      vector[0] = 1;
+      return vector;
+    }
+    return vector.map(value => value / norm);
+  }
+
+  async embedDocuments(texts) {
+    return texts.map(text => this.embed(text));
+  }
+
+  async embedQuery(text) {
+    return this.embed(text);
+  }
+}
+
+export function embeddingConfigFromEnv(env = process.env) {
+  return {
+    provider: env.EMBEDDING_PROVIDER || 'gemini',
+    model: env.EMBEDDING_MODEL || undefined,
+    baseUrl: env.EMBEDDING_BASE_URL || undefined,
+    apiKey: env.EMBEDDING_API_KEY || undefined,
+    dimensions: env.EMBEDDING_DIMENSIONS ? Number(env.EMBEDDING_DIMENSIONS) : undefined
+  };
+}
+
+export function createEmbeddings(config = embeddingConfigFromEnv()) {
+  const { provider, model, baseUrl, apiKey, dimensions } = config;
+
+  switch (provider) {
+    case 'gemini': {
+      const googleApiKey = apiKey || process.env.GOOGLE_API_KEY;
+      if (!googleApiKey) {
+        throw new Error('GOOGLE_API_KEY (or EMBEDDING_API_KEY) is required for the gemini embedding provider');
+      }
+      const embeddings = new GoogleGenerativeAIEmbeddings({ apiKey: googleApiKey, model: model || 'embedding-001' });
+      embeddings.provider = 'gemini';
+      embeddings.dimensions = null;
+      return embeddings;
+    }
+    case 'openai':
+      return new OpenAICompatibleEmbeddings({ baseUrl, apiKey: apiKey || process.env.OPENAI_API_KEY, model, dimensions });
+    case 'ollama':
+      return new OllamaEmbeddings({ baseUrl, model });
+    case 'hash':
+      return new HashingEmbeddings({ dimensions });
+    default:
+      logger.warn(`Unknown embedding provider: ${provider}`);
+      throw new Error(`Unknown embedding provider "${provider}". Expected one of: ${EMBEDDING_PROVIDERS.join(', ')}`);
+  }
+}
+
+// Providers that know their size report it; the others are asked to embed a short probe text
+export async function detectVectorSize(embeddings) {
+  if (embeddings.dimensions) return embeddings.dimensions;
+  const vector = await embeddings.embedQuery('vector size probe');
+  if (!Array.isArray(vector) || vector.length === 0) {
+    throw new Error('Embedding provider returned an empty vector');
+  }
+  return vector.length;
+}
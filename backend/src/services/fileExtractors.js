@@ -0,0 +1,130 @@
+import path from 'node:path';
+import mammoth from 'mammoth';
+import { extractPdf, pageMetadataForChunks } from './pdfExtractor.js';
+import { extractHtmlContent, headingMetadataForChunks } from './htmlExtractor.js';
+
+// Per-format text extraction shared by RAGService.processFile (uploads) and BulkPdfService
+// (directories). Each extractor turns a file's buffer into { text, layout }; layout is the page
+// layout of a PDF (see pdfExtractor.js), the headings of an HTML file (see htmlExtractor.js) and
+// null for every other format.
+
+// Lines are trimmed; timestamps, cue numbers and the WEBVTT header are optionally dropped
+export function processSubtitleContent(content, fileType, removeTimestamps) {
+  const timestampPattern = fileType === 'vtt' ? /^\d{2}:\d{2}:\d{2}\.\d{3}/ : /^\d{2}:\d{2}:\d{2},\d{3}/;
+  const processedLines = [];
+
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.trim();
+    if (!line) continue;
+    if (fileType === 'vtt' && line.startsWith('WEBVTT')) continue;
+    if (removeTimestamps && (line.includes('-->') || /^\d+$/.test(line) || timestampPattern.test(line))) continue;
+    processedLines.push(line);
+  }
+
+  return processedLines.join('\n');
+}
+
+function subtitleLabel(format) {
+  return ({ removeTimestamps }) =>
+    `Processing ${format.toUpperCase()} subtitle file${removeTimestamps ? ' (removing timestamps)' : ' (keeping timestamps)'}`;
+}
+
+// `name` is what the bulk manifest records as the extractor used
+const EXTRACTORS = [
+  {
+    name: 'pdf-parse',
+    extensions: ['.pdf'],
+    mimetypes: ['application/pdf'],
+    label: 'Extracting text from PDF',
+    async extract(buffer) {
+      const layout = await extractPdf(buffer);
+      return { text: layout.text || '', layout };
+    },
+  },
+  {
+    name: 'mammoth',
+    extensions: ['.docx'],
+    mimetypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    label: 'Extracting text from DOCX',
+    async extract(buffer) {
+      const result = await mammoth.extractRawText({ buffer });
+      return { text: result.value || '', layout: null };
+    },
+  },
+  {
+    name: 'plain-text',
+    extensions: ['.txt', '.md'],
+    mimetypes: ['text/plain', 'text/markdown'],
+    label: 'Reading text file',
+    async extract(buffer) {
+      return { text: buffer.toString('utf8'), layout: null };
+    },
+  },
+  {
+    name: 'csv',
+    extensions: ['.csv'],
+    mimetypes: ['text/csv'],
+    label: 'Processing CSV file',
+    async extract(buffer) {
+      // One line per row with the fields separated by " | "
+      const rows = buffer.toString('utf8').split('\n').map(line =>
+        line.split(',').map(field => field.trim().replace(/"/g, '')).join(' | ')
+      );
+      return { text: rows.join('\n'), layout: null };
+    },
+  },
+  {
+    name: 'html-markdown',
+    extensions: ['.html', '.htm'],
+    mimetypes: ['text/html'],
+    label: 'Extracting text from HTML',
+    async extract(buffer) {
+      // Same main-content detection and Markdown structure as crawled pages
+      const { text, headings } = extractHtmlContent(buffer.toString('utf8'));
+      return { text, layout: { text, headings } };
+    },
+  },
+  {
+    name: 'subtitle-vtt',
+    extensions: ['.vtt'],
+    mimetypes: ['text/vtt'],
+    label: subtitleLabel('vtt'),
+    async extract(buffer, { removeTimestamps = false } = {}) {
+      return { text: processSubtitleContent(buffer.toString('utf8'), 'vtt', removeTimestamps), layout: null };
+    },
+  },
+  {
+    name: 'subtitle-srt',
+    extensions: ['.srt'],
+    mimetypes: ['application/x-subrip'],
+    label: subtitleLabel('srt'),
+    async extract(buffer, { removeTimestamps = false } = {}) {
+      return { text: processSubtitleContent(buffer.toString('utf8'), 'srt', removeTimestamps), layout: null };
+    },
+  },
+];
+
+// Chunk metadata from an extractor's layout, one entry per chunk text: page_start / page_end /
+// section for PDFs, section / breadcrumbs for HTML
+export function layoutMetadataForChunks(layout, chunkTexts) {
+  return layout.pages ? pageMetadataForChunks(layout, chunkTexts) : headingMetadataForChunks(layout, chunkTexts);
+}
+
+export const SUPPORTED_EXTENSIONS = EXTRACTORS.flatMap(extractor => extractor.extensions);
+
+// The extractor for a file, matched on its extension first and its MIME type second, or null.
+// The returned object adds `fileType` (the extension without the dot, e.g. "md") and
+// `describe(options)` for progress messages.
+export function findExtractor(filename, mimetype) {
+  const extension = path.extname(filename || '').toLowerCase();
+  const extractor = EXTRACTORS.find(candidate => candidate.extensions.includes(extension))
+    || EXTRACTORS.find(candidate => mimetype && candidate.mimetypes.includes(mimetype));
+  if (!extractor) return null;
+
+  const fileType = (extractor.extensions.includes(extension) ? extension : extractor.extensions[0]).slice(1);
+  return {
+    ...extractor,
+    fileType,
+    describe: (options = {}) => (typeof extractor.label === 'function' ? extractor.label(options) : extractor.label),
+  };
+}
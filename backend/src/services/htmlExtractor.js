@@ -0,0 +1,318 @@
+// Structure-preserving HTML extraction shared by the website crawler and HTML uploads.
+//
+// The main content is found the way Readability does it: paragraphs score their nearest
+// containers by length and commas, class/id names and link density adjust the scores, and the
+// best container wins. It is then written out as Markdown-like text: "#" headings, "-" / "1."
+// lists, fenced code and Markdown tables, so a dosing table stays a table. Headings are recorded
+// with their offsets so chunks can carry the breadcrumbs of the section they start in.
+
+import * as cheerio from 'cheerio';
+
+// Never content
+const NOISE_SELECTOR = 'script, style, noscript, template, iframe, svg, canvas, button, select, input, textarea, [hidden], [aria-hidden="true"]';
+// Page chrome; header and footer only outside the main/article they may title
+const CHROME_SELECTOR = 'nav, [role="navigation"], [role="banner"], [role="contentinfo"], .ad, .ads, .advertisement';
+// Kept out of the text, but their links are still followed by the crawler
+const ASIDE_SELECTOR = 'aside, [role="complementary"], [role="dialog"]';
+
+const UNLIKELY_CANDIDATES = /-ad-|\bads?\b|advert|banner|breadcrumb|combx|comment|community|cookie|disqus|gdpr|legends|menu|modal|newsletter|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skip-link|skyscraper|social|sponsor|subscribe|toolbar|widget/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE_NAMES = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE_NAMES = /-ad-|hidden|banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+// Elements that can hold the main content, with their starting scores
+const CONTAINER_SCORES = { div: 5, section: 5, article: 10, main: 15, body: 0 };
+// Elements whose text counts as a paragraph for scoring
+const PARAGRAPH_SELECTOR = 'p, pre, td, th, blockquote, li, dd';
+const MIN_PARAGRAPH_LENGTH = 25;
+
+const INLINE_TAGS = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'cite', 'code', 'data', 'del', 'dfn', 'em', 'font', 'i', 'img', 'ins',
+  'kbd', 'label', 'mark', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var', 'wbr',
+]);
+// Stands in for <br> until whitespace has been collapsed
+const LINE_BREAK = '\uE000';
+
+function isTag(node) {
+  return node.type === 'tag';
+}
+
+function isContainer(node) {
+  return isTag(node) && Object.hasOwn(CONTAINER_SCORES, node.name);
+}
+
+function hasNestedTable(node) {
+  return (node.children || []).some(child => isTag(child) && (child.name === 'table' || hasNestedTable(child)));
+}
+
+function classAndId(node) {
+  return `${node.attribs?.class || ''} ${node.attribs?.id || ''}`;
+}
+
+// Text of an inline run; nested blocks are separated by spaces
+function inlineText(node) {
+  if (node.type === 'text') return node.data;
+  if (!isTag(node)) return '';
+  if (node.name === 'br') return LINE_BREAK;
+  if (node.name === 'img') return '';
+  const inner = (node.children || []).map(inlineText).join('');
+  return INLINE_TAGS.has(node.name) ? inner : ` ${inner} `;
+}
+
+// Collapses whitespace; <br> line breaks survive
+function cleanText(text) {
+  return text.replace(/\s+/g, ' ').split(LINE_BREAK).map(line => line.trim()).filter(Boolean).join('\n');
+}
+
+// Text with its whitespace as is, for <pre>
+function rawText(node) {
+  if (node.type === 'text') return node.data;
+  if (!isTag(node)) return '';
+  if (node.name === 'br') return '\n';
+  return (node.children || []).map(rawText).join('');
+}
+
+function childTags(node, names) {
+  return (node.children || []).filter(child => isTag(child) && names.includes(child.name));
+}
+
+function cellText(cell) {
+  return cleanText(inlineText(cell)).replace(/\n/g, ' ').replace(/\|/g, '\\|');
+}
+
+// Rows of cells; colspans are padded with empty cells, and a rowspan repeats its cell in the rows
+// below so every row reads on its own
+function tableRows(table) {
+  const rows = [];
+  for (const section of [table, ...childTags(table, ['thead', 'tbody', 'tfoot'])]) {
+    rows.push(...childTags(section, ['tr']));
+  }
+
+  const spans = new Map(); // column -> { text, remaining }
+  return rows.map(row => {
+    const cells = [];
+    const takeSpans = () => {
+      while (spans.has(cells.length)) {
+        const span = spans.get(cells.length);
+        cells.push(span.text);
+        if (--span.remaining === 0) spans.delete(cells.length - 1);
+      }
+    };
+    for (const cell of childTags(row, ['th', 'td'])) {
+      takeSpans();
+      const text = cellText(cell);
+      const colspan = Math.max(1, Number.parseInt(cell.attribs?.colspan, 10) || 1);
+      const rowspan = Math.max(1, Number.parseInt(cell.attribs?.rowspan, 10) || 1);
+      for (let i = 0; i < colspan; i++) {
+        if (rowspan > 1) spans.set(cells.length, { text, remaining: rowspan - 1 });
+        cells.push(i === 0 ? text : '');
+      }
+    }
+    takeSpans();
+    return cells;
+  });
+}
+
+// A Markdown table, or null for layout tables (nested tables or a single column)
+function tableMarkdown(table) {
+  if (hasNestedTable(table)) return null;
+  const rows = tableRows(table).filter(cells => cells.some(Boolean));
+  const width = Math.max(0, ...rows.map(cells => cells.length));
+  if (rows.length === 0 || width < 2) return null;
+
+  const line = cells => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+  const lines = [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)];
+  const caption = childTags(table, ['caption']).map(cellText).join(' ');
+  return caption ? `${caption}\n\n${lines.join('\n')}` : lines.join('\n');
+}
+
+function listMarkdown(list, depth) {
+  const lines = [];
+  let number = Number.parseInt(list.attribs?.start, 10) || 1;
+  for (const item of childTags(list, ['li'])) {
+    const own = (item.children || []).filter(child => !(isTag(child) && ['ul', 'ol'].includes(child.name)));
+    const text = cleanText(own.map(inlineText).join('')).replace(/\n/g, ' ');
+    const marker = list.name === 'ol' ? `${number++}.` : '-';
+    if (text) lines.push(`${'  '.repeat(depth)}${marker} ${text}`);
+    for (const nested of childTags(item, ['ul', 'ol'])) {
+      const nestedText = listMarkdown(nested, depth + 1);
+      if (nestedText) lines.push(nestedText);
+    }
+  }
+  return lines.join('\n');
+}
+
+// { text, headings: [{ level, text, offset }] }. Blocks are separated by a blank line and a
+// heading by two, so the text splitter prefers to break chunks at headings.
+function toMarkdown(root) {
+  const blocks = [];
+  let pending = '';
+
+  const flush = () => {
+    const text = cleanText(pending);
+    if (text) blocks.push({ text });
+    pending = '';
+  };
+
+  const walk = (node) => {
+    for (const child of node.children || []) {
+      if (child.type === 'text') {
+        pending += child.data;
+        continue;
+      }
+      if (!isTag(child)) continue;
+      if (INLINE_TAGS.has(child.name)) {
+        pending += inlineText(child);
+        continue;
+      }
+
+      flush();
+      const { name } = child;
+      if (/^h[1-6]$/.test(name)) {
+        const level = Number(name[1]);
+        const text = cleanText(inlineText(child)).replace(/\n/g, ' ');
+        if (text) blocks.push({ text: `${'#'.repeat(level)} ${text}`, heading: { level, text } });
+      } else if (name === 'ul' || name === 'ol') {
+        const text = listMarkdown(child, 0);
+        if (text) blocks.push({ text });
+      } else if (name === 'table') {
+        const text = tableMarkdown(child);
+        if (text) blocks.push({ text });
+        else walk(child);
+      } else if (name === 'pre') {
+        const code = rawText(child).replace(/^\n+|\s+$/g, '');
+        if (code) blocks.push({ text: `\`\`\`\n${code}\n\`\`\`` });
+      } else if (name === 'blockquote') {
+        const quoted = toMarkdown(child).text;
+        if (quoted) blocks.push({ text: quoted.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n') });
+      } else if (name !== 'hr') {
+        walk(child);
+      }
+      flush();
+    }
+  };
+
+  walk(root);
+  flush();
+
+  let text = '';
+  const headings = [];
+  for (const block of blocks) {
+    if (text) text += block.heading ? '\n\n\n' : '\n\n';
+    if (block.heading) headings.push({ ...block.heading, offset: text.length });
+    text += block.text;
+  }
+  return { text, headings };
+}
+
+function removeUnlikelyCandidates($) {
+  $('body *').each((_, element) => {
+    if (['main', 'article', 'body', 'a'].includes(element.name)) return;
+    const names = classAndId(element);
+    if (!UNLIKELY_CANDIDATES.test(names) || MAYBE_CANDIDATE.test(names)) return;
+    if ($(element).closest('table, pre, code').length > 0) return;
+    $(element).remove();
+  });
+}
+
+function classWeight(element) {
+  const names = classAndId(element);
+  let weight = 0;
+  if (NEGATIVE_NAMES.test(names)) weight -= 25;
+  if (POSITIVE_NAMES.test(names)) weight += 25;
+  if (element.attribs?.role === 'main') weight += 25;
+  return weight;
+}
+
+// Readability-style scoring; falls back to <body>
+function findMainContent($) {
+  const scores = new Map();
+  const textLength = element => $(element).text().replace(/\s+/g, ' ').trim().length;
+
+  $(PARAGRAPH_SELECTOR).add($('div').filter((_, div) => $(div).children().filter((__, child) => !INLINE_TAGS.has(child.name)).length === 0))
+    .each((_, paragraph) => {
+      const text = $(paragraph).text().replace(/\s+/g, ' ').trim();
+      if (text.length < MIN_PARAGRAPH_LENGTH) return;
+      const score = 1 + text.split(',').length - 1 + Math.min(Math.floor(text.length / 100), 3);
+
+      // The nearest containers get the score, divided more the further up they are
+      const containers = $(paragraph).parents().toArray().filter(isContainer).slice(0, 3);
+      containers.forEach((container, level) => {
+        if (!scores.has(container)) {
+          scores.set(container, CONTAINER_SCORES[container.name] + classWeight(container));
+        }
+        scores.set(container, scores.get(container) + score / (level === 0 ? 1 : level === 1 ? 2 : level * 3));
+      });
+    });
+
+  let best = null;
+  let bestScore = -Infinity;
+  for (const [element, score] of scores) {
+    const length = textLength(element);
+    if (length === 0) continue;
+    const linkLength = $(element).find('a').toArray().reduce((sum, link) => sum + textLength(link), 0);
+    const finalScore = score * (1 - Math.min(linkLength / length, 1));
+    if (finalScore > bestScore) {
+      best = element;
+      bestScore = finalScore;
+    }
+  }
+  if (!best) return $('body').get(0);
+
+  // Climb to a parent that adds little besides the content, such as the title above it
+  let bestLength = textLength(best);
+  while (best.parent && isContainer(best.parent)) {
+    const parentLength = textLength(best.parent);
+    if (parentLength > bestLength * 1.25) break;
+    best = best.parent;
+    bestLength = parentLength;
+  }
+  return best;
+}
+
+// { title, text, headings, contentHtml, pageHtml }: text is the main content as Markdown-like
+// text, headings are offsets into it, and pageHtml is the page without its navigation and
+// chrome (what the crawler takes links from).
+export function extractHtmlContent(html) {
+  const $ = cheerio.load(html);
+  $(NOISE_SELECTOR).remove();
+
+  const title = $('title').first().text().trim() || cleanText($('h1').first().text()) || null;
+
+  $(CHROME_SELECTOR).remove();
+  $('header, footer').filter((_, element) => $(element).parents('main, article').length === 0).remove();
+  const pageHtml = $('body').html() || '';
+
+  $(ASIDE_SELECTOR).remove();
+  removeUnlikelyCandidates($);
+  const root = findMainContent($);
+  const { text, headings } = toMarkdown(root);
+
+  return { title, text, headings, contentHtml: $(root).html() || '', pageHtml };
+}
+
+// Heading metadata for each chunk, in order: the innermost heading above the chunk's start as
+// `section` and the path of headings down to it as `breadcrumbs`. Chunks are located in
+// layout.text the same way as pageMetadataForChunks does for PDFs.
+export function headingMetadataForChunks(layout, chunkTexts) {
+  let cursor = 0;
+  return chunkTexts.map((chunkText) => {
+    let start = layout.text.indexOf(chunkText, cursor);
+    if (start === -1) start = layout.text.indexOf(chunkText.slice(0, 80), cursor);
+    if (start === -1) start = cursor;
+    cursor = start + 1;
+
+    const path = [];
+    for (const heading of layout.headings) {
+      if (heading.offset > start) break;
+      while (path.length > 0 && path[path.length - 1].level >= heading.level) path.pop();
+      path.push(heading);
+    }
+
+    return {
+      section: path.length > 0 ? path[path.length - 1].text : null,
+      breadcrumbs: path.map(heading => heading.text),
+      char_offset: start
+    };
+  });
+}
@@ -0,0 +1,313 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import Database from 'better-sqlite3';
+import logger from '../config/logger.js';
+import { addProgressListener } from './progress.js';
+
+export const JOB_TYPES = ['file', 'crawl', 'text', 'bulk', 'reembed', 'import'];
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+// Job types that can run for hours. They never take the last free slot, so uploads, crawls and
+// text always have one, and queued jobs of the other types are started first.
+export const BACKGROUND_JOB_TYPES = ['bulk', 'reembed', 'import'];
+const BACKGROUND_TYPES_SQL = BACKGROUND_JOB_TYPES.map(type => `'${type}'`).join(', ');
+
+// A job interrupted by this many restarts is not picked up again
+const MAX_ATTEMPTS = 3;
+
+// Thrown into a running job (through its AbortSignal) when it is cancelled
+export class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+  }
+}
+
+// Durable queue for ingestion work. Every job is a row in jobs.db holding its parameters,
+// latest progress event, result summary or error, so its state survives restarts; jobs that
+// were running when the process stopped are queued again on start(). Handlers are registered
+// per job type and receive (job, { signal }); they report progress through the job's opId with
+// the usual emitProgress calls, which the queue records on the job.
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.running = new Map(); // jobId -> AbortController
+    this.runningBackground = new Set(); // ids of running BACKGROUND_JOB_TYPES jobs
+    this.waiters = new Map(); // jobId -> [resolve]
+    this.concurrency = Number(process.env.JOB_CONCURRENCY || '2');
+    this.started = false;
+    this.initDatabase();
+
+    addProgressListener((opId, event, data) => this.recordProgress(opId, event, data));
+  }
+
+  initDatabase() {
+    try {
+      const dataDir = process.env.DATA_DIR || '/app/data';
+      const dbPath = path.join(dataDir, 'jobs.db');
+      this.uploadDir = path.join(dataDir, 'uploads');
+
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+
+      this.db = new Database(dbPath);
+      this.db.pragma('journal_mode = WAL');
+
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS jobs (
+          id TEXT PRIMARY KEY,
+          type TEXT NOT NULL,
+          status TEXT NOT NULL,
+          workspace TEXT,
+          op_id TEXT NOT NULL,
+          params TEXT NOT NULL,
+          progress TEXT,
+          result TEXT,
+          error TEXT,
+          attempts INTEGER DEFAULT 0,
+          cancel_requested INTEGER DEFAULT 0,
+          created_at TEXT NOT NULL,
+          started_at TEXT,
+          finished_at TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, created_at);
+        CREATE INDEX IF NOT EXISTS idx_jobs_op_id ON jobs(op_id);
+      `);
+
+      this.insertStmt = this.db.prepare(`
+        INSERT INTO jobs (id, type, status, workspace, op_id, params, created_at)
+        VALUES (@id, @type, 'queued', @workspace, @op_id, @params, @created_at)
+      `);
+      this.getStmt = this.db.prepare(`SELECT * FROM jobs WHERE id = ?`);
+      this.listStmt = this.db.prepare(`
+        SELECT * FROM jobs
+        WHERE (@status IS NULL OR status = @status) AND (@type IS NULL OR type = @type)
+        ORDER BY created_at DESC, rowid DESC LIMIT @limit
+      `);
+      this.nextQueuedStmt = this.db.prepare(`
+        SELECT id FROM jobs WHERE status = 'queued'
+        ORDER BY type IN (${BACKGROUND_TYPES_SQL}), created_at, rowid LIMIT 1
+      `);
+      this.nextInteractiveStmt = this.db.prepare(`
+        SELECT id FROM jobs WHERE status = 'queued' AND type NOT IN (${BACKGROUND_TYPES_SQL})
+        ORDER BY created_at, rowid LIMIT 1
+      `);
+      this.claimStmt = this.db.prepare(`
+        UPDATE jobs SET status = 'running', started_at = ?, attempts = attempts + 1
+        WHERE id = ? AND status = 'queued'
+      `);
+      this.progressStmt = this.db.prepare(`UPDATE jobs SET progress = ? WHERE op_id = ? AND status = 'running'`);
+      this.finishStmt = this.db.prepare(`
+        UPDATE jobs SET status = @status, result = @result, error = @error, finished_at = @finished_at WHERE id = @id
+      `);
+      this.cancelQueuedStmt = this.db.prepare(`
+        UPDATE jobs SET status = 'cancelled', cancel_requested = 1, finished_at = ? WHERE id = ? AND status = 'queued'
+      `);
+      this.requestCancelStmt = this.db.prepare(`UPDATE jobs SET cancel_requested = 1 WHERE id = ? AND status = 'running'`);
+      this.requeueStmt = this.db.prepare(`
+        UPDATE jobs SET status = 'queued', started_at = NULL WHERE status = 'running' AND attempts < ? AND cancel_requested = 0
+      `);
+      this.abandonStmt = this.db.prepare(`
+        UPDATE jobs SET status = CASE WHEN cancel_requested = 1 THEN 'cancelled' ELSE 'failed' END,
+          error = CASE WHEN cancel_requested = 1 THEN NULL ELSE 'Interrupted by restarts ' || attempts || ' times' END,
+          finished_at = ?
+        WHERE status = 'running'
+      `);
+
+      logger.info('Job queue database initialized');
+    } catch (error) {
+      logger.error(`Failed to initialize job queue database: ${error.message}`);
+      throw error;
+    }
+  }
+
+  nowIso() {
+    return new Date().toISOString();
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      status: row.status,
+      workspace: row.workspace || null,
+      opId: row.op_id,
+      params: JSON.parse(row.params),
+      progress: row.progress ? JSON.parse(row.progress) : null,
+      result: row.result ? JSON.parse(row.result) : null,
+      error: row.error || null,
+      attempts: row.attempts,
+      cancelRequested: row.cancel_requested === 1,
+      createdAt: row.created_at,
+      startedAt: row.started_at || null,
+      finishedAt: row.finished_at || null
+    };
+  }
+
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  // Requeue jobs interrupted by a restart and start working through the queue
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    const requeued = this.requeueStmt.run(MAX_ATTEMPTS).changes;
+    const abandoned = this.abandonStmt.run(this.nowIso()).changes;
+    if (requeued > 0) logger.info(`Requeued ${requeued} jobs interrupted by a restart`);
+    if (abandoned > 0) logger.warn(`Gave up on ${abandoned} interrupted jobs`);
+
+    this.pump();
+  }
+
+  // params must be JSON-serialisable; the opId defaults to the job id
+  enqueue(type, params = {}, { workspace, opId } = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type "${type}"`);
+    }
+
+    const id = crypto.randomUUID();
+    this.insertStmt.run({
+      id,
+      type,
+      workspace: workspace || null,
+      op_id: opId || id,
+      params: JSON.stringify(params),
+      created_at: this.nowIso()
+    });
+    logger.info(`Queued ${type} job ${id}`);
+
+    this.pump();
+    return this.get(id);
+  }
+
+  get(id) {
+    const row = this.getStmt.get(id);
+    return row ? this.fromRow(row) : null;
+  }
+
+  list({ status, type, limit = 50 } = {}) {
+    return this.listStmt.all({ status: status || null, type: type || null, limit }).map(row => this.fromRow(row));
+  }
+
+  // Resolves with the job once it has completed, failed or been cancelled
+  waitFor(id) {
+    const job = this.get(id);
+    if (!job || !['queued', 'running'].includes(job.status)) {
+      return Promise.resolve(job);
+    }
+    return new Promise(resolve => {
+      if (!this.waiters.has(id)) this.waiters.set(id, []);
+      this.waiters.get(id).push(resolve);
+    });
+  }
+
+  // Queued jobs are cancelled at once; running ones are signalled and stop at their next check
+  cancel(id) {
+    if (this.cancelQueuedStmt.run(this.nowIso(), id).changes > 0) {
+      logger.info(`Cancelled queued job ${id}`);
+      this.settle(id);
+    } else if (this.requestCancelStmt.run(id).changes > 0) {
+      logger.info(`Cancellation requested for running job ${id}`);
+      this.running.get(id)?.abort(new JobCancelledError(id));
+    }
+    return this.get(id);
+  }
+
+  recordProgress(opId, event, data) {
+    if (event !== 'progress' || this.running.size === 0) return;
+    try {
+      this.progressStmt.run(JSON.stringify({ ...data, at: this.nowIso() }), opId);
+    } catch (error) {
+      logger.warn(`Failed to record job progress for opId=${opId}: ${error.message}`);
+    }
+  }
+
+  pump() {
+    if (!this.started) return;
+    // With JOB_CONCURRENCY=1 there is no slot to spare and jobs simply run one at a time
+    const backgroundSlots = Math.max(1, this.concurrency - 1);
+    while (this.running.size < this.concurrency) {
+      const next = this.runningBackground.size < backgroundSlots ? this.nextQueuedStmt.get() : this.nextInteractiveStmt.get();
+      if (!next || this.claimStmt.run(this.nowIso(), next.id).changes === 0) return;
+      this.run(this.get(next.id));
+    }
+  }
+
+  async run(job) {
+    const controller = new AbortController();
+    this.running.set(job.id, controller);
+    if (BACKGROUND_JOB_TYPES.includes(job.type)) this.runningBackground.add(job.id);
+    logger.info(`Running ${job.type} job ${job.id} (attempt ${job.attempts})`);
+
+    let outcome;
+    try {
+      const result = await this.handlers.get(job.type)(job, { signal: controller.signal });
+      // A handler that finished without checking its signal still ends as cancelled; the
+      // result records how far it got
+      const cancelled = controller.signal.aborted || this.get(job.id).cancelRequested;
+      outcome = { status: cancelled ? 'cancelled' : 'completed', result: JSON.stringify(result ?? null), error: null };
+    } catch (error) {
+      const cancelled = controller.signal.aborted;
+      if (!cancelled) logger.error(`${job.type} job ${job.id} failed: ${error.message}`);
+      outcome = { status: cancelled ? 'cancelled' : 'failed', result: null, error: cancelled ? null : error.message };
+    }
+
+    this.finishStmt.run({ id: job.id, ...outcome, finished_at: this.nowIso() });
+    this.running.delete(job.id);
+    this.runningBackground.delete(job.id);
+    logger.info(`${job.type} job ${job.id} ${outcome.status}`);
+
+    this.settle(job.id);
+    this.pump();
+  }
+
+  settle(id) {
+    this.removeUploads(id);
+    const job = this.get(id);
+    for (const resolve of this.waiters.get(id) || []) resolve(job);
+    this.waiters.delete(id);
+  }
+
+  // Uploaded files are kept on disk until their job has finished so a restart can pick them up again.
+  // Each job's files live in their own directory under DATA_DIR/uploads, removed when it settles.
+  createUploadDirectory() {
+    const directory = path.join(this.uploadDir, crypto.randomUUID());
+    fs.mkdirSync(directory, { recursive: true });
+    return directory;
+  }
+
+  // files: multer files ({ originalname, mimetype, buffer }); returns the descriptors to put in the job params
+  saveUploads(files) {
+    const directory = this.createUploadDirectory();
+    return files.map((file, index) => {
+      const filePath = path.join(directory, `${index}-${path.basename(file.originalname)}`);
+      fs.writeFileSync(filePath, file.buffer);
+      return { path: filePath, originalname: file.originalname, mimetype: file.mimetype };
+    });
+  }
+
+  loadUploads(files) {
+    return files.map(file => ({ originalname: file.originalname, mimetype: file.mimetype, buffer: fs.readFileSync(file.path) }));
+  }
+
+  removeUploads(id) {
+    const files = this.get(id)?.params?.files;
+    if (!Array.isArray(files) || files.length === 0) return;
+    const directory = path.dirname(files[0].path);
+    if (path.dirname(directory) !== this.uploadDir) return;
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+    }
+  }
+}
+
+export default new JobQueue();
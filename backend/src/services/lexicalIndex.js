@@ -0,0 +1,181 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import Database from 'better-sqlite3';
+import logger from '../config/logger.js';
+
+// Keyword (BM25) index kept next to each Qdrant collection. Dense search alone misses exact
+// matches on drug names, gene symbols and abbreviations, so every chunk stored in Qdrant is
+// also written here and the two result lists are fused at query time.
+class LexicalIndex {
+  constructor() {
+    this.initDatabase();
+  }
+
+  initDatabase() {
+    try {
+      const dataDir = process.env.DATA_DIR || '/app/data';
+      const dbPath = path.join(dataDir, 'lexical_index.db');
+
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+
+      this.db = new Database(dbPath);
+      this.db.pragma('journal_mode = WAL');
+
+      // lexical_fts is an external-content FTS5 table over lexical_chunks, kept in sync by triggers
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS lexical_chunks (
+          id INTEGER PRIMARY KEY,
+          collection TEXT NOT NULL,
+          chunk_key TEXT NOT NULL,
+          source TEXT,
+          content TEXT NOT NULL,
+          metadata TEXT,
+          UNIQUE(collection, chunk_key)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_lexical_chunks_source ON lexical_chunks(collection, source);
+
+        CREATE VIRTUAL TABLE IF NOT EXISTS lexical_fts USING fts5(
+          content,
+          content='lexical_chunks',
+          content_rowid='id',
+          tokenize='unicode61'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS lexical_chunks_ai AFTER INSERT ON lexical_chunks BEGIN
+          INSERT INTO lexical_fts(rowid, content) VALUES (new.id, new.content);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS lexical_chunks_ad AFTER DELETE ON lexical_chunks BEGIN
+          INSERT INTO lexical_fts(lexical_fts, rowid, content) VALUES ('delete', old.id, old.content);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS lexical_chunks_au AFTER UPDATE ON lexical_chunks BEGIN
+          INSERT INTO lexical_fts(lexical_fts, rowid, content) VALUES ('delete', old.id, old.content);
+          INSERT INTO lexical_fts(rowid, content) VALUES (new.id, new.content);
+        END;
+      `);
+
+      this.upsertChunkStmt = this.db.prepare(`
+        INSERT INTO lexical_chunks (collection, chunk_key, source, content, metadata)
+        VALUES (@collection, @chunk_key, @source, @content, @metadata)
+        ON CONFLICT(collection, chunk_key) DO UPDATE SET
+          source=excluded.source,
+          content=excluded.content,
+          metadata=excluded.metadata
+      `);
+
+      this.deleteSourceStmt = this.db.prepare(`DELETE FROM lexical_chunks WHERE collection = ? AND source = ?`);
+      this.deleteChunkStmt = this.db.prepare(`DELETE FROM lexical_chunks WHERE collection = ? AND chunk_key = ?`);
+      this.clearCollectionStmt = this.db.prepare(`DELETE FROM lexical_chunks WHERE collection = ?`);
+      this.countStmt = this.db.prepare(`SELECT COUNT(*) as total FROM lexical_chunks WHERE collection = ?`);
+
+      // Source lists are passed as JSON arrays (or NULL for "no restriction")
+      this.searchStmt = this.db.prepare(`
+        SELECT c.chunk_key, c.source, c.content, c.metadata, bm25(lexical_fts) AS rank
+        FROM lexical_fts
+        JOIN lexical_chunks c ON c.id = lexical_fts.rowid
+        WHERE lexical_fts MATCH @match
+          AND c.collection = @collection
+          AND (@included IS NULL OR c.source IN (SELECT value FROM json_each(@included)))
+          AND (@excluded IS NULL OR c.source NOT IN (SELECT value FROM json_each(@excluded)))
+        ORDER BY rank
+        LIMIT @limit
+      `);
+
+      this.addChunksTx = this.db.transaction((rows) => {
+        for (const row of rows) this.upsertChunkStmt.run(row);
+      });
+
+      logger.info('Lexical index database initialized');
+    } catch (error) {
+      logger.error(`Failed to initialize lexical index database: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // chunks: [{ key, source, content, metadata }]
+  addChunks(collection, chunks) {
+    if (!chunks || chunks.length === 0) return 0;
+    this.addChunksTx(chunks.map(chunk => ({
+      collection,
+      chunk_key: chunk.key,
+      source: chunk.source || null,
+      content: chunk.content,
+      metadata: JSON.stringify(chunk.metadata || {})
+    })));
+    return chunks.length;
+  }
+
+  deleteSources(collection, sources) {
+    let deleted = 0;
+    for (const source of sources) {
+      deleted += this.deleteSourceStmt.run(collection, source).changes;
+    }
+    return deleted;
+  }
+
+  deleteChunks(collection, keys) {
+    let deleted = 0;
+    for (const key of keys) {
+      deleted += this.deleteChunkStmt.run(collection, key).changes;
+    }
+    return deleted;
+  }
+
+  clearCollection(collection) {
+    return this.clearCollectionStmt.run(collection).changes;
+  }
+
+  count(collection) {
+    return this.countStmt.get(collection).total;
+  }
+
+  // Turn free text into an FTS5 OR-query of quoted terms, so punctuation in the
+  // question (hyphens, colons, quotes) can never be read as FTS5 syntax
+  buildMatchQuery(query) {
+    const terms = (query.match(/[\p{L}\p{N}]+/gu) || [])
+      .map(term => term.toLowerCase())
+      .filter(term => term.length > 1 || /\d/.test(term));
+    const unique = Array.from(new Set(terms));
+    if (unique.length === 0) return null;
+    return unique.map(term => `"${term}"`).join(' OR ');
+  }
+
+  // Returns [{ key, source, content, metadata, score }] ordered best first (score = -bm25)
+  search(collection, query, limit = 20, { includedSources = [], excludedSources = [] } = {}) {
+    const match = this.buildMatchQuery(query);
+    if (!match) return [];
+
+    try {
+      const rows = this.searchStmt.all({
+        match,
+        collection,
+        included: includedSources.length > 0 ? JSON.stringify(includedSources) : null,
+        excluded: excludedSources.length > 0 ? JSON.stringify(excludedSources) : null,
+        limit
+      });
+
+      return rows.map(row => ({
+        key: row.chunk_key,
+        source: row.source,
+        content: row.content,
+        metadata: JSON.parse(row.metadata || '{}'),
+        score: -row.rank
+      }));
+    } catch (error) {
+      logger.warn(`Lexical search failed: ${error.message}`);
+      return [];
+    }
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+    }
+  }
+}
+
+export default new LexicalIndex();
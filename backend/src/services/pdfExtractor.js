@@ -0,0 +1,140 @@
+// Page-aware PDF extraction shared by RAGService and BulkPdfService.
+//
+// pdf-parse normally flattens a PDF into one string. Here its pagerender hook records each page's
+// text separately, together with lines that look like headings, so chunks can be traced back
+// to page_start/page_end and the nearest preceding heading.
+
+const PAGE_SEPARATOR = '\n\n';
+const CHAPTER_PATTERN = /^(chapter|section|part)\s+[\dIVXLC]+\b/i;
+
+function fontSize(item) {
+  return Math.abs(item.transform?.[3] || 0) || item.height || 0;
+}
+
+// Group text items into lines the same way pdf-parse's default renderer does (a new line
+// whenever the baseline moves) and keep the largest font size seen on each line
+function groupLines(items) {
+  const lines = [];
+  let lastY;
+  for (const item of items) {
+    const y = item.transform?.[5];
+    if (lines.length === 0 || (lastY !== undefined && y !== lastY)) {
+      lines.push({ text: '', size: 0 });
+    }
+    const line = lines[lines.length - 1];
+    line.text += item.str;
+    if (item.str.trim()) line.size = Math.max(line.size, fontSize(item));
+    lastY = y;
+  }
+  return lines;
+}
+
+// Body font size = the size covering most characters on the page
+function bodyFontSize(lines) {
+  const charsBySize = new Map();
+  for (const line of lines) {
+    const size = Math.round(line.size * 10) / 10;
+    charsBySize.set(size, (charsBySize.get(size) || 0) + line.text.trim().length);
+  }
+  let body = 0;
+  let most = -1;
+  for (const [size, chars] of charsBySize) {
+    if (chars > most) {
+      body = size;
+      most = chars;
+    }
+  }
+  return body;
+}
+
+function isHeading(line, bodySize) {
+  const text = line.text.trim();
+  if (text.length < 3 || text.length > 120 || !/\p{L}/u.test(text)) return false;
+  if (CHAPTER_PATTERN.test(text)) return true;
+  return bodySize > 0 && line.size >= bodySize * 1.2 && !/[.,;:]$/.test(text);
+}
+
+// Returns { text, numpages, pages: [{ page, start, end }], headings: [{ text, page, offset }] }.
+// Offsets are character positions in `text`, which joins the pages with a blank line.
+export async function extractPdf(buffer) {
+  const pdfModule = await import('pdf-parse/lib/pdf-parse.js');
+  const pdfParse = pdfModule.default || pdfModule;
+
+  const rendered = [];
+  const data = await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+      const lines = groupLines(textContent.items);
+      const bodySize = bodyFontSize(lines);
+      const pageText = lines.map(line => line.text).join('\n');
+
+      const headings = [];
+      let lineOffset = 0;
+      for (const line of lines) {
+        if (isHeading(line, bodySize)) {
+          headings.push({ text: line.text.trim().replace(/\s+/g, ' '), offset: lineOffset });
+        }
+        lineOffset += line.text.length + 1;
+      }
+
+      rendered.push({ page: pageData.pageIndex + 1, text: pageText, headings });
+      return pageText;
+    }
+  });
+
+  rendered.sort((a, b) => a.page - b.page);
+
+  let text = '';
+  const pages = [];
+  const headings = [];
+  for (const { page, text: pageText, headings: pageHeadings } of rendered) {
+    if (text) text += PAGE_SEPARATOR;
+    const start = text.length;
+    text += pageText;
+    pages.push({ page, start, end: text.length });
+    for (const heading of pageHeadings) {
+      headings.push({ text: heading.text, page, offset: start + heading.offset });
+    }
+  }
+
+  return { text, numpages: data.numpages, pages, headings };
+}
+
+function pageAt(pages, offset) {
+  let found = pages[0];
+  for (const entry of pages) {
+    if (entry.start > offset) break;
+    found = entry;
+  }
+  return found?.page ?? null;
+}
+
+function headingAt(headings, offset) {
+  let found = null;
+  for (const heading of headings) {
+    if (heading.offset > offset) break;
+    found = heading;
+  }
+  return found?.text ?? null;
+}
+
+// Page metadata for each chunk, in order. Chunks must be substrings of layout.text in reading
+// order (true for both splitters used here); each is located from just after the previous
+// chunk's start so repeated passages map to the right page.
+export function pageMetadataForChunks(layout, chunkTexts) {
+  let cursor = 0;
+  return chunkTexts.map((chunkText) => {
+    let start = layout.text.indexOf(chunkText, cursor);
+    if (start === -1) start = layout.text.indexOf(chunkText.slice(0, 80), cursor);
+    if (start === -1) start = cursor;
+    const end = Math.max(start, start + chunkText.length - 1);
+    cursor = start + 1;
+
+    return {
+      page_start: pageAt(layout.pages, start),
+      page_end: pageAt(layout.pages, end),
+      section: headingAt(layout.headings, start),
+      char_offset: start
+    };
+  });
+}
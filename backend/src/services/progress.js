@@ -3,6 +3,29 @@ import logger from '../config/logger.js';
 // In-memory registry of active SSE clients per opId
 const clients = new Map(); // opId -> Set<res>
 
+// Recent events per opId so clients that connect late or reconnect (Last-Event-ID) can catch up.
+// Each buffer keeps the newest PROGRESS_BUFFER_SIZE events and is dropped PROGRESS_BUFFER_TTL_MS
+// after its last event once no client is listening.
+const buffers = new Map(); // opId -> { nextId, events: [{ id, event, data }], lastEventAt }
+const BUFFER_SIZE = Number(process.env.PROGRESS_BUFFER_SIZE || '500');
+const BUFFER_TTL_MS = Number(process.env.PROGRESS_BUFFER_TTL_MS || String(15 * 60 * 1000));
+
+const sweep = setInterval(() => {
+    const cutoff = Date.now() - BUFFER_TTL_MS;
+    for (const [opId, buffer] of buffers) {
+        if (buffer.lastEventAt < cutoff && !clients.has(opId)) buffers.delete(opId);
+    }
+}, 60000);
+sweep.unref?.();
+
+// In-process observers of every event (e.g. the job queue recording progress)
+const listeners = new Set();
+
+export function addProgressListener(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
 function ensureSet(opId) {
     if (!clients.has(opId)) {
         clients.set(opId, new Set());
@@ -10,6 +33,27 @@ function ensureSet(opId) {
     return clients.get(opId);
 }
 
+// Switch a response into text/event-stream mode and keep it alive with heartbeats.
+// Returns a function that stops the heartbeat.
+export function openEventStream(res) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders?.();
+
+    const heartbeat = setInterval(() => {
+        try { res.write(`: heartbeat\n\n`); } catch (e) { /* noop */ }
+    }, 15000);
+    return () => clearInterval(heartbeat);
+}
+
+export function writeEvent(res, event, data, id) {
+    const payload = typeof data === 'string' ? data : JSON.stringify(data);
+    if (id !== undefined) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${payload}\n\n`);
+}
+
 export function sseHandler(req, res) {
     const { opId } = req.params;
     if (!opId) {
@@ -17,38 +61,61 @@ export function sseHandler(req, res) {
         return;
     }
 
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.flushHeaders?.();
+    const stopHeartbeat = openEventStream(res);
 
     const set = ensureSet(opId);
     set.add(res);
 
-    // Send initial open event
-    res.write(`event: open\n`);
-    res.write(`data: {"opId":"${opId}"}\n\n`);
+    // Replay buffered events the client has not seen: everything for a new subscriber, the
+    // events after Last-Event-ID for a reconnecting one (?lastEventId= for clients that cannot set headers)
+    const lastEventId = Number(req.headers['last-event-id'] ?? req.query?.lastEventId ?? 0) || 0;
+    const buffer = buffers.get(opId);
+    const missed = buffer?.events.filter(entry => entry.id > lastEventId) || [];
+    // Events older than the buffer window are gone; tell the client how many it will never see
+    const firstBuffered = buffer?.events[0]?.id ?? 1;
+    const dropped = Math.max(0, firstBuffered - lastEventId - 1);
 
-    // Heartbeat to keep connection alive
-    const heartbeat = setInterval(() => {
-        try { res.write(`: heartbeat\n\n`); } catch (e) { /* noop */ }
-    }, 15000);
+    // Send initial open event (without an id, so it does not move the client's Last-Event-ID)
+    writeEvent(res, 'open', { opId, replayed: missed.length, dropped });
+    for (const entry of missed) {
+        writeEvent(res, entry.event, entry.data, entry.id);
+    }
 
     req.on('close', () => {
-        clearInterval(heartbeat);
+        stopHeartbeat();
         set.delete(res);
         if (set.size === 0) clients.delete(opId);
     });
 }
 
+function record(opId, event, data) {
+    if (!buffers.has(opId)) {
+        buffers.set(opId, { nextId: 1, events: [], lastEventAt: 0 });
+    }
+    const buffer = buffers.get(opId);
+    const entry = { id: buffer.nextId++, event, data };
+    buffer.events.push(entry);
+    if (buffer.events.length > BUFFER_SIZE) buffer.events.shift();
+    buffer.lastEventAt = Date.now();
+    return entry.id;
+}
+
 function broadcast(opId, event, data) {
+    const id = record(opId, event, data);
+
+    for (const listener of listeners) {
+        try {
+            listener(opId, event, data);
+        } catch (err) {
+            logger.warn(`Progress listener failed for opId=${opId}: ${err.message}`);
+        }
+    }
+
     const set = clients.get(opId);
     if (!set || set.size === 0) return;
-    const payload = typeof data === 'string' ? data : JSON.stringify(data);
     for (const res of set) {
         try {
-            res.write(`event: ${event}\n`);
-            res.write(`data: ${payload}\n\n`);
+            writeEvent(res, event, data, id);
         } catch (err) {
             logger.warn(`SSE write failed for opId=${opId}: ${err.message}`);
         }
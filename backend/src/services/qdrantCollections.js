@@ -0,0 +1,25 @@
+import { QdrantVectorStore } from '@langchain/community/vectorstores/qdrant';
+
+// Collection names the app works with can be Qdrant aliases: a re-embedding migration builds
+// a new collection and moves the alias onto it. Qdrant resolves aliases for searches, scrolls
+// and writes, but they are not listed by getCollections(), so existence checks look at both.
+
+// { exists, isAlias, physicalName } for a collection or alias name
+export async function resolveCollection(client, name) {
+  const [{ collections }, { aliases }] = await Promise.all([client.getCollections(), client.getAliases()]);
+  const alias = aliases.find(entry => entry.alias_name === name);
+  if (alias) {
+    return { exists: true, isAlias: true, physicalName: alias.collection_name };
+  }
+  return { exists: collections.some(collection => collection.name === name), isAlias: false, physicalName: name };
+}
+
+// The LangChain store creates a missing collection before every search or write; without this
+// it would try to create a collection named after an existing alias and fail
+export class AliasAwareQdrantVectorStore extends QdrantVectorStore {
+  async ensureCollection() {
+    const { aliases } = await this.client.getAliases();
+    if (aliases.some(entry => entry.alias_name === this.collectionName)) return;
+    await super.ensureCollection();
+  }
+}
@@ -1,23 +1,44 @@
 // Core LangChain imports
-import { GoogleGenerativeAIEmbeddings } from '@langchain/google-genai';
-import { QdrantVectorStore } from '@langchain/community/vectorstores/qdrant';
-import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
 import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
 import { createStuffDocumentsChain } from 'langchain/chains/combine_documents';
-import { createRetrievalChain } from 'langchain/chains/retrieval';
-import { ChatPromptTemplate } from '@langchain/core/prompts';
+import { ChatPromptTemplate, PromptTemplate } from '@langchain/core/prompts';
+import { StringOutputParser } from '@langchain/core/output_parsers';
 import { Document } from '@langchain/core/documents';
+import { RunnableLambda } from '@langchain/core/runnables';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import readline from 'node:readline';
 
 // Replace LangChain loaders with lightweight parsing utilities
 import * as cheerio from 'cheerio';
 import { htmlToText } from 'html-to-text';
 // NOTE: Avoid top-level import of pdf-parse due to module-side file reads in some versions
-import mammoth from 'mammoth';
+// (pdfExtractor imports it lazily)
 import logger from '../config/logger.js';
 import { emitProgress, emitDone } from './progress.js';
 import websiteCrawler from './websiteCrawler.js';
-import { SYSTEM_PROMPT, QUERY_PROMPT } from '../prompts/systemPrompt.js';
+import lexicalIndex from './lexicalIndex.js';
+import documentCatalog from './documentCatalog.js';
+import crawlHistory from './crawlHistory.js';
+import workspaceStore, { DEFAULT_WORKSPACE } from './workspaceStore.js';
+import { reciprocalRankFusion } from './rankFusion.js';
+import { findExtractor, layoutMetadataForChunks } from './fileExtractors.js';
+import { createReranker, RERANKER_TYPES } from './reranker.js';
+import { createEmbeddings, detectVectorSize } from './embeddingProviders.js';
+import { createChatModel, describeChatConfig } from './chatModelProviders.js';
+import { AliasAwareQdrantVectorStore, resolveCollection } from './qdrantCollections.js';
+import { CONDENSE_QUESTION_PROMPT } from '../prompts/condenseQuestionPrompt.js';
 import { getModelConfig } from '../config/promptConfig.js';
+import { getPersona } from '../config/personas.js';
+
+// How answers cite the numbered chunks (see numberSources); shared by every answering prompt
+const CITATION_INSTRUCTIONS = `- Cite the retrieved documents by their bracketed numbers, placed before the sentence's full stop, e.g. "... is first-line therapy [2]." or "[1][3]"
+- Only cite numbers that appear in the retrieved documents; never invent a citation`;
+
+// Bracketed numbers up to this far past the last source are reported as invalid citations;
+// larger ones are taken to be ordinary text such as years
+const CITATION_MARGIN = 3;
 
 class RAGService {
   constructor() {
@@ -29,6 +50,18 @@ class RAGService {
     this.similarityThreshold = parseFloat(process.env.SIMILARITY_THRESHOLD) || 0.7;
     this.minSimilarityScore = parseFloat(process.env.MIN_SIMILARITY_SCORE) || 0.6;
 
+    // Hybrid retrieval: share of the fused ranking given to the BM25 list (0 = dense only)
+    this.lexicalWeight = this.parseLexicalWeight(process.env.HYBRID_LEXICAL_WEIGHT, 0.3);
+
+    // Optional reranking stage: RERANKER=llm|local turns it on for every request,
+    // `rerank` in a request overrides it. Candidates are over-fetched, rescored and trimmed to Top-K.
+    this.defaultReranker = process.env.RERANKER || 'none';
+    this.rerankCandidates = parseInt(process.env.RERANK_CANDIDATES) || 40;
+    this.rerankers = new Map();
+
+    // Rewrite follow-up questions into standalone queries before retrieval (QUERY_REWRITE_ENABLED=false to disable)
+    this.rewriteQueries = process.env.QUERY_REWRITE_ENABLED !== 'false';
+
     // Debug logging for environment variables
     logger.info(`RAG Service initialized with:`);
     logger.info(`  QDRANT_URL: ${process.env.QDRANT_URL || 'NOT SET'}`);
@@ -36,31 +69,48 @@ class RAGService {
     logger.info(`  Collection Name: ${this.collectionName}`);
     logger.info(`  Similarity Threshold: ${this.similarityThreshold}`);
     logger.info(`  Min Similarity Score: ${this.minSimilarityScore}`);
+    logger.info(`  Hybrid Lexical Weight: ${this.lexicalWeight}`);
+    logger.info(`  Reranker: ${this.defaultReranker} (${this.rerankCandidates} candidates)`);
+    logger.info(`  Query Rewriting: ${this.rewriteQueries ? 'enabled' : 'disabled'}`);
 
-    // Validate Google API key
-    if (!process.env.GOOGLE_API_KEY) {
-      throw new Error('GOOGLE_API_KEY environment variable is required');
-    }
-    
-    this.embeddings = new GoogleGenerativeAIEmbeddings({
-      apiKey: process.env.GOOGLE_API_KEY,
-      model: 'embedding-001',
-    });
+    // Embedding provider from EMBEDDING_PROVIDER (gemini, openai, ollama, hash)
+    this.embeddings = createEmbeddings();
+    this.vectorSize = null;
     
-    logger.info('Google Generative AI Embeddings service initialized successfully');
+    logger.info(`Embeddings initialized: ${this.embeddings.provider} (${this.embeddings.model})`);
 
     logger.info(`Creating QdrantVectorStore with URL: ${process.env.QDRANT_URL} and collection: ${this.collectionName}`);
     
-    this.vectorStore = new QdrantVectorStore(this.embeddings, {
+    this.vectorStore = new AliasAwareQdrantVectorStore(this.embeddings, {
       url: process.env.QDRANT_URL,
       collectionName: this.collectionName,
     });
 
-    this.chatModel = new ChatGoogleGenerativeAI(getModelConfig());
+    // Chat models per distinct configuration (see getChatModel). Creating the default one here
+    // makes a misconfigured CHAT_PROVIDER fail at startup rather than on the first question.
+    this.chatModels = new Map();
+    this.getChatModel();
+
+    this.textSplitter = this.createTextSplitter(500, 200);
+
+    // The service itself serves the default workspace; forWorkspace() returns views bound to the others
+    this.workspace = null;
+    this.workspaceViews = new Map();
+
+    // Collections (by localIndexKey) being re-embedded; shared with workspace views
+    this.migrations = new Set();
+
+      // Initialize the collection
+  this.initializeCollection();
+  
+  // Test embeddings service
+  this.testEmbeddings();
+}
 
-    this.textSplitter = new RecursiveCharacterTextSplitter({
-      chunkSize: 500,
-      chunkOverlap: 200,
+  createTextSplitter(chunkSize, chunkOverlap) {
+    return new RecursiveCharacterTextSplitter({
+      chunkSize,
+      chunkOverlap,
       separators: [
         '\n\n\n',  // Triple line breaks for major sections
         '\n\n',    // Double line breaks for paragraphs
@@ -74,13 +124,74 @@ class RAGService {
         ''         // Characters
       ],
     });
+  }
 
-      // Initialize the collection
-  this.initializeCollection();
-  
-  // Test embeddings service
-  this.testEmbeddings();
-}
+  get workspaceName() {
+    return this.workspace?.name || DEFAULT_WORKSPACE;
+  }
+
+  // A workspace view shares embeddings, chat models, rerankers and the Qdrant client with this
+  // service (it is created with Object.create) but has its own collection, splitter and default
+  // persona, so every method works unchanged on the workspace's data.
+  forWorkspace(name) {
+    if (!name || name === DEFAULT_WORKSPACE) return this;
+
+    const workspace = workspaceStore.get(name);
+    if (!workspace) {
+      throw new Error(`Unknown workspace "${name}"`);
+    }
+
+    if (!this.workspaceViews.has(name)) {
+      const view = Object.create(this);
+      view.workspace = workspace;
+      view.collectionName = workspace.collectionName;
+      view.textSplitter = this.createTextSplitter(workspace.chunkSize, workspace.chunkOverlap);
+      // The LLM reranker grades with the workspace's chat model
+      view.rerankers = new Map();
+      view.vectorStore = new AliasAwareQdrantVectorStore(this.embeddings, {
+        client: this.vectorStore.client,
+        collectionName: workspace.collectionName,
+      });
+      this.workspaceViews.set(name, view);
+    }
+    return this.workspaceViews.get(name);
+  }
+
+  listWorkspaces() {
+    return workspaceStore.list().map(workspace => (
+      workspace.name === DEFAULT_WORKSPACE ? { ...workspace, collectionName: this.collectionName } : workspace
+    ));
+  }
+
+  async createWorkspace(definition) {
+    const workspace = workspaceStore.create(definition);
+    await this.forWorkspace(workspace.name).initializeCollection();
+    return workspace;
+  }
+
+  // Removes the workspace and its scheduled crawls; with purge the collection and its local
+  // indexes (crawl history included) are deleted too
+  async deleteWorkspace(name, { purge = false } = {}) {
+    if (name === DEFAULT_WORKSPACE) {
+      throw new Error('The default workspace cannot be deleted');
+    }
+    const view = this.forWorkspace(name);
+
+    if (purge) {
+      logger.info(`Deleting collection ${view.collectionName} of workspace ${name}`);
+      const { physicalName } = await resolveCollection(view.vectorStore.client, view.collectionName);
+      await view.vectorStore.client.deleteCollection(physicalName);
+      lexicalIndex.clearCollection(view.localIndexKey);
+      documentCatalog.clearCollection(view.localIndexKey);
+      crawlHistory.clearCollection(view.localIndexKey);
+    }
+
+    crawlHistory.deleteWorkspaceSchedules(name);
+    workspaceStore.remove(name);
+    this.workspaceViews.delete(name);
+    logger.info(`Workspace ${name} deleted${purge ? ' with its collection' : ''}`);
+    return { success: true, workspace: name, collectionName: view.collectionName, purged: purge };
+  }
 
   // Test embeddings service to ensure it's working correctly
   async testEmbeddings() {
@@ -90,7 +201,7 @@ class RAGService {
       
       const embedding = await this.embeddings.embedQuery(testText);
       if (embedding && Array.isArray(embedding)) {
-        logger.info(`Embeddings service test successful. Generated ${embedding.length} dimensions.`);
+        logger.info(`Embeddings service test successful (${this.embeddings.provider}). Generated ${embedding.length} dimensions.`);
       } else {
         logger.warn('Embeddings service test returned unexpected result format');
       }
@@ -209,95 +320,743 @@ class RAGService {
     return filteredDocs;
   }
 
+  // Vector size of the configured embedding provider, detected once
+  async getVectorSize() {
+    if (!this.vectorSize) {
+      this.vectorSize = await detectVectorSize(this.embeddings);
+      logger.info(`Embedding vector size: ${this.vectorSize}`);
+    }
+    return this.vectorSize;
+  }
+
   // Initialize the Qdrant collection if it doesn't exist
   async initializeCollection() {
     try {
       logger.info(`Initializing Qdrant collection: ${this.collectionName}`);
       
-      // Check if collection exists
-      const collections = await this.vectorStore.client.getCollections();
-      const collectionExists = collections.collections.some(
-        col => col.name === this.collectionName
-      );
+      // Check if collection exists (directly or as an alias left by a re-embedding migration)
+      const { exists: collectionExists } = await resolveCollection(this.vectorStore.client, this.collectionName);
+
+      const vectorSize = await this.getVectorSize();
 
       if (!collectionExists) {
-        logger.info(`Creating collection: ${this.collectionName}`);
+        logger.info(`Creating collection: ${this.collectionName} (${vectorSize} dimensions)`);
         await this.vectorStore.client.createCollection(this.collectionName, {
           vectors: {
-            size: 768, // Google embedding-001 dimension
+            size: vectorSize,
             distance: 'Cosine'
           }
         });
         logger.info(`Collection ${this.collectionName} created successfully`);
       } else {
         logger.info(`Collection ${this.collectionName} already exists`);
+        const collectionInfo = await this.vectorStore.client.getCollection(this.collectionName);
+        const existingSize = collectionInfo.config?.params?.vectors?.size;
+        if (existingSize && existingSize !== vectorSize) {
+          logger.warn(`Collection ${this.collectionName} stores ${existingSize}-dimensional vectors but the ${this.embeddings.provider} embedding provider produces ${vectorSize}; re-embed them with POST /api/collection/reembed before searching`);
+        }
       }
+
+      // Keyword index on the source so include/exclude filters stay cheap
+      await this.ensureSourceIndex();
     } catch (error) {
       logger.error(`Error initializing collection: ${error.message}`);
       // Don't throw here - let the service continue
     }
   }
 
-  // Helper function to clean up source names for better display
-  cleanSourceName(sourcePath) {
-    if (!sourcePath) return 'Unknown';
-    
-    // If the path contains "split 11\", extract just the filename part after it
-    if (sourcePath.includes('split 11\\')) {
-      return sourcePath.split('split 11\\')[1];
+  parseLexicalWeight(value, fallback = this.lexicalWeight) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const weight = Number(value);
+    if (!Number.isFinite(weight) || weight < 0 || weight > 1) {
+      throw new Error(`lexicalWeight must be a number between 0 and 1, got ${value}`);
     }
-    
-    // Otherwise, return just the filename (basename)
-    return sourcePath.split(/[\\/]/).pop() || sourcePath;
+    return weight;
   }
 
-  // Helper function to process subtitle files with better structure preservation
-  processSubtitleContent(content, fileType, removeTimestamps) {
-    const lines = content.split('\n');
-    const processedLines = [];
+  // Key for the local SQLite indexes (keyword index, document catalog). A Qdrant Cloud
+  // collection can share its name with the local one, so the cloud URL is part of the key.
+  get localIndexKey() {
+    return this.isUsingCloud ? `${this.cloudConfig.url}#${this.collectionName}` : this.collectionName;
+  }
 
-    if (fileType === 'vtt') {
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
+  // Stable identifier for a chunk, shared by the dense and lexical indexes so results can be fused.
+  // Chunks stored since deterministic ids were introduced carry it as metadata.chunk_id (= Qdrant point id).
+  getChunkId(doc) {
+    if (doc.metadata?.chunk_id) return doc.metadata.chunk_id;
+    return crypto
+      .createHash('sha1')
+      .update(`${doc.metadata?.source || ''}\n${doc.pageContent}`)
+      .digest('hex');
+  }
 
-        if (removeTimestamps) {
-          // Skip timestamp lines, WEBVTT header, sequence numbers, and empty lines
-          if (line &&
-            !line.includes('-->') &&
-            !line.startsWith('WEBVTT') &&
-            !line.match(/^\d+$/) &&
-            !line.match(/^\d{2}:\d{2}:\d{2}\.\d{3}/)) {
-            processedLines.push(line);
-          }
+  // Number chunks per source in the order given and derive each point id from
+  // source + chunk index + content hash, formatted as a UUID (the id type Qdrant accepts)
+  assignChunkIds(chunks) {
+    const counters = new Map();
+    for (const chunk of chunks) {
+      const source = chunk.metadata.source || '';
+      const chunkIndex = counters.get(source) || 0;
+      counters.set(source, chunkIndex + 1);
+
+      const contentHash = crypto.createHash('sha256').update(chunk.pageContent).digest('hex');
+      const hex = crypto.createHash('sha1').update(`${source}\n${chunkIndex}\n${contentHash}`).digest('hex');
+      const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+
+      chunk.metadata.chunk_index = chunkIndex;
+      chunk.metadata.content_hash = contentHash;
+      chunk.metadata.chunk_id = `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+    }
+    return chunks;
+  }
+
+  // All points currently stored for one exact metadata.source value
+  async getSourcePoints(source) {
+    const points = [];
+    let offset = null;
+    do {
+      const page = await this.vectorStore.client.scroll(this.collectionName, {
+        filter: { must: [{ key: 'metadata.source', match: { value: source } }] },
+        limit: 1000,
+        with_payload: true,
+        with_vector: false,
+        ...(offset !== null ? { offset } : {}),
+      });
+      points.push(...(page.points || []));
+      offset = page.next_page_offset ?? null;
+    } while (offset !== null);
+    return points;
+  }
+
+  // Single write path for every ingest route. Chunks get deterministic ids, so re-ingesting a
+  // source only embeds chunks whose content changed; with `prune` (the default) any points left
+  // over from the source's previous version are deleted. Also mirrors into the keyword index.
+  // Returns { added, updated, unchanged, removed } chunk counts.
+  async storeChunks(chunks, { prune = true, onBatch, checksums = {} } = {}) {
+    this.assertNotMigrating();
+    const stats = { added: 0, updated: 0, unchanged: 0, removed: 0 };
+    if (chunks.length === 0) return stats;
+
+    this.assignChunkIds(chunks);
+    await this.vectorStore.ensureCollection();
+
+    const bySource = new Map();
+    for (const chunk of chunks) {
+      const source = chunk.metadata.source || '';
+      if (!bySource.has(source)) bySource.set(source, []);
+      bySource.get(source).push(chunk);
+    }
+
+    const toWrite = [];
+    const stalePoints = [];
+    const catalogEntries = [];
+    for (const [source, sourceChunks] of bySource) {
+      const existing = await this.getSourcePoints(source);
+      const existingIds = new Set(existing.map(point => String(point.id)));
+      const existingIndexes = new Set(existing.map(point => point.payload?.metadata?.chunk_index).filter(index => index !== undefined));
+      const newIds = new Set(sourceChunks.map(chunk => chunk.metadata.chunk_id));
+      const newIndexes = new Set(sourceChunks.map(chunk => chunk.metadata.chunk_index));
+
+      for (const chunk of sourceChunks) {
+        if (existingIds.has(chunk.metadata.chunk_id)) {
+          stats.unchanged++;
         } else {
-          // Keep all lines except WEBVTT header and empty lines
-          if (line && !line.startsWith('WEBVTT')) {
-            processedLines.push(line);
-          }
+          toWrite.push(chunk);
+          // Without pruning the old chunk at this index stays, so nothing was replaced
+          if (prune && existingIndexes.has(chunk.metadata.chunk_index)) stats.updated++;
+          else stats.added++;
         }
       }
-    } else if (fileType === 'srt') {
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-
-        if (removeTimestamps) {
-          // Skip timestamp lines, sequence numbers, and empty lines
-          if (line &&
-            !line.includes('-->') &&
-            !line.match(/^\d+$/) &&
-            !line.match(/^\d{2}:\d{2}:\d{2},\d{3}/)) {
-            processedLines.push(line);
-          }
-        } else {
-          // Keep all lines except empty lines
-          if (line) {
-            processedLines.push(line);
+
+      let staleCount = 0;
+      if (prune) {
+        for (const point of existing) {
+          if (newIds.has(String(point.id))) continue;
+          stalePoints.push(point);
+          staleCount++;
+          if (!newIndexes.has(point.payload?.metadata?.chunk_index)) stats.removed++;
+        }
+      }
+
+      const written = sourceChunks.filter(chunk => !existingIds.has(chunk.metadata.chunk_id)).length;
+      catalogEntries.push({
+        source,
+        displayName: this.cleanSourceName(source),
+        title: sourceChunks[0].metadata.title,
+        type: this.inferSourceType(source, sourceChunks[0].metadata),
+        chunkCount: existing.length - staleCount + written,
+        // Without pruning the source holds more than this batch, so a content hash would be misleading
+        checksum: checksums[source] || (prune
+          ? crypto.createHash('sha256').update(sourceChunks.map(chunk => chunk.metadata.content_hash).join('')).digest('hex')
+          : null)
+      });
+    }
+
+    const batchSize = Number(process.env.BULK_EMBED_BATCH || '128');
+    for (let i = 0; i < toWrite.length; i += batchSize) {
+      const batch = toWrite.slice(i, i + batchSize);
+      const vectors = await this.embeddings.embedDocuments(batch.map(chunk => chunk.pageContent));
+      await this.vectorStore.client.upsert(this.collectionName, {
+        wait: true,
+        points: batch.map((chunk, index) => ({
+          id: chunk.metadata.chunk_id,
+          vector: vectors[index],
+          payload: { content: chunk.pageContent, metadata: chunk.metadata },
+        })),
+      });
+      onBatch?.({ written: Math.min(i + batchSize, toWrite.length), total: toWrite.length });
+    }
+
+    if (stalePoints.length > 0) {
+      await this.vectorStore.client.delete(this.collectionName, {
+        wait: true,
+        points: stalePoints.map(point => point.id),
+      });
+    }
+
+    try {
+      lexicalIndex.deleteChunks(this.localIndexKey, stalePoints.map(point => this.getChunkId({
+        pageContent: point.payload?.content || '',
+        metadata: point.payload?.metadata || {},
+      })));
+      lexicalIndex.addChunks(this.localIndexKey, toWrite.map(chunk => ({
+        key: this.getChunkId(chunk),
+        source: chunk.metadata?.source,
+        content: chunk.pageContent,
+        metadata: chunk.metadata
+      })));
+    } catch (error) {
+      // The vectors are already stored; a missing keyword entry only weakens hybrid ranking
+      logger.warn(`Failed to update lexical index: ${error.message}`);
+    }
+
+    for (const entry of catalogEntries) {
+      documentCatalog.upsert(this.localIndexKey, entry);
+    }
+
+    logger.info(`Stored chunks: ${stats.added} added, ${stats.updated} updated, ${stats.unchanged} unchanged, ${stats.removed} removed`);
+    return stats;
+  }
+
+  // Dense + BM25 retrieval fused with reciprocal rank fusion. Each returned document carries
+  // its similarity_score, lexical_score and fusion_score in metadata.
+  async retrieveDocuments(query, { k = 4, filter, excludedSources = [], includedSources = [], lexicalWeight = this.lexicalWeight } = {}) {
+    const candidateK = Math.max(k * 3, 20);
+
+    const denseResults = await this.vectorStore.similaritySearchWithScore(query, lexicalWeight > 0 ? candidateK : k, filter);
+    const denseItems = denseResults.map(([doc, score]) => ({
+      key: this.getChunkId(doc),
+      doc,
+      similarityScore: score
+    }));
+
+    if (lexicalWeight <= 0) {
+      return denseItems.slice(0, k).map(item => new Document({
+        pageContent: item.doc.pageContent,
+        metadata: { ...item.doc.metadata, similarity_score: item.similarityScore }
+      }));
+    }
+
+    const lexicalItems = lexicalIndex.search(this.localIndexKey, query, candidateK, {
+      includedSources: this.resolveSourceNames(includedSources || []),
+      excludedSources: this.resolveSourceNames(excludedSources || [])
+    }).map(hit => ({
+      key: hit.key,
+      doc: new Document({ pageContent: hit.content, metadata: hit.metadata }),
+      lexicalScore: hit.score
+    }));
+
+    const lexicalScores = new Map(lexicalItems.map(item => [item.key, item.lexicalScore]));
+    const fused = reciprocalRankFusion([
+      { name: 'dense', weight: 1 - lexicalWeight, items: denseItems },
+      { name: 'lexical', weight: lexicalWeight, items: lexicalItems }
+    ]);
+
+    logger.info(`Hybrid retrieval: ${denseItems.length} dense + ${lexicalItems.length} lexical candidates fused into ${Math.min(k, fused.length)} (lexical weight ${lexicalWeight})`);
+
+    return fused.slice(0, k).map(({ key, item, fusionScore }) => new Document({
+      pageContent: item.doc.pageContent,
+      metadata: {
+        ...item.doc.metadata,
+        similarity_score: item.similarityScore ?? null,
+        lexical_score: lexicalScores.get(key) ?? null,
+        fusion_score: fusionScore
+      }
+    }));
+  }
+
+  // Turn the request's `rerank` value (true/false, a reranker type, or unset) into a reranker or null
+  // The LLM reranker grades with the chat model the request resolves to, so it is cached per
+  // chat configuration like the chat models themselves
+  resolveReranker(rerank, { persona, chat } = {}) {
+    let type = rerank;
+    if (rerank === undefined || rerank === null) type = this.defaultReranker;
+    if (rerank === true) type = this.defaultReranker === 'none' ? 'llm' : this.defaultReranker;
+    if (rerank === false || type === 'none') return null;
+
+    if (!RERANKER_TYPES.includes(type)) {
+      throw new Error(`Unknown reranker "${type}". Expected one of: ${RERANKER_TYPES.join(', ')}`);
+    }
+    const key = type === 'llm' ? `llm:${JSON.stringify(this.resolveChatConfig(persona, chat))}` : type;
+    if (!this.rerankers.has(key)) {
+      if (this.rerankers.size >= 32) {
+        this.rerankers.delete(this.rerankers.keys().next().value);
+      }
+      this.rerankers.set(key, createReranker(type, { chatModel: type === 'llm' ? this.getChatModel(persona, chat) : undefined }));
+    }
+    return this.rerankers.get(key);
+  }
+
+  // Rescore candidates with the reranker and keep the best k. Each kept document records its
+  // rerank_score and the retrieval_rank it had before reranking. If the reranker fails the
+  // original retrieval order is used so the question still gets answered.
+  async rerankDocuments(query, documents, k, reranker) {
+    if (documents.length === 0) return documents;
+
+    let scores;
+    try {
+      scores = await reranker.rerank(query, documents);
+    } catch (error) {
+      logger.warn(`Reranking with ${reranker.name} failed, keeping retrieval order: ${error.message}`);
+      return documents.slice(0, k);
+    }
+
+    const ranked = documents
+      .map((doc, index) => ({ doc, index, score: scores[index] }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, k);
+
+    logger.info(`Reranked ${documents.length} candidates with ${reranker.name}, kept ${ranked.length}`);
+
+    return ranked.map(({ doc, index, score }) => new Document({
+      pageContent: doc.pageContent,
+      metadata: {
+        ...doc.metadata,
+        rerank_score: score,
+        retrieval_rank: index + 1,
+        reranker: reranker.name
+      }
+    }));
+  }
+
+  // Runnable retriever over retrieveDocuments; accepts a query string or a chain input object.
+  // With a reranker it over-fetches rerankCandidates chunks and keeps the best k after rescoring.
+  createRetriever({ rerank, rerankCandidates, persona, chat, ...options }) {
+    const reranker = this.resolveReranker(rerank, { persona, chat });
+    const candidateCount = Math.max(options.k, rerankCandidates || this.rerankCandidates);
+
+    return RunnableLambda.from(async (input) => {
+      const query = typeof input === 'string' ? input : input.input;
+      if (!reranker) {
+        return this.retrieveDocuments(query, options);
+      }
+      const candidates = await this.retrieveDocuments(query, { ...options, k: candidateCount });
+      return this.rerankDocuments(query, candidates, options.k, reranker);
+    });
+  }
+
+  async rebuildLexicalIndex(opId) {
+    logger.info(`Rebuilding lexical index for collection ${this.collectionName}`);
+    emitProgress?.(opId, 'Rebuilding keyword index from the vector collection...');
+
+    lexicalIndex.clearCollection(this.localIndexKey);
+
+    let offset = null;
+    let indexed = 0;
+    do {
+      const scrollParams = { limit: 1000, with_payload: true, with_vectors: false };
+      if (offset !== null) scrollParams.offset = offset;
+
+      const batch = await this.vectorStore.client.scroll(this.collectionName, scrollParams);
+      const points = batch.points || [];
+      indexed += lexicalIndex.addChunks(this.localIndexKey, points
+        .filter(point => point.payload && point.payload.content)
+        .map(point => {
+          const doc = { pageContent: point.payload.content, metadata: point.payload.metadata || {} };
+          return {
+            key: this.getChunkId(doc),
+            source: doc.metadata.source,
+            content: doc.pageContent,
+            metadata: doc.metadata
+          };
+        }));
+
+      emitProgress?.(opId, `Indexed ${indexed} chunks`);
+      offset = batch.next_page_offset ?? null;
+    } while (offset !== null);
+
+    logger.info(`Lexical index rebuilt with ${indexed} chunks`);
+    emitDone?.(opId, { chunksIndexed: indexed });
+    return { success: true, collectionName: this.collectionName, chunksIndexed: indexed };
+  }
+
+  // Catalog type for a source: file extension, 'web' for URLs, 'text' for pasted text
+  inferSourceType(source, metadata = {}) {
+    if (metadata.file_type) return metadata.file_type;
+    if (source === 'raw-text') return 'text';
+    if (/^https?:\/\//i.test(source)) return 'web';
+    const extension = path.extname(source).slice(1).toLowerCase();
+    return extension || 'unknown';
+  }
+
+  // Rebuild the document catalog with a single scroll over the collection. Needed once for
+  // collections filled before the catalog existed, or after points were changed outside the app.
+  async rebuildDocumentCatalog(opId) {
+    logger.info(`Rebuilding document catalog for collection ${this.collectionName}`);
+    emitProgress?.(opId, 'Rebuilding document catalog from the vector collection...');
+
+    const entries = new Map();
+    let offset = null;
+    let scanned = 0;
+    do {
+      const scrollParams = { limit: 1000, with_payload: ['metadata'], with_vector: false };
+      if (offset !== null) scrollParams.offset = offset;
+
+      const batch = await this.vectorStore.client.scroll(this.collectionName, scrollParams);
+      for (const point of batch.points || []) {
+        const metadata = point.payload?.metadata || {};
+        const source = metadata.source || 'Unknown';
+        if (!entries.has(source)) {
+          entries.set(source, {
+            source,
+            displayName: this.cleanSourceName(source),
+            title: metadata.title,
+            type: this.inferSourceType(source, metadata),
+            chunkCount: 0,
+            updatedAt: metadata.timestamp
+          });
+        }
+        entries.get(source).chunkCount++;
+      }
+
+      scanned += (batch.points || []).length;
+      emitProgress?.(opId, `Scanned ${scanned} chunks`);
+      offset = batch.next_page_offset ?? null;
+    } while (offset !== null);
+
+    documentCatalog.replaceAll(this.localIndexKey, Array.from(entries.values()));
+    logger.info(`Document catalog rebuilt: ${entries.size} sources, ${scanned} chunks`);
+    emitDone?.(opId, { sources: entries.size, chunks: scanned });
+    return { success: true, collectionName: this.collectionName, sources: entries.size, chunks: scanned };
+  }
+
+  // Collections filled before the catalog existed get it built on first use
+  async ensureDocumentCatalog(totalPoints) {
+    if (totalPoints > 0 && documentCatalog.stats(this.localIndexKey).sources === 0) {
+      logger.info(`Document catalog is empty but ${this.collectionName} holds ${totalPoints} points; rebuilding it`);
+      await this.rebuildDocumentCatalog();
+    }
+  }
+
+  get isMigrating() {
+    return this.migrations.has(this.localIndexKey);
+  }
+
+  // Writes during a migration would land in the collection that is about to be replaced
+  assertNotMigrating() {
+    if (this.isMigrating) {
+      throw new Error(`Collection ${this.collectionName} is being re-embedded; try again when the migration has finished`);
+    }
+  }
+
+  // Re-embed every stored chunk with the configured embedding provider. The chunks are copied
+  // from their payload text into a new collection sized for the provider, keeping point ids and
+  // payloads (so the keyword index and catalog stay valid), then the collection name is turned
+  // into an alias of the new collection and the old one is deleted. Searches keep using the old
+  // vectors until the switch, which is atomic once the name is already an alias; the first
+  // migration of a plain collection has to delete it before its name can become an alias.
+  // Aborting `signal` before the switch drops the partial copy.
+  async reembedCollection(opId, { signal } = {}) {
+    this.assertNotMigrating();
+    const migrationKey = this.localIndexKey;
+    this.migrations.add(migrationKey);
+
+    const client = this.vectorStore.client;
+    let target = null;
+    let switched = false;
+    try {
+      const current = await resolveCollection(client, this.collectionName);
+      if (!current.exists) {
+        throw new Error(`Collection ${this.collectionName} does not exist`);
+      }
+
+      const sourceInfo = await client.getCollection(current.physicalName);
+      const total = sourceInfo.points_count || 0;
+      const vectorSize = await this.getVectorSize();
+      target = `${this.collectionName}_${this.embeddings.provider}_${Date.now()}`;
+
+      logger.info(`Re-embedding ${total} chunks from ${current.physicalName} into ${target} (${this.embeddings.provider}, ${vectorSize} dimensions)`);
+      emitProgress?.(opId, `Re-embedding ${total} chunks with ${this.embeddings.provider} (${vectorSize} dimensions)...`, { total, migrated: 0, status: 'starting' });
+
+      await client.createCollection(target, { vectors: { size: vectorSize, distance: 'Cosine' } });
+      await client.createPayloadIndex(target, { field_name: 'metadata.source', field_schema: 'keyword', wait: true });
+
+      const batchSize = Number(process.env.BULK_EMBED_BATCH || '128');
+      let offset = null;
+      let migrated = 0;
+      let skipped = 0;
+      do {
+        signal?.throwIfAborted();
+        const scrollParams = { limit: batchSize, with_payload: true, with_vector: false };
+        if (offset !== null) scrollParams.offset = offset;
+
+        const batch = await client.scroll(current.physicalName, scrollParams);
+        const points = (batch.points || []).filter(point => point.payload?.content);
+        skipped += (batch.points || []).length - points.length;
+
+        if (points.length > 0) {
+          const vectors = await this.embeddings.embedDocuments(points.map(point => point.payload.content));
+          await client.upsert(target, {
+            wait: true,
+            points: points.map((point, index) => ({ id: point.id, vector: vectors[index], payload: point.payload })),
+          });
+          migrated += points.length;
+        }
+
+        emitProgress?.(opId, `Re-embedded ${migrated} of ${total} chunks`, { total, migrated, skipped, status: 'processing' });
+        offset = batch.next_page_offset ?? null;
+      } while (offset !== null);
+
+      if (skipped > 0) {
+        logger.warn(`${skipped} points in ${current.physicalName} have no text payload and were not migrated`);
+      }
+
+      signal?.throwIfAborted();
+      const createAlias = { create_alias: { collection_name: target, alias_name: this.collectionName } };
+      if (current.isAlias) {
+        await client.updateCollectionAliases({
+          actions: [{ delete_alias: { alias_name: this.collectionName } }, createAlias],
+        });
+        switched = true;
+        await client.deleteCollection(current.physicalName).catch(deleteError => {
+          logger.warn(`Could not delete previous collection ${current.physicalName}: ${deleteError.message}`);
+        });
+      } else {
+        // Qdrant rejects an alias named like an existing collection
+        await client.deleteCollection(current.physicalName);
+        switched = true;
+        await client.updateCollectionAliases({ actions: [createAlias] });
+      }
+
+      logger.info(`Collection ${this.collectionName} now points to ${target} (${migrated} chunks re-embedded)`);
+      const summary = {
+        collectionName: this.collectionName,
+        physicalCollection: target,
+        previousCollection: current.physicalName,
+        provider: this.embeddings.provider,
+        model: this.embeddings.model,
+        vectorSize,
+        migrated,
+        skipped,
+      };
+      emitDone?.(opId, { ...summary, status: 'completed' });
+      return { success: true, ...summary };
+    } catch (error) {
+      const cancelled = signal?.aborted;
+      if (cancelled) logger.info(`Re-embedding ${this.collectionName} was cancelled`);
+      else logger.error(`Re-embedding ${this.collectionName} failed: ${error.message}`);
+      if (target && !switched) {
+        // The old collection is untouched; drop the partial copy
+        await client.deleteCollection(target).catch(cleanupError => {
+          logger.warn(`Could not delete partial collection ${target}: ${cleanupError.message}`);
+        });
+      } else if (switched) {
+        logger.error(`The re-embedded chunks are in collection ${target}; point the alias ${this.collectionName} at it to recover`);
+      }
+      emitDone?.(opId, { error: error.message, status: cancelled ? 'cancelled' : 'failed' });
+      throw error;
+    } finally {
+      this.migrations.delete(migrationKey);
+    }
+  }
+
+  // Every point of the collection as { id, payload } (plus `vector` with withVectors), in
+  // scroll order. Used for JSONL snapshots that can be loaded again with importPoints.
+  async *exportPoints({ withVectors = false } = {}) {
+    let offset = null;
+    do {
+      const scrollParams = { limit: 256, with_payload: true, with_vector: withVectors };
+      if (offset !== null) scrollParams.offset = offset;
+
+      const batch = await this.vectorStore.client.scroll(this.collectionName, scrollParams);
+      for (const point of batch.points || []) {
+        yield withVectors
+          ? { id: point.id, payload: point.payload, vector: point.vector }
+          : { id: point.id, payload: point.payload };
+      }
+      offset = batch.next_page_offset ?? null;
+    } while (offset !== null);
+  }
+
+  // Load a JSONL snapshot file written by exportPoints, reading it line by line so its size is
+  // not bounded by memory. Points keep their ids and payloads; their vectors are used as they
+  // are unless `reembed` says otherwise:
+  //   auto   - re-embed points whose vector is missing or has the wrong size (default)
+  //   always - re-embed every point (snapshot taken with a different embedding model)
+  //   never  - skip points without a usable vector
+  // Lines that are not JSON or lack an id or text content are counted as invalid and skipped.
+  // Aborting `signal` stops after the current batch; points already written stay.
+  async importPoints(snapshotPath, opId, { reembed = 'auto', signal } = {}) {
+    this.assertNotMigrating();
+    logger.info(`Importing snapshot into collection ${this.collectionName} (reembed: ${reembed})`);
+
+    await this.vectorStore.ensureCollection();
+    const collectionInfo = await this.vectorStore.client.getCollection(this.collectionName);
+    const vectorSize = collectionInfo.config?.params?.vectors?.size || await this.getVectorSize();
+
+    const stats = { imported: 0, reembedded: 0, skipped: 0, invalid: 0 };
+    const errors = [];
+    const totalBytes = fs.statSync(snapshotPath).size;
+    const input = fs.createReadStream(snapshotPath, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    emitProgress?.(opId, `Importing snapshot (${(totalBytes / 1024 / 1024).toFixed(1)} MB) into ${this.collectionName}...`, { totalBytes, ...stats });
+
+    const storeBatch = async (batch) => {
+      signal?.throwIfAborted();
+      const needsEmbedding = batch.filter(record => reembed === 'always' ||
+        !Array.isArray(record.vector) || record.vector.length !== vectorSize);
+
+      let points = batch;
+      if (needsEmbedding.length > 0 && reembed === 'never') {
+        stats.skipped += needsEmbedding.length;
+        points = batch.filter(record => !needsEmbedding.includes(record));
+      } else if (needsEmbedding.length > 0) {
+        const vectors = await this.embeddings.embedDocuments(needsEmbedding.map(record => record.payload.content));
+        needsEmbedding.forEach((record, index) => { record.vector = vectors[index]; });
+        stats.reembedded += needsEmbedding.length;
+      }
+
+      if (points.length > 0) {
+        await this.vectorStore.client.upsert(this.collectionName, {
+          wait: true,
+          points: points.map(record => ({ id: record.id, vector: record.vector, payload: record.payload })),
+        });
+        stats.imported += points.length;
+
+        try {
+          lexicalIndex.addChunks(this.localIndexKey, points.map(record => {
+            const doc = { pageContent: record.payload.content, metadata: record.payload.metadata || {} };
+            return { key: this.getChunkId(doc), source: doc.metadata.source, content: doc.pageContent, metadata: doc.metadata };
+          }));
+        } catch (error) {
+          logger.warn(`Failed to update lexical index: ${error.message}`);
+        }
+      }
+
+      emitProgress?.(opId, `Imported ${stats.imported} points`, { totalBytes, bytesRead: input.bytesRead, ...stats });
+    };
+
+    const batchSize = Number(process.env.BULK_EMBED_BATCH || '128');
+    let batch = [];
+    let lineNumber = 0;
+    try {
+      for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) continue;
+        try {
+          const record = JSON.parse(line);
+          if ((typeof record.id !== 'string' && typeof record.id !== 'number') || typeof record.payload?.content !== 'string') {
+            throw new Error('expected an id and payload.content');
           }
+          batch.push(record);
+        } catch (error) {
+          stats.invalid++;
+          if (errors.length < 5) errors.push(`line ${lineNumber}: ${error.message}`);
+        }
+
+        if (batch.length >= batchSize) {
+          await storeBatch(batch);
+          batch = [];
         }
       }
+      if (batch.length > 0) {
+        await storeBatch(batch);
+      }
+    } finally {
+      lines.close();
+      input.destroy();
+
+      // Imported points may add chunks to sources that already exist, so count them from Qdrant.
+      // A failing rebuild must not hide the import's own error or its cancellation.
+      if (stats.imported > 0) {
+        try {
+          await this.rebuildDocumentCatalog();
+        } catch (error) {
+          logger.error(`Failed to rebuild the document catalog after the import: ${error.message}`);
+        }
+      }
+    }
+
+    logger.info(`Snapshot imported: ${stats.imported} points (${stats.reembedded} re-embedded), ${stats.skipped} skipped, ${stats.invalid} invalid`);
+    emitDone?.(opId, { ...stats, collectionName: this.collectionName });
+    return { success: true, collectionName: this.collectionName, vectorSize, ...stats, errors };
+  }
+
+  async ensureSourceIndex() {
+    try {
+      await this.vectorStore.client.createPayloadIndex(this.collectionName, {
+        field_name: 'metadata.source',
+        field_schema: 'keyword',
+        wait: true
+      });
+    } catch (error) {
+      logger.warn(`Could not create payload index on metadata.source: ${error.message}`);
+    }
+  }
+
+  // Expand display names (as returned by listDocuments) to every raw source value they stand for
+  resolveSourceNames(names = []) {
+    const resolved = new Set();
+    for (const name of names) {
+      if (typeof name !== 'string' || !name.trim()) continue;
+      resolved.add(name);
+      // The UI shows cleaned names; the catalog maps them back to raw metadata.source values
+      for (const rawSource of documentCatalog.sourcesForDisplayName(this.localIndexKey, this.cleanSourceName(name))) {
+        resolved.add(rawSource);
+      }
+    }
+    return Array.from(resolved);
+  }
+
+  // Build a Qdrant payload filter restricting retrieval by metadata.source.
+  // includedSources switches to inclusion-only mode; excludedSources always wins.
+  // Display names only resolve through the catalog, so it is built first if it is missing.
+  async buildSourceFilter(excludedSources = [], includedSources = []) {
+    if ((excludedSources?.length || 0) + (includedSources?.length || 0) > 0) {
+      await this.ensureDocumentCatalog(await this.getCollectionPointCount());
+    }
+
+    const excluded = this.resolveSourceNames(excludedSources || []);
+    const included = this.resolveSourceNames(includedSources || []);
+
+    if (excluded.length === 0 && included.length === 0) {
+      return undefined;
     }
 
-    return processedLines.join('\n');
+    const filter = {};
+    if (included.length > 0) {
+      filter.must = [{ key: 'metadata.source', match: { any: included } }];
+    }
+    if (excluded.length > 0) {
+      filter.must_not = [{ key: 'metadata.source', match: { any: excluded } }];
+    }
+
+    logger.info(`Source filter: ${included.length} included, ${excluded.length} excluded`);
+    return filter;
+  }
+
+  // Helper function to clean up source names for better display
+  cleanSourceName(sourcePath) {
+    if (!sourcePath) return 'Unknown';
+    
+    // If the path contains "split 11\", extract just the filename part after it
+    if (sourcePath.includes('split 11\\')) {
+      return sourcePath.split('split 11\\')[1];
+    }
+    
+    // Otherwise, return just the filename (basename)
+    return sourcePath.split(/[\\/]/).pop() || sourcePath;
   }
 
   // Helper function to improve text formatting for better readability
@@ -374,66 +1133,127 @@ class RAGService {
     return formattedText.trim();
   }
 
-  async processWebUrl(url, opId) {
+  // Crawls a site (crawl options such as maxPages, maxDepth, include and exclude go to the
+  // crawler) and stores its pages and linked documents. A recrawl of the same start URL uses the
+  // crawl history: pages are requested conditionally, and only pages whose text changed are
+  // chunked and stored again, replacing their old chunks. `deleteMissing` deletes the pages that
+  // now answer 404/410; `force` re-fetches and re-stores every page. An aborted `signal` stops
+  // the crawl and skips storing.
+  async processWebUrl(url, opId, { signal, force = false, deleteMissing = false, ...crawlOptions } = {}) {
     try {
       logger.info(`Processing website: ${url}`);
       emitProgress?.(opId, 'Starting recursive website crawl...');
 
+      // Pages whose chunks were deleted since the last crawl have to be fetched in full
+      await this.ensureDocumentCatalog(await this.getCollectionPointCount());
+      const history = new Map();
+      for (const [pageUrl, entry] of crawlHistory.forSite(this.localIndexKey, url)) {
+        if (!documentCatalog.get(this.localIndexKey, pageUrl)) continue;
+        history.set(pageUrl, force ? { ...entry, etag: null, lastModified: null } : entry);
+      }
+      if (history.size > 0) {
+        emitProgress?.(opId, `Recrawling ${history.size} known pages${force ? ' (forced)' : ''}`);
+      }
+
       // Use the recursive website crawler
-      const crawlResult = await websiteCrawler.crawlWebsite(url, opId);
+      const crawlResult = await websiteCrawler.crawlWebsite(url, opId, { signal, history, ...crawlOptions });
+      signal?.throwIfAborted();
 
-      if (!crawlResult.success || !crawlResult.pages || crawlResult.pages.length === 0) {
+      const pages = crawlResult.pages || [];
+      if (!crawlResult.success || (pages.length === 0 && crawlResult.unchanged.length === 0)) {
         throw new Error('No pages were successfully crawled');
       }
 
-      emitProgress?.(opId, `Processing ${crawlResult.pages.length} pages for embeddings...`);
+      emitProgress?.(opId, `Processing ${pages.length} pages for embeddings...`);
 
-      // Process all crawled pages
+      // Process the crawled pages whose text changed since the last crawl
       const allDocs = [];
       const sources = [];
+      const fetched = [];
+      let pagesUnchanged = crawlResult.unchanged.length;
 
-      for (let i = 0; i < crawlResult.pages.length; i++) {
-        const page = crawlResult.pages[i];
-        emitProgress?.(opId, `Processing page ${i + 1}/${crawlResult.pages.length}: ${page.title}`);
+      for (let i = 0; i < pages.length; i++) {
+        const page = pages[i];
 
         if (page.textContent && page.textContent.trim()) {
-          const doc = new Document({
-            pageContent: page.textContent,
-            metadata: {
-              source: page.url,
-              title: page.title,
-              crawlIndex: i,
-              totalPages: crawlResult.pages.length
-            },
-          });
-          allDocs.push(doc);
-          sources.push({ url: page.url, title: page.title });
+          const contentHash = crawlHistory.hashContent(page.textContent);
+          fetched.push({ url: page.url, etag: page.etag, lastModified: page.lastModified, contentHash, links: page.linkUrls, depth: page.depth, linkedFrom: page.linkedFrom });
+          if (!force && history.get(page.url)?.contentHash === contentHash) {
+            pagesUnchanged++;
+            continue;
+          }
+
+          emitProgress?.(opId, `Processing page ${i + 1}/${pages.length}: ${page.title}`);
+          const metadata = {
+            source: page.url,
+            title: page.title,
+            crawlIndex: i,
+            totalPages: pages.length
+          };
+          // Linked documents keep the page they were found on next to their own URL
+          if (page.document) {
+            metadata.file_type = page.document.fileType;
+            metadata.linked_from = page.linkedFrom || null;
+          }
+          allDocs.push({ doc: new Document({ pageContent: page.textContent, metadata }), layout: page.layout });
+          sources.push(page.document
+            ? { url: page.url, title: page.title, fileType: page.document.fileType, linkedFrom: page.linkedFrom || null }
+            : { url: page.url, title: page.title });
         }
       }
 
-      if (allDocs.length === 0) {
+      if (allDocs.length === 0 && pagesUnchanged === 0) {
         throw new Error('No extractable content found from crawled pages');
       }
 
-      emitProgress?.(opId, 'Chunking all pages...');
-      const chunks = await this.textSplitter.splitDocuments(allDocs);
+      let chunks = [];
+      let stats = { added: 0, updated: 0, unchanged: 0, removed: 0 };
+      if (allDocs.length > 0) {
+        emitProgress?.(opId, 'Chunking all pages...');
+        for (const { doc, layout } of allDocs) {
+          const docChunks = await this.textSplitter.splitDocuments([doc]);
+          if (layout) {
+            // Heading breadcrumbs for pages, page numbers for linked PDFs, as for uploads
+            const pageMetadata = layoutMetadataForChunks(layout, docChunks.map(chunk => chunk.pageContent));
+            docChunks.forEach((chunk, index) => Object.assign(chunk.metadata, pageMetadata[index]));
+          }
+          chunks.push(...docChunks);
+        }
 
-      emitProgress?.(opId, `Storing ${chunks.length} chunks from ${allDocs.length} pages`);
-      await this.vectorStore.addDocuments(chunks);
+        emitProgress?.(opId, `Storing ${chunks.length} chunks from ${allDocs.length} pages`);
+        stats = await this.storeChunks(chunks);
+      } else {
+        emitProgress?.(opId, 'No page changed since the last crawl');
+      }
 
-      logger.info(`Successfully processed and stored content from ${crawlResult.pagesProcessed} pages of ${url}`);
-      emitDone?.(opId, {
-        chunksAdded: chunks.length,
-        pagesProcessed: crawlResult.pagesProcessed,
-        sources
-      });
+      crawlHistory.record(this.localIndexKey, url, fetched);
+      crawlHistory.touch(this.localIndexKey, crawlResult.unchanged);
 
-      return {
-        success: true,
+      let pagesDeleted = 0;
+      if (deleteMissing) {
+        const gone = crawlResult.gone.filter(pageUrl => documentCatalog.get(this.localIndexKey, pageUrl));
+        if (gone.length > 0) {
+          emitProgress?.(opId, `Deleting ${gone.length} pages that no longer exist`);
+          await this.deleteSources(gone);
+          pagesDeleted = gone.length;
+        }
+        crawlHistory.remove(this.localIndexKey, crawlResult.gone);
+      }
+
+      logger.info(`Successfully processed ${crawlResult.pagesProcessed} pages of ${url}: ${allDocs.length} changed, ${pagesUnchanged} unchanged, ${pagesDeleted} deleted`);
+      const result = {
         chunksAdded: chunks.length,
+        ...stats,
         pagesProcessed: crawlResult.pagesProcessed,
+        pagesChanged: allDocs.length,
+        pagesUnchanged,
+        pagesDeleted,
+        crawlReport: crawlResult.report,
         sources
       };
+      emitDone?.(opId, result);
+
+      return { success: true, ...result };
     } catch (error) {
       logger.error(`Error processing URL ${url}: ${error.message}`);
       emitProgress?.(opId, `Error: ${error.message}`);
@@ -441,56 +1261,26 @@ class RAGService {
     }
   }
 
-  async processFile(files, opId, removeTimestamps = false) {
+  async processFile(files, opId, removeTimestamps = false, { signal } = {}) {
     try {
       const fileArray = Array.isArray(files) ? files : [files];
       let totalChunks = 0;
       const allSources = [];
+      const totals = { added: 0, updated: 0, unchanged: 0, removed: 0 };
 
       for (let i = 0; i < fileArray.length; i++) {
+        signal?.throwIfAborted();
         const file = fileArray[i];
         const { originalname, mimetype, buffer } = file;
 
         emitProgress?.(opId, `Processing file ${i + 1}/${fileArray.length}: ${originalname}`);
 
-        let textContent = '';
-
-        if (mimetype === 'application/pdf') {
-          emitProgress?.(opId, 'Extracting text from PDF');
-          // Dynamic import from the library path to avoid module-side file reads
-          const pdfModule = await import('pdf-parse/lib/pdf-parse.js');
-          const pdfParse = pdfModule.default || pdfModule;
-          const data = await pdfParse(buffer);
-          textContent = data.text || '';
-        } else if (mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-          emitProgress?.(opId, 'Extracting text from DOCX');
-          const result = await mammoth.extractRawText({ buffer });
-          textContent = result.value || '';
-        } else if (mimetype === 'text/plain' || originalname.endsWith('.txt') || originalname.endsWith('.md')) {
-          emitProgress?.(opId, 'Reading text file');
-          textContent = buffer.toString('utf8');
-        } else if (mimetype === 'text/csv' || originalname.endsWith('.csv')) {
-          emitProgress?.(opId, 'Processing CSV file');
-          const csvText = buffer.toString('utf8');
-          // Convert CSV to readable text format
-          const lines = csvText.split('\n');
-          const processedLines = lines.map(line => {
-            // Split by comma and clean up each field
-            const fields = line.split(',').map(field => field.trim().replace(/"/g, ''));
-            return fields.join(' | ');
-          });
-          textContent = processedLines.join('\n');
-        } else if (originalname.endsWith('.vtt')) {
-          emitProgress?.(opId, `Processing VTT subtitle file${removeTimestamps ? ' (removing timestamps)' : ' (keeping timestamps)'}`);
-          const vttText = buffer.toString('utf8');
-          textContent = this.processSubtitleContent(vttText, 'vtt', removeTimestamps);
-        } else if (originalname.endsWith('.srt')) {
-          emitProgress?.(opId, `Processing SRT subtitle file${removeTimestamps ? ' (removing timestamps)' : ' (keeping timestamps)'}`);
-          const srtText = buffer.toString('utf8');
-          textContent = this.processSubtitleContent(srtText, 'srt', removeTimestamps);
-        } else {
+        const extractor = findExtractor(originalname, mimetype);
+        if (!extractor) {
           throw new Error(`Unsupported file type: ${mimetype} (${originalname})`);
         }
+        emitProgress?.(opId, extractor.describe({ removeTimestamps }));
+        const { text: textContent, layout } = await extractor.extract(buffer, { removeTimestamps });
 
         if (!textContent || !textContent.trim()) {
           emitProgress?.(opId, `Warning: No extractable content found in ${originalname}`);
@@ -502,11 +1292,19 @@ class RAGService {
           new Document({ pageContent: textContent, metadata: { source: originalname } }),
         ];
         const chunks = await this.textSplitter.splitDocuments(docs);
+        if (layout) {
+          // page_start / page_end / section so answers can cite "p. 341" rather than just the file;
+          // HTML files get section / breadcrumbs instead
+          const pageMetadata = layoutMetadataForChunks(layout, chunks.map(chunk => chunk.pageContent));
+          chunks.forEach((chunk, index) => Object.assign(chunk.metadata, pageMetadata[index]));
+        }
         totalChunks += chunks.length;
-        allSources.push({ file: originalname });
 
         emitProgress?.(opId, `Storing ${chunks.length} chunks from ${originalname}`);
-        await this.vectorStore.addDocuments(chunks);
+        const checksum = crypto.createHash('sha256').update(buffer).digest('hex');
+        const stats = await this.storeChunks(chunks, { checksums: { [originalname]: checksum } });
+        for (const key of Object.keys(totals)) totals[key] += stats[key];
+        allSources.push({ file: originalname, ...stats });
       }
 
       if (totalChunks === 0) {
@@ -514,8 +1312,8 @@ class RAGService {
       }
 
       logger.info(`Successfully processed and stored content from ${fileArray.length} files`);
-      emitDone?.(opId, { chunksAdded: totalChunks, sources: allSources });
-      return { success: true, chunksAdded: totalChunks, sources: allSources };
+      emitDone?.(opId, { chunksAdded: totalChunks, ...totals, sources: allSources });
+      return { success: true, chunksAdded: totalChunks, ...totals, sources: allSources };
     } catch (error) {
       logger.error(`Error processing files: ${error.message}`);
       emitProgress?.(opId, `Error: ${error.message}`);
@@ -530,10 +1328,11 @@ class RAGService {
       const docs = [new Document({ pageContent: text, metadata: { source: 'raw-text' } })];
       const chunks = await this.textSplitter.splitDocuments(docs);
       emitProgress?.(opId, `Storing ${chunks.length} chunks`);
-      await this.vectorStore.addDocuments(chunks);
+      // Every paste shares the 'raw-text' source, so earlier pastes must not be pruned
+      const stats = await this.storeChunks(chunks, { prune: false });
       logger.info(`Successfully processed and stored raw text input.`);
-      emitDone?.(opId, { chunksAdded: chunks.length, sources: [{ source: 'raw-text' }] });
-      return { success: true, chunksAdded: chunks.length };
+      emitDone?.(opId, { chunksAdded: chunks.length, ...stats, sources: [{ source: 'raw-text' }] });
+      return { success: true, chunksAdded: chunks.length, ...stats };
     } catch (error) {
       logger.error(`Error processing raw text: ${error.message}`);
       emitProgress?.(opId, `Error: ${error.message}`);
@@ -541,9 +1340,10 @@ class RAGService {
     }
   }
 
-  async query(query, userTopK = null, userSimilarityThreshold = null) {
+  async query(query, userTopK = null, userSimilarityThreshold = null, { excludedSources = [], includedSources = [], lexicalWeight, rerank, rerankCandidates, persona: personaId, chat } = {}) {
     try {
       logger.info(`Executing query: ${query}`);
+      const persona = this.resolvePersona(personaId);
       
       // Get optimal Top-K based on query complexity or user override
       const optimalTopK = await this.getOptimalTopK(query, userTopK);
@@ -553,26 +1353,32 @@ class RAGService {
       const similarityThreshold = userSimilarityThreshold || this.similarityThreshold;
       logger.info(`Using similarity threshold: ${similarityThreshold}`);
       
-      const retriever = this.vectorStore.asRetriever({ 
+      const retriever = this.createRetriever({
         k: optimalTopK,
-        scoreThreshold: similarityThreshold
+        filter: await this.buildSourceFilter(excludedSources, includedSources),
+        excludedSources,
+        includedSources,
+        lexicalWeight: this.parseLexicalWeight(lexicalWeight),
+        rerank,
+        rerankCandidates,
+        persona,
+        chat
       });
 
-      const prompt = ChatPromptTemplate.fromTemplate(QUERY_PROMPT);
+      const prompt = ChatPromptTemplate.fromTemplate(`${persona.queryPrompt.trimEnd()}\n\n**Citations:**\n${CITATION_INSTRUCTIONS}\n`);
 
       const documentChain = await createStuffDocumentsChain({
-        llm: this.chatModel,
+        llm: this.getChatModel(persona, chat),
         prompt,
+        documentPrompt: this.buildCitationDocumentPrompt(),
       });
 
-      const retrievalChain = await createRetrievalChain({
-        combineDocsChain: documentChain,
-        retriever,
-      });
-
-      const result = await retrievalChain.invoke({
-        input: query,
-      });
+      // Retrieve first so an empty knowledge base gets the persona's message instead of a model call
+      const context = this.numberSources(await retriever.invoke(query));
+      const answer = context.length > 0
+        ? await documentChain.invoke({ input: query, context })
+        : persona.errorMessages.noContext;
+      const result = { context, answer };
 
       // Filter results by similarity score if available
       let filteredContext = result.context;
@@ -598,6 +1404,10 @@ class RAGService {
         success: true,
         response: formattedResponse,
         sources: cleanedSources,
+        // Against every chunk the model saw, so a citation to one filtered out above still resolves
+        ...this.extractCitations(formattedResponse, this.cleanSources(result.context)),
+        persona: persona.id,
+        chatModel: describeChatConfig(this.resolveChatConfig(persona, chat)),
         similarityThreshold: similarityThreshold,
         documentsRetrieved: result.context.length,
         documentsFiltered: filteredContext.length
@@ -608,86 +1418,64 @@ class RAGService {
     }
   }
 
-  // Query with conversation history for memory persistence
-  async queryWithHistory(query, conversationHistory, userTopK = null, excludedSources = [], userSimilarityThreshold = null, useSystemPrompt = true) {
-    try {
-      // Validate inputs
-      if (typeof query !== 'string') {
-        throw new Error(`Query must be a string, got ${typeof query}: ${JSON.stringify(query)}`);
-      }
-      
-      if (!Array.isArray(conversationHistory)) {
-        throw new Error(`ConversationHistory must be an array, got ${typeof conversationHistory}`);
-      }
-      
-      // Validate conversation history structure
-      for (let i = 0; i < conversationHistory.length; i++) {
-        const msg = conversationHistory[i];
-        if (!msg || typeof msg !== 'object') {
-          throw new Error(`Invalid message at index ${i}: not an object`);
-        }
-        if (!msg.role || typeof msg.role !== 'string') {
-          throw new Error(`Invalid message at index ${i}: missing or invalid role`);
-        }
-        if (!msg.content || typeof msg.content !== 'string') {
-          throw new Error(`Invalid message at index ${i}: missing or invalid content`);
-        }
+  // Validate the incoming question and conversation history, returning the trimmed question
+  validateHistoryInput(query, conversationHistory) {
+    if (typeof query !== 'string') {
+      throw new Error(`Query must be a string, got ${typeof query}: ${JSON.stringify(query)}`);
+    }
+    
+    if (!Array.isArray(conversationHistory)) {
+      throw new Error(`ConversationHistory must be an array, got ${typeof conversationHistory}`);
+    }
+    
+    // Validate conversation history structure
+    for (let i = 0; i < conversationHistory.length; i++) {
+      const msg = conversationHistory[i];
+      if (!msg || typeof msg !== 'object') {
+        throw new Error(`Invalid message at index ${i}: not an object`);
       }
-      
-      // Sanitize query to ensure it's a clean string
-      const sanitizedQuery = query.trim();
-      if (!sanitizedQuery) {
-        throw new Error('Query cannot be empty or only whitespace');
+      if (!msg.role || typeof msg.role !== 'string') {
+        throw new Error(`Invalid message at index ${i}: missing or invalid role`);
       }
-      
-      logger.info(`Query with history: "${query}" - ${conversationHistory.length} previous messages`);
-      
-      // Get optimal Top-K based on query complexity or user override
-      const optimalTopK = await this.getOptimalTopK(sanitizedQuery, userTopK);
-      logger.info(`Using Top-K = ${optimalTopK} for query with history`);
-      
-      // Use user similarity threshold or default
-      const similarityThreshold = userSimilarityThreshold || this.similarityThreshold;
-      logger.info(`Using similarity threshold: ${similarityThreshold} for query with history`);
-      
-      // Validate vector store before creating retriever
-      if (!this.vectorStore || !this.vectorStore.asRetriever) {
-        throw new Error('Vector store not properly initialized');
+      if (!msg.content || typeof msg.content !== 'string') {
+        throw new Error(`Invalid message at index ${i}: missing or invalid content`);
       }
-      
-      const retriever = this.vectorStore.asRetriever({ 
-        k: optimalTopK,
-        scoreThreshold: similarityThreshold
-      });
-      logger.info('Retriever created successfully');
+    }
+    
+    // Sanitize query to ensure it's a clean string
+    const sanitizedQuery = query.trim();
+    if (!sanitizedQuery) {
+      throw new Error('Query cannot be empty or only whitespace');
+    }
+    return sanitizedQuery;
+  }
 
-      // Prepare conversation history for the prompt with validation
-      logger.info(`Raw conversation history: ${JSON.stringify(conversationHistory)}`);
-      
-      const validMessages = conversationHistory.filter(msg => {
-        const isValid = msg && msg.role && msg.content && typeof msg.content === 'string';
-        if (!isValid) {
-          logger.warn(`Invalid message in conversation history: ${JSON.stringify(msg)}`);
-        }
-        return isValid;
-      });
-      
-      const formattedHistory = validMessages
-        .map(msg => 
-          `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`
-        ).join('\n');
+  formatConversationHistory(conversationHistory) {
+    const validMessages = conversationHistory.filter(msg => {
+      const isValid = msg && msg.role && msg.content && typeof msg.content === 'string';
+      if (!isValid) {
+        logger.warn(`Invalid message in conversation history: ${JSON.stringify(msg)}`);
+      }
+      return isValid;
+    });
+    
+    return validMessages
+      .map(msg => 
+        `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`
+      ).join('\n');
+  }
 
-      // Create a more sophisticated prompt that includes conversation history
-      const systemPromptSection = useSystemPrompt ? `${SYSTEM_PROMPT}\n\n` : '';
-      
-      const historyPrompt = ChatPromptTemplate.fromTemplate(`
-${systemPromptSection}**Conversation History:**
-${formattedHistory}
+  // Prompt for history-aware answers. The persona text, history and question are passed
+  // in as variables so braces inside user content never break the template.
+  buildHistoryPrompt(useSystemPrompt) {
+    return ChatPromptTemplate.fromTemplate(`
+{system_prompt}**Conversation History:**
+{history}
 
 **Retrieved Documents:**
 {context}
 
-**Current Question:** ${sanitizedQuery}
+**Current Question:** {input}
 
 **Instructions:** 
 - Use the conversation history to provide context-aware responses
@@ -695,61 +1483,245 @@ ${formattedHistory}
 - Maintain continuity in the conversation
 - Answer the current question based on both the conversation history and retrieved documents
 - Use the retrieved documents as your primary source of information
+${CITATION_INSTRUCTIONS}
 ${useSystemPrompt ? '' : '\n- Provide direct, factual answers without any specific personality or style constraints'}
 
 **Response:**`);
+  }
+
+  // Condense-question step: use the conversation to rewrite a follow-up into a standalone
+  // query for the retriever. The original question is kept when there is no history, the
+  // step is disabled, or the model call fails.
+  async condenseQuestion(sanitizedQuery, formattedHistory, rewriteQuery = this.rewriteQueries, chat = {}) {
+    if (!rewriteQuery || !formattedHistory) {
+      return sanitizedQuery;
+    }
+
+    try {
+      const condenseChain = ChatPromptTemplate.fromTemplate(CONDENSE_QUESTION_PROMPT)
+        .pipe(this.getChatModel(undefined, chat))
+        .pipe(new StringOutputParser());
+
+      const standaloneQuery = (await condenseChain.invoke({ history: formattedHistory, input: sanitizedQuery }))
+        .trim()
+        .replace(/^["']+|["']+$/g, '')
+        .trim();
+
+      if (!standaloneQuery) {
+        return sanitizedQuery;
+      }
+      logger.info(`Rewrote follow-up "${sanitizedQuery}" as standalone query "${standaloneQuery}"`);
+      return standaloneQuery;
+    } catch (error) {
+      logger.warn(`Question rewriting failed, retrieving with the original question: ${error.message}`);
+      return sanitizedQuery;
+    }
+  }
+
+  buildHistoryPromptInput(sanitizedQuery, formattedHistory, useSystemPrompt, persona = getPersona()) {
+    return {
+      input: sanitizedQuery,
+      history: formattedHistory,
+      system_prompt: useSystemPrompt ? `${persona.systemPrompt}\n\n` : '',
+    };
+  }
+
+  // Look up a persona from the registry; unknown ids are a caller error
+  resolvePersona(personaId) {
+    const persona = getPersona(personaId || this.workspace?.defaultPersona);
+    if (!persona) {
+      throw new Error(`Unknown persona "${personaId}"`);
+    }
+    return persona;
+  }
+
+  // Chat model settings for a persona: request settings (`chat`: provider, model, temperature,
+  // maxTokens) over the workspace's over the environment's, with the persona's temperature
+  resolveChatConfig(persona, chat = {}) {
+    const customizations = { ...this.workspace?.chat };
+    for (const [key, value] of Object.entries(chat || {})) {
+      if (value !== undefined && value !== null) customizations[key] = value;
+    }
+    return getModelConfig(persona || this.resolvePersona(), customizations);
+  }
+
+  // Chat model for a persona and request settings, created on first use and cached per configuration
+  getChatModel(persona, chat = {}) {
+    const config = this.resolveChatConfig(persona, chat);
+    const key = JSON.stringify(config);
+    if (!this.chatModels.has(key)) {
+      // Requests can vary temperature and maxTokens freely, so only keep the most recent models
+      if (this.chatModels.size >= 32) {
+        this.chatModels.delete(this.chatModels.keys().next().value);
+      }
+      this.chatModels.set(key, createChatModel(config));
+    }
+    return this.chatModels.get(key);
+  }
+
+  async createHistoryRetriever(sanitizedQuery, userTopK, excludedSources, userSimilarityThreshold, options = {}) {
+    // Get optimal Top-K based on query complexity or user override
+    const optimalTopK = await this.getOptimalTopK(sanitizedQuery, userTopK);
+    logger.info(`Using Top-K = ${optimalTopK} for query with history`);
+    
+    // Use user similarity threshold or default
+    const similarityThreshold = userSimilarityThreshold || this.similarityThreshold;
+    logger.info(`Using similarity threshold: ${similarityThreshold} for query with history`);
+    
+    // Validate vector store before creating retriever
+    if (!this.vectorStore || !this.vectorStore.similaritySearchWithScore) {
+      throw new Error('Vector store not properly initialized');
+    }
+    
+    const retriever = this.createRetriever({
+      k: optimalTopK,
+      filter: await this.buildSourceFilter(excludedSources, options.includedSources),
+      excludedSources,
+      includedSources: options.includedSources,
+      lexicalWeight: this.parseLexicalWeight(options.lexicalWeight),
+      rerank: options.rerank,
+      rerankCandidates: options.rerankCandidates,
+      persona: this.resolvePersona(options.persona),
+      chat: options.chat
+    });
+    logger.info('Retriever created successfully');
+    return retriever;
+  }
+
+  // Each retrieved chunk is shown to the model as "[n] <content>" so answers can cite it
+  buildCitationDocumentPrompt() {
+    return PromptTemplate.fromTemplate('[{citation}] {page_content}');
+  }
+
+  // Number the retrieved chunks [1]..[n] and attach the stable chunk id, so every
+  // marker in the answer can be traced back to one entry in `sources`
+  numberSources(documents) {
+    return documents.map((doc, index) => new Document({
+      pageContent: doc.pageContent,
+      metadata: {
+        ...doc.metadata,
+        citation: index + 1,
+        chunk_id: this.getChunkId(doc),
+      }
+    }));
+  }
+
+  // Map the [n] markers in an answer to the numbered sources. Markers such as [1, 3] and
+  // [2-4] are expanded. A number with no matching source is returned with valid: false.
+  // Brackets holding numbers well past the source count ("in [2019]") are not citations.
+  extractCitations(answer, sources) {
+    const byNumber = new Map(sources.map(doc => [doc.metadata.citation, doc]));
+    const maxCitation = sources.length + CITATION_MARGIN;
+    const cited = new Set();
+
+    for (const match of (answer || '').matchAll(/\[(\d+(?:\s*[,\u2013-]\s*\d+)*)\]/g)) {
+      const ranges = match[1].split(/\s*,\s*/).map(part => {
+        const [start, end = start] = part.split(/\s*[\u2013-]\s*/).map(Number);
+        return [start, end];
+      });
+      if (ranges.some(([start, end]) => start < 1 || end < start || end > maxCitation)) continue;
+
+      for (const [start, end] of ranges) {
+        for (let n = start; n <= end; n++) cited.add(n);
+      }
+    }
+
+    const citations = Array.from(cited).sort((a, b) => a - b).map(n => {
+      const doc = byNumber.get(n);
+      if (!doc) {
+        return { citation: n, valid: false };
+      }
+      return {
+        citation: n,
+        valid: true,
+        chunkId: doc.metadata.chunk_id,
+        source: doc.metadata.source,
+        page: doc.metadata.page_start ?? doc.metadata.page ?? null,
+        pageEnd: doc.metadata.page_end ?? null,
+        section: doc.metadata.section ?? null,
+        breadcrumbs: doc.metadata.breadcrumbs ?? null,
+        lines: doc.metadata.loc?.lines ?? null,
+        linkedFrom: doc.metadata.linked_from ?? null,
+      };
+    });
+
+    const invalidCitations = citations.filter(c => !c.valid).map(c => c.citation);
+    if (invalidCitations.length > 0) {
+      logger.warn(`Answer cites chunks that were not retrieved: ${invalidCitations.join(', ')}`);
+    }
+    return { citations, invalidCitations };
+  }
+
+  // Clean up source names for better display
+  cleanSources(documents) {
+    return documents.map(doc => ({
+      ...doc,
+      metadata: {
+        ...doc.metadata,
+        source: this.cleanSourceName(doc.metadata.source)
+      }
+    }));
+  }
+
+  // Query with conversation history for memory persistence
+  async queryWithHistory(query, conversationHistory, userTopK = null, excludedSources = [], userSimilarityThreshold = null, useSystemPrompt = true, options = {}) {
+    try {
+      const sanitizedQuery = this.validateHistoryInput(query, conversationHistory);
+      const persona = this.resolvePersona(options.persona);
+      
+      logger.info(`Query with history: "${query}" - ${conversationHistory.length} previous messages (persona: ${persona.id})`);
+
+      // Prepare conversation history for the prompt with validation
+      logger.info(`Raw conversation history: ${JSON.stringify(conversationHistory)}`);
+      const formattedHistory = this.formatConversationHistory(conversationHistory);
+
+      // Follow-ups are retrieved with a standalone rewrite; the answer prompt keeps the original wording
+      const standaloneQuery = await this.condenseQuestion(sanitizedQuery, formattedHistory, options.rewriteQuery, options.chat);
+      
+      const retriever = await this.createHistoryRetriever(standaloneQuery, userTopK, excludedSources, userSimilarityThreshold, options);
+
+      // Create a more sophisticated prompt that includes conversation history
+      const historyPrompt = this.buildHistoryPrompt(useSystemPrompt);
       
       logger.info(`Created prompt template with conversation history embedded`);
 
       console.log(`Formatted conversation history: ${formattedHistory}`);
-      console.log(`Query to embed: "${sanitizedQuery}"`);
+      console.log(`Query to embed: "${standaloneQuery}"`);
 
       let documentChain;
-      let retrievalChain;
       
       try {
         documentChain = await createStuffDocumentsChain({
-          llm: this.chatModel,
+          llm: this.getChatModel(persona, options.chat),
           prompt: historyPrompt,
+          documentPrompt: this.buildCitationDocumentPrompt(),
         });
         logger.info('Document chain created successfully');
-        
-        retrievalChain = await createRetrievalChain({
-          combineDocsChain: documentChain,
-          retriever,
-        });
-        logger.info('Retrieval chain created successfully');
       } catch (error) {
         logger.error(`Error creating chains: ${error.message}`);
         throw new Error(`Failed to create processing chains: ${error.message}`);
       }
 
-      // Log the input being passed to the retrieval chain
-      logger.info(`Invoking retrieval chain with question: "${sanitizedQuery}"`);
+      logger.info(`Invoking document chain with question: "${sanitizedQuery}"`);
       logger.info(`Formatted conversation history length: ${formattedHistory.length}`);
       logger.info(`Formatted conversation history content: "${formattedHistory}"`);
       
-      // Validate the sanitized query
-      if (!sanitizedQuery || !sanitizedQuery.trim()) {
-        throw new Error('Query cannot be empty or only whitespace');
-      }
-      
-      logger.info(`Query to process: "${sanitizedQuery}"`);
-      logger.info(`Conversation history length: ${formattedHistory.length}`);
-      
-      let result;
+      let context;
+      let answer;
       try {
-        // Test the retriever separately first
-        logger.info('Testing retriever with query...');
-        const testDocs = await retriever.getRelevantDocuments(sanitizedQuery);
-        logger.info(`Retriever test successful, found ${testDocs.length} documents`);
-        
-        // The retrieval chain expects the input in the correct format
-        // We need to pass the question as the main input and include conversation history in the prompt
-        result = await retrievalChain.invoke({
-          input: sanitizedQuery,
-        });
-        logger.info('Retrieval chain executed successfully');
+        // Retrieve with the standalone query, then answer the question as asked
+        context = this.numberSources(await retriever.invoke(standaloneQuery));
+        logger.info(`Retriever found ${context.length} documents`);
+
+        if (context.length === 0) {
+          answer = persona.errorMessages.noContext;
+        } else {
+          answer = await documentChain.invoke({
+            ...this.buildHistoryPromptInput(sanitizedQuery, formattedHistory, useSystemPrompt, persona),
+            context,
+          });
+          logger.info('Document chain executed successfully');
+        }
       } catch (error) {
         logger.error(`Error during retrieval chain execution: ${error.message}`);
         logger.error(`Error stack: ${error.stack}`);
@@ -757,21 +1729,17 @@ ${useSystemPrompt ? '' : '\n- Provide direct, factual answers without any specif
       }
 
       // Improve the formatting of the response
-      const formattedResponse = this.improveTextFormatting(result.answer);
-
-      // Clean up source names for better display
-      const cleanedSources = result.context.map(doc => ({
-        ...doc,
-        metadata: {
-          ...doc.metadata,
-          source: this.cleanSourceName(doc.metadata.source)
-        }
-      }));
+      const formattedResponse = this.improveTextFormatting(answer);
+      const sources = this.cleanSources(context);
 
       return {
         success: true,
         answer: formattedResponse,
-        sources: cleanedSources,
+        sources,
+        ...this.extractCitations(formattedResponse, sources),
+        standaloneQuery,
+        persona: persona.id,
+        chatModel: describeChatConfig(this.resolveChatConfig(persona, options.chat)),
       };
     } catch (error) {
       logger.error(`Error during query with history: ${error.message}`);
@@ -779,65 +1747,111 @@ ${useSystemPrompt ? '' : '\n- Provide direct, factual answers without any specif
     }
   }
 
-  async listDocuments() {
-    try {
-      logger.info('Listing all documents in collection');
+  // Streaming variant of queryWithHistory: sources (and the standalone query used to find
+  // them) are handed to onSources as soon as retrieval finishes, then every answer token
+  // goes to onToken. Aborting `signal` stops generation; the partial answer is returned
+  // with `cancelled: true`.
+  async streamQueryWithHistory(query, conversationHistory, {
+    userTopK = null,
+    excludedSources = [],
+    userSimilarityThreshold = null,
+    useSystemPrompt = true,
+    signal,
+    onSources,
+    onToken,
+    ...options
+  } = {}) {
+    const sanitizedQuery = this.validateHistoryInput(query, conversationHistory);
+    const persona = this.resolvePersona(options.persona);
+    logger.info(`Streaming query with history: "${sanitizedQuery}" - ${conversationHistory.length} previous messages (persona: ${persona.id})`);
+
+    const formattedHistory = this.formatConversationHistory(conversationHistory);
+    const standaloneQuery = await this.condenseQuestion(sanitizedQuery, formattedHistory, options.rewriteQuery, options.chat);
+
+    const retriever = await this.createHistoryRetriever(standaloneQuery, userTopK, excludedSources, userSimilarityThreshold, options);
+    const context = this.numberSources(await retriever.invoke(standaloneQuery));
+    const sources = this.cleanSources(context);
+    onSources?.(sources, standaloneQuery);
+
+    if (context.length === 0) {
+      const answer = persona.errorMessages.noContext;
+      onToken?.(answer);
+      return {
+        success: true,
+        answer,
+        sources,
+        citations: [],
+        invalidCitations: [],
+        standaloneQuery,
+        persona: persona.id,
+        chatModel: describeChatConfig(this.resolveChatConfig(persona, options.chat)),
+        cancelled: false
+      };
+    }
 
-      // Check if collection exists first
-      try {
-        const collections = await this.vectorStore.client.getCollections();
-        const collectionExists = collections.collections.some(
-          col => col.name === this.collectionName
-        );
+    const documentChain = await createStuffDocumentsChain({
+      llm: this.getChatModel(persona, options.chat),
+      prompt: this.buildHistoryPrompt(useSystemPrompt),
+      documentPrompt: this.buildCitationDocumentPrompt(),
+    });
 
-        if (!collectionExists) {
-          logger.info(`Collection ${this.collectionName} does not exist yet`);
-          return {
-            success: true,
-            documents: [],
-            totalChunks: 0
-          };
-        }
-      } catch (error) {
-        logger.warn(`Could not check collection status: ${error.message}`);
-        // Continue and try to list documents anyway
-      }
+    let answer = '';
+    let cancelled = false;
 
-      // Get collection info to determine total size
-      let collectionInfo;
-      try {
-        logger.info(`About to call this.vectorStore.client.getCollection('${this.collectionName}')`);
-        logger.info(`VectorStore client type: ${this.vectorStore.client.constructor.name}`);
-        
-        collectionInfo = await this.vectorStore.client.getCollection(this.collectionName);
-        logger.info(`Raw collection info received: ${JSON.stringify(collectionInfo, null, 2)}`);
-        logger.info(`Collection info keys: ${Object.keys(collectionInfo).join(', ')}`);
-        
-        // Check specific fields that might contain vector count
-        if (collectionInfo.vectors_count !== undefined) {
-          logger.info(`vectors_count field: ${collectionInfo.vectors_count}`);
-        }
-        if (collectionInfo.points_count !== undefined) {
-          logger.info(`points_count field: ${collectionInfo.points_count}`);
-        }
-        if (collectionInfo.indexed_vectors_count !== undefined) {
-          logger.info(`indexed_vectors_count field: ${collectionInfo.indexed_vectors_count}`);
-        }
-        
-        // Log the full structure to see what we're getting
-        logger.info(`Full collection info structure: ${JSON.stringify(collectionInfo, null, 2)}`);
-      } catch (error) {
-        logger.warn(`Could not get collection info: ${error.message}`);
-        return {
-          success: false,
-          error: `Could not get collection info: ${error.message}`
-        };
+    try {
+      const stream = await documentChain.stream(
+        { ...this.buildHistoryPromptInput(sanitizedQuery, formattedHistory, useSystemPrompt, persona), context },
+        { signal }
+      );
+      for await (const token of stream) {
+        if (!token) continue;
+        answer += token;
+        onToken?.(token);
+      }
+    } catch (error) {
+      if (!signal?.aborted) {
+        logger.error(`Error during streaming query with history: ${error.message}`);
+        throw error;
       }
+    }
+
+    if (signal?.aborted) {
+      cancelled = true;
+      logger.info(`Streaming query cancelled by client after ${answer.length} characters`);
+    }
 
-      const totalVectors = collectionInfo.points_count || collectionInfo.indexed_vectors_count || 0;
-      logger.info(`Collection ${this.collectionName} contains ${totalVectors} total vectors (points: ${collectionInfo.points_count}, indexed: ${collectionInfo.indexed_vectors_count})`);
+    const finalAnswer = cancelled ? answer : this.improveTextFormatting(answer);
+
+    return {
+      success: true,
+      answer: finalAnswer,
+      sources,
+      ...this.extractCitations(finalAnswer, sources),
+      standaloneQuery,
+      persona: persona.id,
+      chatModel: describeChatConfig(this.resolveChatConfig(persona, options.chat)),
+      cancelled,
+    };
+  }
+
+  // Point count of the collection, or null when it does not exist yet
+  async getCollectionPointCount() {
+    const { exists } = await resolveCollection(this.vectorStore.client, this.collectionName);
+    if (!exists) {
+      return null;
+    }
 
-      if (totalVectors === 0) {
+    const collectionInfo = await this.vectorStore.client.getCollection(this.collectionName);
+    return collectionInfo.points_count || collectionInfo.indexed_vectors_count || 0;
+  }
+
+  async listDocuments() {
+    try {
+      logger.info('Listing all documents in collection');
+
+      const totalVectors = await this.getCollectionPointCount();
+      if (!totalVectors) {
+        logger.info(`Collection ${this.collectionName} is empty or does not exist yet`);
         return {
           success: true,
           documents: [],
@@ -845,78 +1859,36 @@ ${useSystemPrompt ? '' : '\n- Provide direct, factual answers without any specif
         };
       }
 
-      // Use pagination to retrieve ALL points from the collection
-      const allPoints = [];
-      const batchSize = 1000; // Process in batches of 1000
-      let offset = null;
-      let hasMore = true;
-
-      while (hasMore) {
-        const scrollParams = {
-          limit: batchSize,
-          with_payload: true,
-          with_vectors: false, // Don't need vectors for listing
-        };
-
-        // Add offset for pagination (except for first request)
-        if (offset !== null) {
-          scrollParams.offset = offset;
-        }
-
-        const batch = await this.vectorStore.client.scroll(this.collectionName, scrollParams);
-        
-        if (batch.points && batch.points.length > 0) {
-          allPoints.push(...batch.points);
-          
-          // Update offset for next batch
-          if (batch.next_page_offset) {
-            offset = batch.next_page_offset;
-          } else {
-            hasMore = false;
-          }
-          
-          logger.info(`Retrieved batch: ${batch.points.length} points, total so far: ${allPoints.length}`);
-        } else {
-          hasMore = false;
-        }
+      await this.ensureDocumentCatalog(totalVectors);
 
-        // Safety check to prevent infinite loops
-        if (allPoints.length > totalVectors * 2) {
-          logger.warn(`Safety limit reached: retrieved ${allPoints.length} points but expected max ${totalVectors}`);
-          break;
-        }
-      }
-
-      // Extract unique sources from metadata
-      const sources = new Map();
-
-      for (const point of allPoints) {
-        if (point.payload && point.payload.metadata) {
-          const metadata = point.payload.metadata;
-          const rawSource = metadata.source || 'Unknown';
-          const source = this.cleanSourceName(rawSource);
-          const title = metadata.title || source;
-
-          if (!sources.has(source)) {
-            sources.set(source, {
-              source,
-              title,
-              chunks: 0,
-              lastUpdated: metadata.timestamp || 'Unknown'
-            });
-          }
-
-          sources.get(source).chunks++;
+      // Several raw sources can share a display name (same file name in different folders)
+      const documentsByName = new Map();
+      let totalChunks = 0;
+      for (const row of documentCatalog.list(this.localIndexKey)) {
+        totalChunks += row.chunk_count;
+        if (!documentsByName.has(row.display_name)) {
+          documentsByName.set(row.display_name, {
+            source: row.display_name,
+            title: row.title || row.display_name,
+            type: row.type,
+            chunks: 0,
+            ingestedAt: row.ingested_at,
+            lastUpdated: row.updated_at,
+            checksum: row.checksum
+          });
         }
+        const document = documentsByName.get(row.display_name);
+        document.chunks += row.chunk_count;
+        if (row.updated_at > document.lastUpdated) document.lastUpdated = row.updated_at;
       }
 
-      const documents = Array.from(sources.values());
-      logger.info(`Found ${documents.length} unique documents with ${allPoints.length} total chunks`);
+      const documents = Array.from(documentsByName.values());
+      logger.info(`Found ${documents.length} unique documents with ${totalChunks} total chunks`);
 
       return {
         success: true,
         documents,
-        totalChunks: allPoints.length
+        totalChunks
       };
     } catch (error) {
       // If it's a "Not Found" error, return empty result instead of throwing
@@ -938,52 +1910,9 @@ ${useSystemPrompt ? '' : '\n- Provide direct, factual answers without any specif
     try {
       logger.info('Getting collection statistics');
 
-      // Check if collection exists first
-      try {
-        const collections = await this.vectorStore.client.getCollections();
-        const collectionExists = collections.collections.some(
-          col => col.name === this.collectionName
-        );
-
-        if (!collectionExists) {
-          logger.info(`Collection ${this.collectionName} does not exist yet`);
-          return {
-            success: true,
-            collectionName: this.collectionName,
-            exists: false,
-            stats: {
-              totalVectors: 0,
-              uniqueSources: 0,
-              totalChunks: 0
-            }
-          };
-        }
-      } catch (error) {
-        logger.warn(`Could not check collection status: ${error.message}`);
-        return {
-          success: false,
-          error: `Could not check collection status: ${error.message}`
-        };
-      }
-
-      // Get collection info
-      let collectionInfo;
+      let totalVectors;
       try {
-        logger.info(`About to call this.vectorStore.client.getCollection('${this.collectionName}')`);
-        collectionInfo = await this.vectorStore.client.getCollection(this.collectionName);
-        logger.info(`Raw collection info received: ${JSON.stringify(collectionInfo, null, 2)}`);
-        logger.info(`Collection info keys: ${Object.keys(collectionInfo).join(', ')}`);
-        
-        // Check specific fields that might contain vector count
-        if (collectionInfo.points_count !== undefined) {
-          logger.info(`points_count field: ${collectionInfo.points_count}`);
-        }
-        if (collectionInfo.indexed_vectors_count !== undefined) {
-          logger.info(`indexed_vectors_count field: ${collectionInfo.indexed_vectors_count}`);
-        }
-        if (collectionInfo.vectors_count !== undefined) {
-          logger.info(`vectors_count field: ${collectionInfo.vectors_count}`);
-        }
+        totalVectors = await this.getCollectionPointCount();
       } catch (error) {
         logger.warn(`Could not get collection info: ${error.message}`);
         return {
@@ -992,56 +1921,36 @@ ${useSystemPrompt ? '' : '\n- Provide direct, factual answers without any specif
         };
       }
 
-      const totalVectors = collectionInfo.points_count || collectionInfo.indexed_vectors_count || 0;
-      
-      if (totalVectors === 0) {
+      if (totalVectors === null) {
+        logger.info(`Collection ${this.collectionName} does not exist yet`);
         return {
           success: true,
+          workspace: this.workspaceName,
           collectionName: this.collectionName,
-          exists: true,
+          exists: false,
           stats: {
             totalVectors: 0,
             uniqueSources: 0,
             totalChunks: 0
-          },
-          collectionInfo
-        };
-      }
-
-      // Get a sample of points to estimate unique sources
-      const samplePoints = await this.vectorStore.client.scroll(this.collectionName, {
-        limit: Math.min(1000, totalVectors),
-        with_payload: true,
-        with_vectors: false,
-      });
-
-      const uniqueSources = new Set();
-      if (samplePoints.points) {
-        for (const point of samplePoints.points) {
-          if (point.payload && point.payload.metadata && point.payload.metadata.source) {
-            uniqueSources.add(point.payload.metadata.source);
           }
-        }
+        };
       }
 
-      // Estimate total unique sources based on sample
-      const estimatedUniqueSources = totalVectors > 1000 
-        ? Math.round(uniqueSources.size * (totalVectors / samplePoints.points.length))
-        : uniqueSources.size;
+      await this.ensureDocumentCatalog(totalVectors);
+      const catalogStats = documentCatalog.stats(this.localIndexKey);
 
-      logger.info(`Collection stats: ${totalVectors} vectors, ~${estimatedUniqueSources} unique sources`);
+      logger.info(`Collection stats: ${totalVectors} vectors, ${catalogStats.sources} unique sources`);
 
       return {
         success: true,
+        workspace: this.workspaceName,
         collectionName: this.collectionName,
         exists: true,
         stats: {
           totalVectors,
-          uniqueSources: estimatedUniqueSources,
+          uniqueSources: catalogStats.sources,
           totalChunks: totalVectors
-        },
-        collectionInfo,
-        sampleSize: samplePoints.points ? samplePoints.points.length : 0
+        }
       };
     } catch (error) {
       logger.error(`Error getting collection stats: ${error.message}`);
@@ -1049,111 +1958,54 @@ ${useSystemPrompt ? '' : '\n- Provide direct, factual answers without any specif
     }
   }
 
+  // Delete every chunk of these exact sources from the collection, the keyword index and the catalog
+  async deleteSources(sources) {
+    this.assertNotMigrating();
+    if (sources.length === 0) return;
+    await this.vectorStore.client.delete(this.collectionName, {
+      wait: true,
+      filter: { must: [{ key: 'metadata.source', match: { any: sources } }] }
+    });
+    lexicalIndex.deleteSources(this.localIndexKey, sources);
+    documentCatalog.remove(this.localIndexKey, sources);
+  }
+
   async deleteDocument(source) {
     try {
       logger.info(`Deleting document: ${source}`);
+      this.assertNotMigrating();
 
-      // Get collection info to determine total size
-      let collectionInfo;
-      try {
-        collectionInfo = await this.vectorStore.client.getCollection(this.collectionName);
-      } catch (error) {
-        logger.warn(`Could not get collection info: ${error.message}`);
-        collectionInfo = { vectors_count: 0 };
-      }
-
-      const totalVectors = collectionInfo.vectors_count || 0;
-      
-      if (totalVectors === 0) {
+      const totalVectors = await this.getCollectionPointCount();
+      if (!totalVectors) {
         throw new Error('No documents found in database');
       }
+      await this.ensureDocumentCatalog(totalVectors);
+
+      // Find catalog sources that match (flexible matching: case, URL encoding, trailing
+      // slashes, or the cleaned display name shown in the UI)
+      const normalize = value => decodeURIComponent(value).toLowerCase().replace(/\/$/, '');
+      const normalizedSource = normalize(source);
+      const catalogRows = documentCatalog.list(this.localIndexKey);
+      const matchedRows = catalogRows.filter(row =>
+        normalize(row.source) === normalizedSource || row.display_name === source
+      );
 
-      // Use pagination to retrieve ALL points from the collection
-      const allPoints = [];
-      const batchSize = 1000; // Process in batches of 1000
-      let offset = null;
-      let hasMore = true;
-
-      while (hasMore) {
-        const scrollParams = {
-          limit: batchSize,
-          with_payload: true,
-          with_vectors: false,
-        };
-
-        // Add offset for pagination (except for first request)
-        if (offset !== null) {
-          scrollParams.offset = offset;
-        }
-
-        const batch = await this.vectorStore.client.scroll(this.collectionName, scrollParams);
-        
-        if (batch.points && batch.points.length > 0) {
-          allPoints.push(...batch.points);
-          
-          // Update offset for next batch
-          if (batch.next_page_offset) {
-            offset = batch.next_page_offset;
-          } else {
-            hasMore = false;
-          }
-          
-          logger.info(`Retrieved batch for deletion: ${batch.points.length} points, total so far: ${allPoints.length}`);
-        } else {
-          hasMore = false;
-        }
-
-        // Safety check to prevent infinite loops
-        if (allPoints.length > totalVectors * 2) {
-          logger.warn(`Safety limit reached: retrieved ${allPoints.length} points but expected max ${totalVectors}`);
-          break;
-        }
-      }
-
-      if (allPoints.length === 0) {
-        throw new Error('No documents found in database');
-      }
-
-      // Find points that match the source (with flexible matching)
-      const pointsToDelete = [];
-      const normalizedSource = decodeURIComponent(source).toLowerCase();
-
-      for (const point of allPoints) {
-        if (point.payload && point.payload.metadata && point.payload.metadata.source) {
-          const storedSource = decodeURIComponent(point.payload.metadata.source).toLowerCase();
-
-          // Try exact match first, then try without trailing slashes
-          if (storedSource === normalizedSource ||
-            storedSource.replace(/\/$/, '') === normalizedSource.replace(/\/$/, '') ||
-            storedSource === normalizedSource.replace(/\/$/, '') ||
-            storedSource.replace(/\/$/, '') === normalizedSource) {
-            pointsToDelete.push(point.id);
-          }
-        }
-      }
-
-      if (pointsToDelete.length === 0) {
+      if (matchedRows.length === 0) {
         // Log available sources for debugging
-        const availableSources = new Set();
-        for (const point of allPoints) {
-          if (point.payload && point.payload.metadata && point.payload.metadata.source) {
-            availableSources.add(point.payload.metadata.source);
-          }
-        }
-        logger.warn(`Available sources: ${Array.from(availableSources).slice(0, 5).join(', ')}...`);
+        logger.warn(`Available sources: ${catalogRows.slice(0, 5).map(row => row.source).join(', ')}...`);
         throw new Error(`No documents found with source: ${source}`);
       }
 
-      // Delete the points
-      await this.vectorStore.client.delete(this.collectionName, {
-        points: pointsToDelete
-      });
+      const matchedSources = matchedRows.map(row => row.source);
+      const deletedChunks = matchedRows.reduce((sum, row) => sum + row.chunk_count, 0);
 
-      logger.info(`Successfully deleted ${pointsToDelete.length} chunks for source: ${source}`);
+      await this.deleteSources(matchedSources);
+
+      logger.info(`Successfully deleted ${deletedChunks} chunks for source: ${source}`);
 
       return {
         success: true,
-        deletedChunks: pointsToDelete.length,
+        deletedChunks,
         source
       };
     } catch (error) {
@@ -1168,7 +2020,7 @@ ${useSystemPrompt ? '' : '\n- Provide direct, factual answers without any specif
       logger.info('Connecting to Qdrant Cloud...');
 
       // Test the connection by creating a new vector store instance
-      const cloudVectorStore = new QdrantVectorStore(this.embeddings, {
+      const cloudVectorStore = new AliasAwareQdrantVectorStore(this.embeddings, {
         url: url,
         apiKey: apiKey,
         collectionName: collectionName,
@@ -1182,6 +2034,7 @@ ${useSystemPrompt ? '' : '\n- Provide direct, factual answers without any specif
       this.collectionName = collectionName;
       this.isUsingCloud = true;
       this.cloudConfig = { url, apiKey, collectionName };
+      this.workspaceViews.clear();
 
       logger.info(`Successfully connected to Qdrant Cloud at ${url}`);
 
@@ -1202,7 +2055,7 @@ ${useSystemPrompt ? '' : '\n- Provide direct, factual answers without any specif
       logger.info('Disconnecting from Qdrant Cloud...');
 
       // Reconnect to local Qdrant
-      this.vectorStore = new QdrantVectorStore(this.embeddings, {
+      this.vectorStore = new AliasAwareQdrantVectorStore(this.embeddings, {
         url: process.env.QDRANT_URL,
         collectionName: process.env.QDRANT_COLLECTION || 'documents',
       });
@@ -1210,6 +2063,7 @@ ${useSystemPrompt ? '' : '\n- Provide direct, factual answers without any specif
       this.isUsingCloud = false;
       this.cloudConfig = null;
       this.collectionName = process.env.QDRANT_COLLECTION || 'documents';
+      this.workspaceViews.clear();
 
       logger.info('Successfully disconnected from Qdrant Cloud');
 
@@ -1240,40 +2094,34 @@ ${useSystemPrompt ? '' : '\n- Provide direct, factual answers without any specif
   }
 
   // Bulk document processing method for bulk PDF service
-  async processBulkDocuments(documents, opId) {
+  async processBulkDocuments(documents, opId, { checksums } = {}) {
     try {
       logger.info(`Processing ${documents.length} documents in bulk`);
       
-      // Process documents in batches to avoid memory issues
+      // Create proper Document objects with metadata
+      const docs = documents.map(doc => new Document({
+        pageContent: doc.pageContent,
+        metadata: doc.metadata
+      }));
+
+      // Split everything first so chunk ids are numbered across the whole document and
+      // stale chunks are pruned only once all of its new chunks are known
+      const chunks = await this.textSplitter.splitDocuments(docs);
       const batchSize = Number(process.env.BULK_EMBED_BATCH || '128');
-      let totalChunks = 0;
-      
-      for (let i = 0; i < documents.length; i += batchSize) {
-        const batch = documents.slice(i, i + batchSize);
-        
-        // Create proper Document objects with metadata
-        const docs = batch.map(doc => new Document({
-          pageContent: doc.pageContent,
-          metadata: doc.metadata
-        }));
-        
-        // Split into chunks and add to vector store
-        const chunks = await this.textSplitter.splitDocuments(docs);
-        await this.vectorStore.addDocuments(chunks);
-        
-        totalChunks += chunks.length;
-        
+
+      const stats = await this.storeChunks(chunks, {
+        checksums,
         // Update progress
-        emitProgress?.(opId, {
-          current_batch: Math.floor(i / batchSize) + 1,
-          total_batches: Math.ceil(documents.length / batchSize),
-          chunks_processed: totalChunks,
+        onBatch: ({ written, total }) => emitProgress?.(opId, {
+          current_batch: Math.ceil(written / batchSize),
+          total_batches: Math.ceil(total / batchSize),
+          chunks_processed: written,
           status: 'processing_batch'
-        });
-      }
+        })
+      });
       
-      logger.info(`Successfully processed ${totalChunks} chunks from ${documents.length} documents`);
-      return { success: true, chunksAdded: totalChunks };
+      logger.info(`Successfully processed ${chunks.length} chunks from ${documents.length} documents`);
+      return { success: true, chunksAdded: chunks.length, ...stats };
       
     } catch (error) {
       logger.error(`Error in bulk document processing: ${error.message}`);
@@ -0,0 +1,28 @@
+// Weighted reciprocal rank fusion (RRF).
+//
+// Each list contributes weight / (k + rank) for every item it contains, so an item that ranks
+// well in both the dense and the lexical list beats one that only tops a single list.
+// k = 60 is the constant from the original RRF paper; it damps the gap between rank 1 and 2.
+//
+// lists: [{ name, weight, items: [{ key, ... }] }] - items must already be ordered best first.
+// Returns [{ key, item, fusionScore, ranks: { [name]: rank } }] ordered best first. When the same
+// key appears in several lists the item from the first list is kept.
+export function reciprocalRankFusion(lists, { k = 60 } = {}) {
+  const fused = new Map();
+
+  for (const { name, weight = 1, items = [] } of lists) {
+    if (!weight || weight <= 0) continue;
+
+    items.forEach((item, index) => {
+      const rank = index + 1;
+      if (!fused.has(item.key)) {
+        fused.set(item.key, { key: item.key, item, fusionScore: 0, ranks: {} });
+      }
+      const entry = fused.get(item.key);
+      entry.fusionScore += weight / (k + rank);
+      entry.ranks[name] = rank;
+    });
+  }
+
+  return Array.from(fused.values()).sort((a, b) => b.fusionScore - a.fusionScore);
+}
@@ -0,0 +1,101 @@
+import logger from '../config/logger.js';
+
+// Second-stage rerankers. Retrieval over-fetches candidates cheaply; a reranker then looks at
+// the question and each chunk together and returns one relevance score per chunk (0-1, higher
+// is better). Every reranker exposes the same `rerank(query, documents)` method so they can be
+// swapped per request.
+
+export const RERANKER_TYPES = ['llm', 'local'];
+
+// Asks the chat model to grade each passage. Passages are sent in small batches so one prompt
+// never grows past a few thousand tokens, and the model answers with a JSON array of grades.
+export class LLMReranker {
+  constructor(chatModel, { batchSize = 10, maxPassageLength = 1200 } = {}) {
+    this.name = 'llm';
+    this.chatModel = chatModel;
+    this.batchSize = batchSize;
+    this.maxPassageLength = maxPassageLength;
+  }
+
+  buildPrompt(query, documents) {
+    const passages = documents
+      .map((doc, index) => `[${index + 1}] ${doc.pageContent.slice(0, this.maxPassageLength).replace(/\s+/g, ' ')}`)
+      .join('\n\n');
+
+    return `You are ranking search results. Grade how well each passage helps answer the question, from 0 (irrelevant) to 10 (directly answers it).
+
+Question: ${query}
+
+Passages:
+${passages}
+
+Reply with only a JSON array of ${documents.length} numbers, one grade per passage in the order given, e.g. [7, 0, 3].`;
+  }
+
+  parseGrades(text, expected) {
+    const match = text.match(/\[[\s\S]*?\]/);
+    if (!match) throw new Error('Reranker reply did not contain a JSON array');
+
+    const grades = JSON.parse(match[0]).map(Number);
+    if (grades.length !== expected || grades.some(grade => !Number.isFinite(grade))) {
+      throw new Error(`Reranker returned ${grades.length} grades for ${expected} passages`);
+    }
+    return grades.map(grade => Math.min(Math.max(grade, 0), 10) / 10);
+  }
+
+  async rerank(query, documents) {
+    const scores = [];
+    for (let start = 0; start < documents.length; start += this.batchSize) {
+      const batch = documents.slice(start, start + this.batchSize);
+      const reply = await this.chatModel.invoke(this.buildPrompt(query, batch));
+      const text = typeof reply === 'string' ? reply : String(reply.content ?? '');
+      scores.push(...this.parseGrades(text, batch.length));
+    }
+    return scores;
+  }
+}
+
+// Dependency-free stand-in for a cross-encoder: scores a chunk by how many of the question's
+// terms it contains, with a bonus for consecutive question terms appearing together.
+export class LocalReranker {
+  constructor() {
+    this.name = 'local';
+  }
+
+  tokenize(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+      .filter(term => term.length > 2 || /\d/.test(term));
+  }
+
+  async rerank(query, documents) {
+    const queryTerms = this.tokenize(query);
+    const uniqueTerms = Array.from(new Set(queryTerms));
+    const bigrams = queryTerms.slice(1).map((term, index) => `${queryTerms[index]} ${term}`);
+
+    return documents.map(doc => {
+      if (uniqueTerms.length === 0) return 0;
+
+      const docTerms = this.tokenize(doc.pageContent);
+      const termSet = new Set(docTerms);
+      const coverage = uniqueTerms.filter(term => termSet.has(term)).length / uniqueTerms.length;
+
+      if (bigrams.length === 0) return coverage;
+      const docText = docTerms.join(' ');
+      const proximity = bigrams.filter(bigram => docText.includes(bigram)).length / bigrams.length;
+      return 0.7 * coverage + 0.3 * proximity;
+    });
+  }
+}
+
+export function createReranker(type, { chatModel } = {}) {
+  switch (type) {
+    case 'llm':
+      if (!chatModel) throw new Error('The llm reranker needs a chat model');
+      return new LLMReranker(chatModel);
+    case 'local':
+      return new LocalReranker();
+    default:
+      logger.warn(`Unknown reranker type: ${type}`);
+      throw new Error(`Unknown reranker "${type}". Expected one of: ${RERANKER_TYPES.join(', ')}`);
+  }
+}
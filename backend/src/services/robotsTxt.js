@@ -0,0 +1,90 @@
+// robots.txt parsing and matching as in RFC 9309: rules are grouped by user-agent, the group
+// naming the crawler's product token applies (or else the "*" group), and the longest matching
+// Allow/Disallow path wins, Allow on ties. Paths may use "*" (any characters) and a trailing "$"
+// (end of URL). Crawl-delay and Sitemap lines are kept as well.
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whether a robots.txt style path pattern matches a URL path: a prefix match unless the pattern
+// ends with "$". Also used for the crawl's include/exclude patterns.
+export function matchesPath(pattern, urlPath) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const source = `^${body.split('*').map(escapeRegExp).join('.*')}${anchored ? '$' : ''}`;
+  return new RegExp(source).test(urlPath);
+}
+
+// { groups: [{ agents, rules: [{ allow, pattern }], crawlDelay }], sitemaps }
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let readingAgents = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!readingAgents) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      readingAgents = true;
+    } else if (field === 'sitemap') {
+      // Sitemap lines belong to no group
+      if (value) sitemaps.push(value);
+    } else if (group) {
+      readingAgents = false;
+      if ((field === 'allow' || field === 'disallow') && value) {
+        // An empty Disallow allows everything, which is the default anyway
+        group.rules.push({ allow: field === 'allow', pattern: value });
+      } else if (field === 'crawl-delay' && Number.isFinite(Number(value)) && Number(value) >= 0) {
+        group.crawlDelay = Number(value);
+      }
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+// The policy for one site and product token: { isAllowed(url), crawlDelay (seconds or null), sitemaps }
+export function createRobotsPolicy(text, agent) {
+  const { groups, sitemaps } = parseRobotsTxt(text);
+  const token = agent.toLowerCase();
+  let matching = groups.filter(group => group.agents.includes(token));
+  if (matching.length === 0) {
+    matching = groups.filter(group => group.agents.includes('*'));
+  }
+  const rules = matching.flatMap(group => group.rules);
+  const crawlDelay = matching.map(group => group.crawlDelay).find(delay => delay !== null) ?? null;
+
+  return {
+    crawlDelay,
+    sitemaps,
+    isAllowed(url) {
+      const { pathname, search } = new URL(url);
+      if (pathname === '/robots.txt') return true;
+      const target = pathname + search;
+      let best = null;
+      for (const rule of rules) {
+        if (!matchesPath(rule.pattern, target)) continue;
+        if (!best || rule.pattern.length > best.pattern.length || (rule.pattern.length === best.pattern.length && rule.allow)) {
+          best = rule;
+        }
+      }
+      return !best || best.allow;
+    },
+  };
+}
+
+// Missing robots.txt (4xx) allows everything; a server error disallows everything until it is readable
+export const ALLOW_ALL = createRobotsPolicy('', '*');
+export const DISALLOW_ALL = createRobotsPolicy('User-agent: *\nDisallow: /', '*');
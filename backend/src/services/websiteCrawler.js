@@ -1,77 +1,261 @@
+import path from 'node:path';
 import * as cheerio from 'cheerio';
-import { htmlToText } from 'html-to-text';
 import logger from '../config/logger.js';
 import { emitProgress, emitDone } from './progress.js';
+import { createRobotsPolicy, matchesPath, ALLOW_ALL, DISALLOW_ALL } from './robotsTxt.js';
+import { findExtractor } from './fileExtractors.js';
+import { extractHtmlContent } from './htmlExtractor.js';
+
+// Per-crawl options accepted by POST /api/crawl
+export const CRAWL_DEFAULTS = {
+    maxPages: 50,           // Limit to prevent infinite crawling
+    maxDepth: null,         // Links followed from the start page; null = no limit
+    include: [],            // URL path patterns (robots.txt syntax); links must match one of them
+    exclude: [],            // URL path patterns; links matching any of them are skipped
+    includeSubdomains: false,
+    useSitemap: true,       // Seed the crawl with the site's sitemap(s)
+    concurrency: null       // Pages fetched at the same time; null = CRAWL_CONCURRENCY (default 4)
+};
+
+const MAX_PAGES_LIMIT = 1000;
+const MAX_CONCURRENCY = 16;
+// The report lists at most this many skipped and failed URLs (the counts are complete)
+const MAX_REPORT_URLS = 200;
+const MAX_SITEMAPS = 20;
+// Crawl-delay values above this are capped so one site cannot stall a job for hours
+const MAX_CRAWL_DELAY_MS = 30000;
+// Linked documents of these file types are downloaded and run through the upload extractors
+const DOCUMENT_TYPES = ['pdf', 'docx', 'txt', 'md'];
+const MAX_DOCUMENT_BYTES = 50 * 1024 * 1024;
+// Content types that say nothing about the format, so the URL's extension decides
+const GENERIC_CONTENT_TYPES = ['', 'application/octet-stream', 'binary/octet-stream', 'application/download', 'application/force-download'];
+
+// Returns an error message for invalid crawl options, or null. Also checks the recrawl flags
+// `force` and `deleteMissing` handled by ragService.processWebUrl.
+export function validateCrawlOptions(options = {}) {
+    const { maxPages, maxDepth, include, exclude, includeSubdomains, useSitemap, concurrency, force, deleteMissing } = options;
+    if (maxPages !== undefined && (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > MAX_PAGES_LIMIT)) {
+        return `maxPages must be an integer between 1 and ${MAX_PAGES_LIMIT}`;
+    }
+    if (maxDepth !== undefined && maxDepth !== null && (!Number.isInteger(maxDepth) || maxDepth < 0)) {
+        return 'maxDepth must be a non-negative integer';
+    }
+    if (concurrency !== undefined && concurrency !== null && (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY)) {
+        return `concurrency must be an integer between 1 and ${MAX_CONCURRENCY}`;
+    }
+    for (const [name, value] of [['include', include], ['exclude', exclude]]) {
+        if (value === undefined) continue;
+        if (!Array.isArray(value) || value.some(pattern => typeof pattern !== 'string' || !pattern.startsWith('/'))) {
+            return `${name} must be an array of URL path patterns starting with "/"`;
+        }
+    }
+    for (const [name, value] of [['includeSubdomains', includeSubdomains], ['useSitemap', useSitemap], ['force', force], ['deleteMissing', deleteMissing]]) {
+        if (value !== undefined && typeof value !== 'boolean') {
+            return `${name} must be a boolean`;
+        }
+    }
+    return null;
+}
+
+// State of one crawl: its queue, the URLs it has seen, robots.txt per origin and its report.
+// Every crawlWebsite call runs its own session, so crawls running side by side (or one after
+// the other) never see each other's URLs.
+class CrawlSession {
+    constructor(crawler, baseUrl, opId, settings, signal, history) {
+        this.crawler = crawler;
+        this.baseUrl = baseUrl;
+        this.baseHost = new URL(baseUrl).hostname;
+        this.opId = opId;
+        this.settings = settings;
+        this.signal = signal;
+        this.history = history;
 
-class WebsiteCrawler {
-    constructor() {
-        this.visitedUrls = new Set();
         this.queue = [];
-        this.maxPages = 50; // Limit to prevent infinite crawling
-        this.delayMs = 1000; // 1 second delay between requests
-        this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+        this.seen = new Set();
+        this.robots = new Map();
+        this.pages = [];
+        this.unchanged = [];    // URLs that answered 304 Not Modified
+        this.gone = [];         // URLs that answered 404 or 410
+        this.started = 0;
+        this.report = { fetched: 0, documents: 0, unchanged: 0, skipped: 0, failed: 0, reasons: {}, skippedUrls: [], failedUrls: [] };
     }
 
-    async crawlWebsite(baseUrl, opId) {
-        try {
-            logger.info(`Starting recursive crawl of: ${baseUrl}`);
-            emitProgress?.(opId, `Starting recursive crawl of: ${baseUrl}`);
+    record(kind, url, reason) {
+        this.report[kind]++;
+        this.report.reasons[reason] = (this.report.reasons[reason] || 0) + 1;
+        const urls = kind === 'skipped' ? this.report.skippedUrls : this.report.failedUrls;
+        if (urls.length < MAX_REPORT_URLS) urls.push({ url, reason });
+    }
 
-            // Normalize base URL
-            const baseUrlObj = new URL(baseUrl);
-            const baseDomain = baseUrlObj.hostname;
+    robotsFor(url) {
+        return this.crawler.getRobotsPolicy(new URL(url).origin, this.robots, this.opId);
+    }
 
-            // Check robots.txt
-            await this.checkRobotsTxt(baseUrl, opId);
+    // Queue a link found at `depth` (on page `linkedFrom`) unless it was seen before, is out of
+    // scope or too deep, or robots.txt disallows it
+    async enqueue(url, depth, linkedFrom = null) {
+        if (this.seen.has(url)) return;
+        this.seen.add(url);
+
+        const { maxDepth } = this.settings;
+        if (!this.crawler.isInScope(new URL(url), this.baseHost, this.settings)) {
+            this.record('skipped', url, 'out_of_scope');
+        } else if (maxDepth !== null && depth > maxDepth) {
+            this.record('skipped', url, 'max_depth');
+        } else if (!(await this.robotsFor(url)).isAllowed(url)) {
+            this.record('skipped', url, 'robots');
+        } else {
+            this.queue.push({ url, depth, linkedFrom });
+        }
+    }
 
-            // Start with the base URL
-            this.queue.push(baseUrl);
-            this.visitedUrls.add(baseUrl);
+    async run() {
+        const { maxPages, maxDepth, useSitemap } = this.settings;
+        const concurrency = this.settings.concurrency || Number(process.env.CRAWL_CONCURRENCY || '4');
 
-            const allPages = [];
-            let pageCount = 0;
+        if (!(await this.robotsFor(this.baseUrl)).isAllowed(this.baseUrl)) {
+            throw new Error(`robots.txt disallows crawling ${this.baseUrl}`);
+        }
 
-            while (this.queue.length > 0 && pageCount < this.maxPages) {
-                const currentUrl = this.queue.shift();
+        // Start with the base URL
+        this.seen.add(this.baseUrl);
+        this.queue.push({ url: this.baseUrl, depth: 0 });
 
-                try {
-                    emitProgress?.(opId, `Crawling page ${pageCount + 1}/${this.maxPages}: ${currentUrl}`);
+        // Pages listed in the sitemap count as links from the start page
+        if (useSitemap && maxDepth !== 0) {
+            const sitemapUrls = await this.crawler.discoverSitemapUrls(new URL(this.baseUrl), await this.robotsFor(this.baseUrl), this.opId, maxPages);
+            const queued = this.queue.length;
+            for (const url of sitemapUrls) {
+                await this.enqueue(url, 1);
+            }
+            if (this.queue.length > queued) {
+                emitProgress?.(this.opId, `Seeded ${this.queue.length - queued} pages from the sitemap`);
+            }
+        }
 
-                    const pageData = await this.fetchAndProcessPage(currentUrl, opId);
-                    if (pageData) {
-                        allPages.push(pageData);
-                        pageCount++;
+        // Pages found by earlier crawls are checked again even when nothing links to them any
+        // more, so the ones that disappeared show up as gone
+        for (const [url, entry] of this.history) {
+            await this.enqueue(url, entry.depth ?? 1, entry.linkedFrom);
+        }
 
-                        // Discover new links
-                        const newLinks = this.extractInternalLinks(pageData.html, baseDomain);
-                        for (const link of newLinks) {
-                            if (!this.visitedUrls.has(link) && this.queue.length < this.maxPages) {
-                                this.queue.push(link);
-                                this.visitedUrls.add(link);
-                            }
-                        }
-                    }
+        // Keep up to `concurrency` pages in flight until maxPages pages have been fetched (or found
+        // unchanged); a failed page frees its slot for the next URL
+        const active = new Set();
+        while (!this.signal?.aborted) {
+            while (this.queue.length > 0 && active.size < concurrency && this.pages.length + this.unchanged.length + active.size < maxPages) {
+                const task = this.crawlPage(this.queue.shift()).finally(() => active.delete(task));
+                active.add(task);
+            }
+            if (active.size === 0) break;
+            await Promise.race(active);
+        }
+        // A cancelled crawl aborts the requests in flight
+        await Promise.allSettled(active);
 
-                    // Rate limiting
-                    if (this.queue.length > 0) {
-                        await this.delay(this.delayMs);
-                    }
+        const leftReason = this.signal?.aborted ? 'cancelled' : 'max_pages';
+        for (const { url } of this.queue) {
+            this.record('skipped', url, leftReason);
+        }
+
+        return {
+            success: true,
+            pagesProcessed: this.pages.length,
+            totalUrls: this.seen.size,
+            blockedByRobots: this.report.reasons.robots || 0,
+            pages: this.pages,
+            unchanged: this.unchanged,
+            gone: this.gone,
+            report: this.report
+        };
+    }
+
+    async crawlPage({ url, depth, linkedFrom }) {
+        this.started++;
+        emitProgress?.(this.opId, `Crawling page ${this.started} (${this.pages.length}/${this.settings.maxPages} done): ${url}`);
+
+        try {
+            await this.crawler.waitForHost(url, await this.robotsFor(url));
+            const cached = this.history.get(url);
+            const pageData = await this.crawler.fetchAndProcessPage(url, cached, this.signal);
+            if (!pageData) {
+                this.record('skipped', url, 'unsupported_type');
+                return;
+            }
 
-                } catch (error) {
-                    logger.warn(`Failed to crawl ${currentUrl}: ${error.message}`);
-                    emitProgress?.(opId, `Skipped ${currentUrl}: ${error.message}`);
+            if (pageData.notModified) {
+                // Follow the links the page had last time
+                this.unchanged.push(url);
+                this.report.unchanged++;
+                for (const link of cached.links || []) {
+                    await this.enqueue(link, depth + 1, url);
                 }
+                return;
             }
 
-            emitProgress?.(opId, `Crawl complete. Processed ${pageCount} pages.`);
-            logger.info(`Crawl complete. Processed ${pageCount} pages from ${baseUrl}`);
+            pageData.depth = depth;
+            pageData.linkUrls = pageData.html ? this.crawler.extractLinks(pageData.html, pageData.finalUrl) : [];
+            if (pageData.document) pageData.linkedFrom = linkedFrom;
+            this.pages.push(pageData);
+            this.report.fetched++;
+            if (pageData.document) this.report.documents++;
+            // A redirect target is not fetched again when other pages link to it
+            const { origin, pathname } = new URL(pageData.finalUrl);
+            this.seen.add(`${origin}${pathname}`);
+
+            // Discover new links, relative to the page's final URL after redirects
+            for (const link of pageData.linkUrls) {
+                await this.enqueue(link, depth + 1, url);
+            }
+        } catch (error) {
+            if (this.signal?.aborted) {
+                this.record('skipped', url, 'cancelled');
+                return;
+            }
+            logger.warn(`Failed to crawl ${url}: ${error.message}`);
+            emitProgress?.(this.opId, `Skipped ${url}: ${error.message}`);
+            this.record('failed', url, error.message);
+            if (error.status === 404 || error.status === 410) {
+                this.gone.push(url);
+            }
+        }
+    }
+}
 
-            return {
-                success: true,
-                pagesProcessed: pageCount,
-                totalUrls: this.visitedUrls.size,
-                pages: allPages
-            };
+class WebsiteCrawler {
+    constructor() {
+        this.delayMs = 1000; // 1 second between requests to a host, or the site's Crawl-delay if longer
+        this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+        // Earliest time of the next request per host, shared by all crawls so running several
+        // against one site does not multiply the load on it
+        this.nextRequestAt = new Map();
+    }
+
+    // Product token looked up among the robots.txt user-agent groups
+    get robotsAgent() {
+        return process.env.CRAWL_ROBOTS_AGENT || 'chai-rag';
+    }
+
+    // `options`: see CRAWL_DEFAULTS. A `signal` that is aborted stops the crawl and aborts the
+    // requests in flight. The result's `report` counts the pages fetched, unchanged, skipped
+    // and failed by reason, with the first URLs of each.
+    //
+    // `history` (url -> { etag, lastModified, links, depth }) describes the pages of an earlier
+    // crawl: they are queued as well, requested conditionally, and the ones answering 304 are
+    // listed in `unchanged` instead of `pages`. Pages answering 404/410 are listed in `gone`.
+    async crawlWebsite(baseUrl, opId, { signal, history = new Map(), ...options } = {}) {
+        try {
+            const given = Object.entries(options).filter(([, value]) => value !== undefined);
+            const settings = { ...CRAWL_DEFAULTS, ...Object.fromEntries(given) };
+            logger.info(`Starting recursive crawl of: ${baseUrl}`);
+            emitProgress?.(opId, `Starting recursive crawl of: ${baseUrl}`);
+
+            const result = await new CrawlSession(this, baseUrl, opId, settings, signal, history).run();
+            const { report } = result;
+
+            emitProgress?.(opId, `Crawl complete. Processed ${result.pagesProcessed} pages${report.unchanged ? `, ${report.unchanged} not modified` : ''}.`);
+            logger.info(`Crawl complete. Processed ${result.pagesProcessed} pages from ${baseUrl} (${report.unchanged} not modified, ${report.skipped} skipped, ${report.failed} failed)`);
+            return result;
 
         } catch (error) {
             logger.error(`Error during website crawl: ${error.message}`);
@@ -80,86 +264,241 @@ class WebsiteCrawler {
         }
     }
 
-    async checkRobotsTxt(baseUrl, opId) {
-        try {
-            const robotsUrl = new URL('/robots.txt', baseUrl).href;
-            emitProgress?.(opId, 'Checking robots.txt...');
+    // Politeness: requests to one host are spaced by delayMs, or the robots.txt Crawl-delay if
+    // longer (capped). Each caller reserves the next free slot for the host and waits for it.
+    async waitForHost(url, robotsPolicy) {
+        const { host } = new URL(url);
+        const interval = Math.min(Math.max(this.delayMs, (robotsPolicy.crawlDelay ?? 0) * 1000), MAX_CRAWL_DELAY_MS);
+        const now = Date.now();
+        const slot = Math.max(now, this.nextRequestAt.get(host) ?? 0);
+        this.nextRequestAt.set(host, slot + interval);
+        if (slot > now) {
+            await this.delay(slot - now);
+        }
+    }
+
+    // Same host as the start page (or any subdomain of its domain), and matching the
+    // include/exclude patterns when there are any
+    isInScope(urlObj, baseHost, { include, exclude, includeSubdomains }) {
+        if (!['http:', 'https:'].includes(urlObj.protocol)) return false;
+
+        const domain = baseHost.replace(/^www\./, '');
+        const sameSite = includeSubdomains
+            ? urlObj.hostname === domain || urlObj.hostname.endsWith(`.${domain}`)
+            : urlObj.hostname === baseHost;
+        if (!sameSite) return false;
 
+        const target = urlObj.pathname + urlObj.search;
+        if (include.length > 0 && !include.some(pattern => matchesPath(pattern, target))) return false;
+        return !exclude.some(pattern => matchesPath(pattern, target));
+    }
+
+    // robots.txt policy for an origin, fetched once per crawl
+    async getRobotsPolicy(origin, cache, opId) {
+        if (!cache.has(origin)) {
+            cache.set(origin, this.fetchRobotsPolicy(origin, opId));
+        }
+        return cache.get(origin);
+    }
+
+    async fetchRobotsPolicy(origin, opId) {
+        const robotsUrl = new URL('/robots.txt', origin).href;
+        emitProgress?.(opId, `Checking ${robotsUrl}...`);
+        try {
             const response = await fetch(robotsUrl, {
                 headers: { 'User-Agent': this.userAgent },
                 signal: AbortSignal.timeout(5000)
             });
 
             if (response.ok) {
-                const robotsText = await response.text();
-                // Basic robots.txt parsing - could be enhanced
-                if (robotsText.toLowerCase().includes('disallow: /')) {
-                    logger.warn('robots.txt disallows crawling');
-                    emitProgress?.(opId, 'Warning: robots.txt disallows crawling');
+                const policy = createRobotsPolicy(await response.text(), this.robotsAgent);
+                if (policy.crawlDelay) {
+                    logger.info(`${robotsUrl} asks for a crawl delay of ${policy.crawlDelay}s`);
                 }
+                return policy;
+            }
+            if (response.status >= 500) {
+                logger.warn(`${robotsUrl} returned HTTP ${response.status}; not crawling ${origin}`);
+                emitProgress?.(opId, `Warning: robots.txt of ${origin} is unavailable, skipping the site`);
+                return DISALLOW_ALL;
             }
+            return ALLOW_ALL;
         } catch (error) {
-            logger.debug('Could not fetch robots.txt:', error.message);
+            logger.debug(`Could not fetch robots.txt: ${error.message}`);
+            return ALLOW_ALL;
         }
     }
 
-    async fetchAndProcessPage(url, opId) {
+    // Page URLs from the sitemaps named in robots.txt, or /sitemap.xml; sitemap indexes are followed
+    async discoverSitemapUrls(baseUrlObj, robotsPolicy, opId, limit) {
+        const pending = robotsPolicy.sitemaps.length > 0
+            ? [...robotsPolicy.sitemaps]
+            : [new URL('/sitemap.xml', baseUrlObj.origin).href];
+        const fetched = new Set();
+        const pageUrls = [];
+
+        while (pending.length > 0 && fetched.size < MAX_SITEMAPS && pageUrls.length < limit) {
+            const sitemapUrl = pending.shift();
+            if (fetched.has(sitemapUrl)) continue;
+            fetched.add(sitemapUrl);
+
+            try {
+                const response = await fetch(sitemapUrl, {
+                    headers: { 'User-Agent': this.userAgent },
+                    signal: AbortSignal.timeout(10000)
+                });
+                if (!response.ok) continue;
+
+                const $ = cheerio.load(await response.text(), { xmlMode: true });
+                $('sitemapindex > sitemap > loc').each((_, element) => {
+                    pending.push($(element).text().trim());
+                });
+                $('urlset > url > loc').each((_, element) => {
+                    const loc = $(element).text().trim();
+                    try {
+                        const urlObj = new URL(loc);
+                        pageUrls.push(`${urlObj.origin}${urlObj.pathname}`);
+                    } catch (error) {
+                        logger.debug(`Invalid sitemap URL: ${loc}`);
+                    }
+                });
+            } catch (error) {
+                logger.debug(`Could not fetch sitemap ${sitemapUrl}: ${error.message}`);
+            }
+        }
+
+        if (pageUrls.length > 0) {
+            logger.info(`Found ${pageUrls.length} URLs in ${fetched.size} sitemaps of ${baseUrlObj.origin}`);
+            emitProgress?.(opId, `Found ${pageUrls.length} URLs in the sitemap`);
+        }
+        return pageUrls;
+    }
+
+    // The page's text (Markdown-like, with `layout` holding its headings) and HTML, or null for
+    // unsupported content. Linked documents come back with `document` set and no HTML.
+    // With a `cached` ETag / Last-Modified the request is conditional and an unchanged page
+    // returns { notModified: true }. Throws when the page cannot be fetched, with the HTTP
+    // status as `error.status`. The timeout covers reading the body; `signal` aborts the request.
+    async fetchAndProcessPage(url, cached = null, signal = null) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), 10000);
         try {
-            const controller = new AbortController();
-            const timeout = setTimeout(() => controller.abort(), 10000);
+            const headers = {
+                'User-Agent': this.userAgent,
+                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+                'Accept-Language': 'en-US,en;q=0.5',
+                'Accept-Encoding': 'gzip, deflate',
+                'Connection': 'keep-alive',
+            };
+            if (cached?.etag) headers['If-None-Match'] = cached.etag;
+            if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
 
             const response = await fetch(url, {
-                headers: {
-                    'User-Agent': this.userAgent,
-                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-                    'Accept-Language': 'en-US,en;q=0.5',
-                    'Accept-Encoding': 'gzip, deflate',
-                    'Connection': 'keep-alive',
-                },
-                signal: controller.signal,
+                headers,
+                signal: signal ? AbortSignal.any([signal, controller.signal]) : controller.signal
             });
-            clearTimeout(timeout);
 
+            if (response.status === 304) {
+                return { url, finalUrl: url, notModified: true };
+            }
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+                error.status = response.status;
+                throw error;
             }
 
-            const html = await response.text();
-
-            // Load and clean DOM
-            const $ = cheerio.load(html);
-            $('script, style, nav, footer, header, iframe, noscript, svg, .ad, .ads, .advertisement').remove();
-
-            // Prefer main/article, fallback to body
-            const mainHtml = $('main').html() || $('article').html() || $('body').html() || '';
-
-            // Convert HTML to plain text
-            const textContent = htmlToText(mainHtml, {
-                wordwrap: false,
-                selectors: [
-                    { selector: 'a', options: { ignoreHref: true } },
-                    { selector: 'img', format: 'skip' },
-                ],
-            });
+            const finalUrl = response.url || url;
+            const validators = { etag: response.headers.get('etag'), lastModified: response.headers.get('last-modified') };
+            const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+            if (!/html/.test(contentType)) {
+                const extractor = this.findDocumentExtractor(finalUrl, contentType);
+                if (extractor) {
+                    return { url, finalUrl, ...validators, ...(await this.extractDocument(response, finalUrl, extractor)) };
+                }
+                if (contentType) {
+                    logger.debug(`Not an HTML page or a supported document: ${url} (${contentType})`);
+                    return null;
+                }
+            }
 
-            // Extract title
-            const title = $('title').text().trim() || 'Untitled Document';
+            // Main content as Markdown-like text with its headings; links are taken from the
+            // whole page without its navigation
+            const { title, text, headings, pageHtml } = extractHtmlContent(await response.text());
 
             return {
                 url,
-                title,
-                html: mainHtml,
-                textContent,
-                links: this.extractAllLinks($)
+                finalUrl,
+                ...validators,
+                title: title || 'Untitled Document',
+                html: pageHtml,
+                textContent: text,
+                layout: { text, headings },
+                links: this.extractAllLinks(cheerio.load(pageHtml))
             };
 
         } catch (error) {
             logger.warn(`Failed to fetch ${url}: ${error.message}`);
-            return null;
+            throw error;
+        } finally {
+            clearTimeout(timeout);
         }
     }
 
-    extractInternalLinks(html, baseDomain) {
+    // The upload extractor for a linked document, or null. The content type decides unless it
+    // is generic or missing; then the URL's extension does.
+    findDocumentExtractor(url, contentType) {
+        const extractor = GENERIC_CONTENT_TYPES.includes(contentType)
+            ? findExtractor(new URL(url).pathname, null)
+            : findExtractor('', contentType);
+        return extractor && DOCUMENT_TYPES.includes(extractor.fileType) ? extractor : null;
+    }
+
+    // Downloads a linked document and extracts its text; its title is the file name
+    async extractDocument(response, url, extractor) {
+        const length = Number(response.headers.get('content-length') || 0);
+        if (length > MAX_DOCUMENT_BYTES) {
+            await response.body?.cancel();
+            throw new Error(`Document too large (${length} bytes)`);
+        }
+        const buffer = await this.readBody(response, MAX_DOCUMENT_BYTES);
+        const { text, layout } = await extractor.extract(buffer);
+
+        let title = path.posix.basename(new URL(url).pathname);
+        try {
+            title = decodeURIComponent(title);
+        } catch (error) {
+            // Keep the encoded name
+        }
+
+        return {
+            title: title || 'Untitled Document',
+            html: null,
+            textContent: text,
+            layout,
+            document: { fileType: extractor.fileType, extractor: extractor.name },
+            links: []
+        };
+    }
+
+    // The response body, read until `limit` bytes; a longer body (chunked responses have no
+    // content-length) is cancelled and rejected
+    async readBody(response, limit) {
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of response.body ?? []) {
+            size += chunk.length;
+            if (size > limit) {
+                // Leaving the loop cancels the stream
+                throw new Error(`Document too large (over ${limit} bytes)`);
+            }
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    // Links on the page, resolved against the page URL and without fragments or query strings
+    // (for deduplication)
+    extractLinks(html, pageUrl) {
         const $ = cheerio.load(html);
         const links = new Set();
 
@@ -168,23 +507,9 @@ class WebsiteCrawler {
             if (!href) return;
 
             try {
-                // Handle relative URLs
-                let fullUrl;
-                if (href.startsWith('http')) {
-                    fullUrl = href;
-                } else if (href.startsWith('/')) {
-                    fullUrl = `https://${baseDomain}${href}`;
-                } else {
-                    fullUrl = `https://${baseDomain}/${href}`;
-                }
-
-                const urlObj = new URL(fullUrl);
-
-                // Only include links from the same domain
-                if (urlObj.hostname === baseDomain) {
-                    // Clean URL (remove fragments, query params for deduplication)
-                    const cleanUrl = `${urlObj.protocol}//${urlObj.hostname}${urlObj.pathname}`;
-                    links.add(cleanUrl);
+                const urlObj = new URL(href, pageUrl);
+                if (['http:', 'https:'].includes(urlObj.protocol)) {
+                    links.add(`${urlObj.origin}${urlObj.pathname}`);
                 }
             } catch (error) {
                 // Skip invalid URLs
@@ -0,0 +1,188 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import Database from 'better-sqlite3';
+import logger from '../config/logger.js';
+import { getPersona, DEFAULT_PERSONA_ID } from '../config/personas.js';
+import { validateChatConfig } from './chatModelProviders.js';
+
+// The workspace every request uses unless it names another one. It is not stored: it always
+// maps to QDRANT_COLLECTION (or the connected Qdrant Cloud collection) and the default splitter.
+export const DEFAULT_WORKSPACE = 'default';
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const COLLECTION_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,127}$/;
+const CHAT_SETTINGS = ['provider', 'model', 'baseUrl', 'temperature', 'maxTokens'];
+
+// Named workspaces, each bound to its own Qdrant collection, chunking settings, default persona
+// and optionally its own chat model (`chat`: provider, model, baseUrl, temperature, maxTokens)
+class WorkspaceStore {
+  constructor() {
+    this.initDatabase();
+  }
+
+  initDatabase() {
+    try {
+      const dataDir = process.env.DATA_DIR || '/app/data';
+      const dbPath = path.join(dataDir, 'workspaces.db');
+
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+
+      this.db = new Database(dbPath);
+      this.db.pragma('journal_mode = WAL');
+
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS workspaces (
+          name TEXT PRIMARY KEY,
+          collection_name TEXT NOT NULL UNIQUE,
+          chunk_size INTEGER NOT NULL,
+          chunk_overlap INTEGER NOT NULL,
+          default_persona TEXT,
+          description TEXT,
+          chat_config TEXT,
+          created_at TEXT NOT NULL
+        );
+      `);
+
+      this.insertStmt = this.db.prepare(`
+        INSERT INTO workspaces (name, collection_name, chunk_size, chunk_overlap, default_persona, description, chat_config, created_at)
+        VALUES (@name, @collection_name, @chunk_size, @chunk_overlap, @default_persona, @description, @chat_config, @created_at)
+      `);
+      this.getStmt = this.db.prepare(`SELECT * FROM workspaces WHERE name = ?`);
+      this.getByCollectionStmt = this.db.prepare(`SELECT name FROM workspaces WHERE collection_name = ?`);
+      this.listStmt = this.db.prepare(`SELECT * FROM workspaces ORDER BY name`);
+      this.deleteStmt = this.db.prepare(`DELETE FROM workspaces WHERE name = ?`);
+
+      logger.info('Workspace database initialized');
+    } catch (error) {
+      logger.error(`Failed to initialize workspace database: ${error.message}`);
+      throw error;
+    }
+  }
+
+  defaultWorkspace() {
+    return {
+      name: DEFAULT_WORKSPACE,
+      collectionName: process.env.QDRANT_COLLECTION || 'documents',
+      chunkSize: 500,
+      chunkOverlap: 200,
+      defaultPersona: DEFAULT_PERSONA_ID,
+      description: 'Default workspace (QDRANT_COLLECTION)',
+      chat: {},
+      builtIn: true
+    };
+  }
+
+  fromRow(row) {
+    return {
+      name: row.name,
+      collectionName: row.collection_name,
+      chunkSize: row.chunk_size,
+      chunkOverlap: row.chunk_overlap,
+      defaultPersona: row.default_persona || DEFAULT_PERSONA_ID,
+      description: row.description || '',
+      chat: row.chat_config ? JSON.parse(row.chat_config) : {},
+      createdAt: row.created_at,
+      builtIn: false
+    };
+  }
+
+  // Returns an error message for an invalid definition, or null
+  validate({ name, collectionName, chunkSize, chunkOverlap, defaultPersona, description, chat } = {}) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      return 'name must be 1-64 lowercase letters, digits, "-" or "_"';
+    }
+    if (collectionName !== undefined && (typeof collectionName !== 'string' || !COLLECTION_PATTERN.test(collectionName))) {
+      return 'collectionName must be 1-128 letters, digits, "-" or "_"';
+    }
+    if (chunkSize !== undefined && (!Number.isInteger(chunkSize) || chunkSize < 100 || chunkSize > 8000)) {
+      return 'chunkSize must be an integer between 100 and 8000';
+    }
+    if (chunkOverlap !== undefined && (!Number.isInteger(chunkOverlap) || chunkOverlap < 0)) {
+      return 'chunkOverlap must be a non-negative integer';
+    }
+    if ((chunkOverlap ?? 200) >= (chunkSize ?? 500)) {
+      return 'chunkOverlap must be smaller than chunkSize';
+    }
+    if (defaultPersona !== undefined && (typeof defaultPersona !== 'string' || !getPersona(defaultPersona))) {
+      return `Unknown persona "${defaultPersona}"`;
+    }
+    if (description !== undefined && typeof description !== 'string') {
+      return 'description must be a string';
+    }
+    return validateChatConfig(chat, { allowBaseUrl: true });
+  }
+
+  // Known chat settings only (API keys stay in the environment), with numbers as numbers
+  chatSettings(chat) {
+    const settings = {};
+    for (const key of CHAT_SETTINGS) {
+      if (chat?.[key] === undefined || chat[key] === null) continue;
+      settings[key] = ['temperature', 'maxTokens'].includes(key) ? Number(chat[key]) : chat[key];
+    }
+    return Object.keys(settings).length > 0 ? JSON.stringify(settings) : null;
+  }
+
+  get(name) {
+    if (!name || name === DEFAULT_WORKSPACE) return this.defaultWorkspace();
+    const row = this.getStmt.get(name);
+    return row ? this.fromRow(row) : null;
+  }
+
+  list() {
+    return [this.defaultWorkspace(), ...this.listStmt.all().map(row => this.fromRow(row))];
+  }
+
+  // New workspaces get their own collection named after the default one unless they pick one
+  collectionNameFor({ name, collectionName }) {
+    return collectionName || `${this.defaultWorkspace().collectionName}_${name}`;
+  }
+
+  // Returns an error message when the name or the collection is already taken, or null
+  findConflict(definition) {
+    if (this.get(definition.name)) {
+      return `Workspace "${definition.name}" already exists`;
+    }
+    const collectionName = this.collectionNameFor(definition);
+    const owner = collectionName === this.defaultWorkspace().collectionName
+      ? DEFAULT_WORKSPACE
+      : this.getByCollectionStmt.get(collectionName)?.name;
+    return owner ? `Collection "${collectionName}" is already used by workspace "${owner}"` : null;
+  }
+
+  // Call validate() first; throws on conflicts (see findConflict)
+  create(definition) {
+    const conflict = this.findConflict(definition);
+    if (conflict) {
+      throw new Error(conflict);
+    }
+
+    const { name, chunkSize = 500, chunkOverlap = 200, defaultPersona, description, chat } = definition;
+    const collectionName = this.collectionNameFor(definition);
+    this.insertStmt.run({
+      name,
+      collection_name: collectionName,
+      chunk_size: chunkSize,
+      chunk_overlap: chunkOverlap,
+      default_persona: defaultPersona || null,
+      description: description || null,
+      chat_config: this.chatSettings(chat),
+      created_at: new Date().toISOString()
+    });
+    logger.info(`Workspace ${name} created (collection ${collectionName})`);
+    return this.get(name);
+  }
+
+  remove(name) {
+    return this.deleteStmt.run(name).changes > 0;
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+    }
+  }
+}
+
+export default new WorkspaceStore();
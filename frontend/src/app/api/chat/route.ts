@@ -1,7 +1,7 @@
 import axios from 'axios';
 
 export async function POST(req: Request) {
-    const { messages, excludedSources, topK } = await req.json();
+    const { messages, excludedSources, includedSources, topK, provider, model, temperature, maxTokens } = await req.json();
     const lastMessage = messages[messages.length - 1];
 
     try {
@@ -10,7 +10,13 @@ export async function POST(req: Request) {
         const response = await axios.post(`${backendUrl}/api/query`, {
             question: lastMessage.content,
             excludedSources: excludedSources || [],
-            topK: topK || null
+            includedSources: includedSources || [],
+            topK: topK || null,
+            // Optional chat model overrides, validated by the backend
+            provider,
+            model,
+            temperature,
+            maxTokens
         });
 
         const answer = response.data.answer?.response || response.data.answer || response.data.response || 'No answer returned.';
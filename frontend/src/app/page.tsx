@@ -191,6 +191,9 @@ const Home: NextPage = () => {
 
   const createOpId = () => `op_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
 
+  // The backend buffers each operation's events and replays them to late subscribers, so the
+  // stream can be opened after the request has been sent; EventSource reconnects resume from
+  // the last event id received.
   const startProgressStream = (opId: string) => {
     // Reset state and open SSE
     setProgressLines([]);
@@ -230,7 +233,8 @@ const Home: NextPage = () => {
     });
 
     es.onerror = () => {
-      setProgressLines((prev: string[]) => [...prev, 'Connection lost.']);
+      const reconnecting = es.readyState === EventSource.CONNECTING;
+      setProgressLines((prev: string[]) => [...prev, reconnecting ? 'Connection lost, reconnecting…' : 'Connection lost.']);
     };
   };
 
@@ -239,9 +243,10 @@ const Home: NextPage = () => {
     setIsLoadingText(true);
     setError(null);
     const opId = createOpId();
-    startProgressStream(opId);
     try {
-      await axios.post(`${API_URL}/text`, { text: textInput }, { params: { opId } });
+      const request = axios.post(`${API_URL}/text`, { text: textInput }, { params: { opId } });
+      startProgressStream(opId);
+      await request;
       setTextInput('');
     } catch (err) {
       handleError(err, 'Failed to add text.');
@@ -255,9 +260,10 @@ const Home: NextPage = () => {
     setIsLoadingUrl(true);
     setError(null);
     const opId = createOpId();
-    startProgressStream(opId);
     try {
-      await axios.post(`${API_URL}/crawl`, { url: urlInput }, { params: { opId } });
+      const request = axios.post(`${API_URL}/crawl`, { url: urlInput }, { params: { opId } });
+      startProgressStream(opId);
+      await request;
       setUrlInput('');
     } catch (err) {
       handleError(err, 'Failed to crawl website.');
@@ -272,14 +278,15 @@ const Home: NextPage = () => {
     setIsLoadingFile(true);
     setError(null);
     const opId = createOpId();
-    startProgressStream(opId);
     try {
       const formData = new FormData();
       files.forEach(file => formData.append('document', file));
-      await axios.post(`${API_URL}/documents`, formData, {
+      const request = axios.post(`${API_URL}/documents`, formData, {
         params: { opId, removeTimestamps },
         headers: { 'Content-Type': 'multipart/form-data' },
       });
+      startProgressStream(opId);
+      await request;
     } catch (err) {
       handleError(err, 'Failed to upload file.');
     } finally {
@@ -484,7 +491,7 @@ const Home: NextPage = () => {
               ref={fileInputRef}
               type="file"
               multiple
-              accept=".txt,.pdf,.doc,.docx,.md,.csv,.vtt,.srt"
+              accept=".txt,.pdf,.doc,.docx,.md,.csv,.html,.htm,.vtt,.srt"
               onChange={handleFileChange}
               className="hidden"
             />
@@ -515,6 +522,7 @@ const Home: NextPage = () => {
                 <span>• Text (.txt)</span>
                 <span>• Markdown (.md)</span>
                 <span>• CSV (.csv)</span>
+                <span>• HTML (.html)</span>
                 <span>• Subtitles (.vtt, .srt)</span>
               </div>
             </div>
@@ -584,7 +592,7 @@ const Home: NextPage = () => {
                   ({getActiveSourcesCount()}/{allDocuments.length} active)
                   {collectionStats && collectionStats.uniqueSources > allDocuments.length && (
                     <span className="text-yellow-400 ml-1">
-                      (of ~{collectionStats.uniqueSources.toLocaleString()} total)
+                      (of {collectionStats.uniqueSources.toLocaleString()} total)
                     </span>
                   )}
                 </span>
@@ -26,16 +26,86 @@ interface QueryAnalysis {
     };
 }
 
+interface Persona {
+    id: string;
+    name: string;
+    description: string;
+    isDefault: boolean;
+}
+
+interface StreamEventData {
+    sources?: Source[];
+    token?: string;
+    answer?: string;
+    // Citation numbers in the answer that match none of its sources
+    invalidCitations?: number[];
+    error?: string;
+}
+
+// "Murray & Nadel.pdf, Chapter 12 Asthma, p. 341" (section and pages only when the chunk has them)
+function formatSourceLabel(source: Source, index: number): string {
+    const { source: name, section, page_start: pageStart, page_end: pageEnd } = source.metadata || {};
+    const parts = [name || `Source ${index + 1}`];
+    if (section) parts.push(String(section));
+    if (pageStart != null) {
+        parts.push(pageEnd != null && pageEnd !== pageStart ? `pp. ${pageStart}-${pageEnd}` : `p. ${pageStart}`);
+    }
+    return parts.join(', ');
+}
+
+function InvalidCitationWarning({ invalid = [] }: { invalid?: number[] }) {
+    if (invalid.length === 0) return null;
+    return (
+        <div className="mt-2 text-xs text-yellow-300">
+            ⚠️ Cites {invalid.map(n => `[${n}]`).join(', ')}, which {invalid.length === 1 ? 'was' : 'were'} not among the retrieved sources
+        </div>
+    );
+}
+
+// Read a text/event-stream response body and hand each parsed event to onEvent
+async function readEventStream(body: ReadableStream<Uint8Array>, onEvent: (event: string, data: StreamEventData) => void) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            boundary = buffer.indexOf('\n\n');
+
+            let event = 'message';
+            const dataLines: string[] = [];
+            for (const line of rawEvent.split('\n')) {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+            }
+            // Heartbeat comments carry no data
+            if (dataLines.length === 0) continue;
+            onEvent(event, JSON.parse(dataLines.join('\n')));
+        }
+    }
+}
+
 interface SimpleChatProps {
     onSourcesUpdate?: (sources: Source[]) => void;
     excludedSources?: string[];
 }
 
 export function SimpleChat({ excludedSources = [] }: SimpleChatProps) {
-    const [messages, setMessages] = useState<Array<{ id: string; role: 'user' | 'assistant'; content: string; sources?: Source[]; timestamp?: string }>>([]);
+    const [messages, setMessages] = useState<Array<{ id: string; role: 'user' | 'assistant'; content: string; sources?: Source[]; invalidCitations?: number[]; timestamp?: string }>>([]);
     const [input, setInput] = useState('');
     const [isLoading, setIsLoading] = useState(false);
     const [sessionId, setSessionId] = useState<string>('');
+
+    // Streaming state: the assistant message currently receiving tokens and its abort handle
+    const [streamingMessageId, setStreamingMessageId] = useState<string | null>(null);
+    const abortControllerRef = useRef<AbortController | null>(null);
     
     // Top-K selection state
     const [topKMode, setTopKMode] = useState<'auto' | 'manual'>('auto');
@@ -57,11 +127,28 @@ export function SimpleChat({ excludedSources = [] }: SimpleChatProps) {
     // System prompt toggle state
     const [useSystemPrompt, setUseSystemPrompt] = useState<boolean>(true);
 
+    // Persona selection (registry served by the backend)
+    const [personas, setPersonas] = useState<Persona[]>([]);
+    const [persona, setPersona] = useState<string>('');
+
     // Initialize session and load previous messages
     useEffect(() => {
         initializeChat();
+        loadPersonas();
     }, []);
 
+    const loadPersonas = async () => {
+        try {
+            const backendUrl = 'http://localhost:3000'; // Hardcoded for now
+            const response = await axios.get(`${backendUrl}/api/personas`);
+            const available: Persona[] = response.data.personas || [];
+            setPersonas(available);
+            setPersona(response.data.defaultPersona || available[0]?.id || '');
+        } catch (error) {
+            console.error('Error loading personas:', error);
+        }
+    };
+
     const initializeChat = async () => {
         try {
             // Generate or retrieve session ID
@@ -235,32 +322,83 @@ export function SimpleChat({ excludedSources = [] }: SimpleChatProps) {
                 excludedSources,
                 topK: topKValue,
                 similarityThreshold: similarityThreshold,
-                useSystemPrompt: useSystemPrompt
+                useSystemPrompt: useSystemPrompt,
+                persona: persona || undefined
             };
             
             console.log('Request body:', requestBody);
-            
-            const response = await axios.post(`${backendUrl}/api/query`, requestBody);
 
-            const responseData = await response.data;
-            console.log('Response received:', responseData);
+            const controller = new AbortController();
+            abortControllerRef.current = controller;
+
+            const assistantId = (Date.now() + 1).toString();
+            let answer = '';
+            let sources: Source[] = [];
+            let invalidCitations: number[] = [];
+
+            const updateAssistantMessage = () => {
+                const content = answer;
+                const currentSources = sources;
+                const currentInvalidCitations = invalidCitations;
+                setMessages(prev => prev.map(msg =>
+                    msg.id === assistantId ? { ...msg, content, sources: currentSources, invalidCitations: currentInvalidCitations } : msg
+                ));
+            };
+
+            try {
+                const response = await fetch(`${backendUrl}/api/chat/stream`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(requestBody),
+                    signal: controller.signal
+                });
+
+                if (!response.ok || !response.body) {
+                    throw new Error(`Chat stream failed with status ${response.status}`);
+                }
+
+                await readEventStream(response.body, (event, data) => {
+                    if (event === 'sources') {
+                        sources = data.sources || [];
+                        // Show the assistant bubble as soon as retrieval is done
+                        setMessages(prev => [{ id: assistantId, role: 'assistant' as const, content: '', sources }, ...prev]);
+                        setStreamingMessageId(assistantId);
+                    } else if (event === 'token') {
+                        answer += data.token || '';
+                        updateAssistantMessage();
+                    } else if (event === 'done') {
+                        // The final answer carries the server-side formatting and citation check
+                        answer = data.answer ?? answer;
+                        invalidCitations = data.invalidCitations || [];
+                        updateAssistantMessage();
+                    } else if (event === 'error') {
+                        throw new Error(data.error || 'Chat stream error');
+                    }
+                });
+            } catch (error) {
+                if (!controller.signal.aborted) throw error;
+                console.log('Chat stream cancelled by user');
+            } finally {
+                abortControllerRef.current = null;
+                setStreamingMessageId(null);
+            }
+
+            if (!answer) return;
 
             const assistantMessage = {
-                id: (Date.now() + 1).toString(),
+                id: assistantId,
                 role: 'assistant' as const,
-                content: responseData.answer,
-                sources: responseData.sources || []
+                content: answer,
+                sources
             };
 
             // Save assistant message to Supabase
             await saveMessageToSupabase(assistantMessage);
-
-            setMessages(prev => [assistantMessage, ...prev]);
             
             // Update conversation context for memory persistence
             const updatedContext = [
                 ...fullConversationContext,
-                { role: 'assistant' as const, content: responseData.answer }
+                { role: 'assistant' as const, content: answer }
             ];
             setConversationContext(updatedContext);
             console.log(`Updated conversation context: ${updatedContext.length} messages`);
@@ -274,6 +412,11 @@ export function SimpleChat({ excludedSources = [] }: SimpleChatProps) {
         }
     };
 
+    // Stop an in-flight streaming answer
+    const stopStreaming = () => {
+        abortControllerRef.current?.abort();
+    };
+
     // Analyze query to get Top-K recommendations
     const analyzeQuery = async (query: string) => {
         if (!query.trim()) return;
@@ -469,6 +612,16 @@ export function SimpleChat({ excludedSources = [] }: SimpleChatProps) {
                             )}
                             Send
                         </button>
+                        {isLoading && (
+                            <button
+                                type="button"
+                                onClick={stopStreaming}
+                                className="bg-red-500/20 hover:bg-red-500/30 text-red-300 border border-red-500/30 rounded-lg px-4 py-3 transition-colors"
+                                title="Stop generating the answer"
+                            >
+                                Stop
+                            </button>
+                        )}
                     </div>
                     
                     {/* Top-K Selection Controls */}
@@ -581,6 +734,25 @@ export function SimpleChat({ excludedSources = [] }: SimpleChatProps) {
                             )}
                         </div>
 
+                        {/* Persona Selector */}
+                        {personas.length > 0 && (
+                            <div className="flex items-center gap-2">
+                                <span className="text-xs text-white/60">Persona:</span>
+                                <select
+                                    value={persona}
+                                    onChange={(e) => setPersona(e.target.value)}
+                                    className="px-2 py-1.5 bg-white/10 border border-white/20 rounded-md text-xs text-white"
+                                    title={personas.find(p => p.id === persona)?.description}
+                                >
+                                    {personas.map(p => (
+                                        <option key={p.id} value={p.id} className="bg-gray-900">
+                                            {p.name}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+
                         {/* System Prompt Toggle */}
                         <div className="flex items-center gap-2">
                             <span className="text-xs text-white/60">System Prompt:</span>
@@ -684,12 +856,14 @@ export function SimpleChat({ excludedSources = [] }: SimpleChatProps) {
                                     <div className="mt-3 pt-3 border-t border-white/10">
                                         <div className="text-xs text-white/60 mb-2">Sources ({message.sources.length}):</div>
                                         <div className="space-y-1">
-                                            {message.sources.slice(0, 3).map((source: Source, index: number) => (
+                                            {message.sources.map((source: Source, index: number) => (
                                                 <div key={index} className="text-xs text-white/70 bg-white/5 rounded px-2 py-1">
-                                                    {source.metadata?.source || `Source ${index + 1}`}
+                                                    <span className="text-blue-300 mr-1">[{String(source.metadata?.citation ?? index + 1)}]</span>
+                                                    {formatSourceLabel(source, index)}
                                                 </div>
                                             ))}
                                         </div>
+                                        <InvalidCitationWarning invalid={message.invalidCitations} />
                                     </div>
                                 )}
                             </div>
@@ -705,7 +879,7 @@ export function SimpleChat({ excludedSources = [] }: SimpleChatProps) {
                     </div>
                 ))}
 
-                {isLoading && (
+                {isLoading && !streamingMessageId && (
                     <div className="flex gap-3 justify-start">
                         <div className="w-8 h-8 rounded-full bg-gradient-to-r from-blue-500 to-purple-600 flex items-center justify-center">
                             <span className="text-white text-sm font-bold">H</span>
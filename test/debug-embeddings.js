@@ -5,25 +5,20 @@
  */
 
 import 'dotenv/config';
-import { GoogleGenerativeAIEmbeddings } from '@langchain/google-genai';
+import { createEmbeddings } from '../backend/src/services/embeddingProviders.js';
 
-// Configuration
-const { GOOGLE_API_KEY } = process.env;
-
-if (!GOOGLE_API_KEY) {
-  console.error('❌ GOOGLE_API_KEY is required in .env file');
+// Initialize the configured embedding provider (EMBEDDING_PROVIDER, default gemini)
+let embeddings;
+try {
+  embeddings = createEmbeddings();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
   process.exit(1);
 }
 
-// Initialize Google Gemini embeddings
-const embeddings = new GoogleGenerativeAIEmbeddings({
-  apiKey: GOOGLE_API_KEY,
-  model: 'embedding-001',
-});
-
 async function testEmbeddings() {
   try {
-    console.log('🧪 Testing embedding generation...');
+    console.log(`🧪 Testing embedding generation (${embeddings.provider}, ${embeddings.model})...`);
     
     // Test with a simple text
     const testText = "This is a test document for pulmonary medicine.";
@@ -38,11 +33,13 @@ async function testEmbeddings() {
     console.log(`🔢 First 5 values: [${embedding.slice(0, 5).join(', ')}]`);
     console.log(`🔢 Last 5 values: [${embedding.slice(-5).join(', ')}]`);
     
-    // Check if it's exactly 768 dimensions
-    if (embedding.length === 768) {
-      console.log('✅ Vector dimension is correct (768)');
+    // Providers with a fixed size must return exactly that many dimensions
+    if (!embeddings.dimensions) {
+      console.log(`ℹ️  Vector dimension detected: ${embedding.length}`);
+    } else if (embedding.length === embeddings.dimensions) {
+      console.log(`✅ Vector dimension is correct (${embeddings.dimensions})`);
     } else {
-      console.log(`❌ Vector dimension mismatch! Expected 768, got ${embedding.length}`);
+      console.log(`❌ Vector dimension mismatch! Expected ${embeddings.dimensions}, got ${embedding.length}`);
     }
     
     // Check data types
@@ -0,0 +1,159 @@
+/**
+ * Shared helpers for the offline test scripts.
+ *
+ * useTempDataDir() has to run before the services are imported: their SQLite stores open
+ * under DATA_DIR as soon as the module loads.
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+export function check(label, condition) {
+    console.log(`${condition ? '✅' : '❌'} ${label}`);
+    if (!condition) process.exitCode = 1;
+}
+
+// Points DATA_DIR at a fresh temporary directory; returns a function that removes it
+export function useTempDataDir(prefix) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    process.env.DATA_DIR = dataDir;
+    return () => fs.rmSync(dataDir, { recursive: true, force: true });
+}
+
+function payloadValue(point, key) {
+    return key.split('.').reduce((value, part) => value?.[part], point.payload);
+}
+
+function matchesCondition(point, condition) {
+    const value = payloadValue(point, condition.key);
+    if (condition.match.any) return condition.match.any.includes(value);
+    return value === condition.match.value;
+}
+
+function matchesFilter(point, filter) {
+    if (!filter) return true;
+    return (filter.must || []).every(condition => matchesCondition(point, condition))
+        && !(filter.must_not || []).some(condition => matchesCondition(point, condition));
+}
+
+function cosine(a, b) {
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * In-memory stand-in for the parts of the Qdrant client the services call: collections,
+ * aliases, upsert/delete/scroll by payload filter and brute-force cosine search.
+ */
+export class FakeQdrantClient {
+    constructor() {
+        this.collections = new Map();
+        this.aliases = new Map();
+    }
+
+    resolve(name) {
+        return this.aliases.get(name) || name;
+    }
+
+    points(name) {
+        const collection = this.collections.get(this.resolve(name));
+        if (!collection) throw new Error(`Not found: Collection \`${name}\` doesn't exist!`);
+        return collection.points;
+    }
+
+    async getCollections() {
+        return { collections: [...this.collections.keys()].map(name => ({ name })) };
+    }
+
+    async getAliases() {
+        return { aliases: [...this.aliases].map(([alias_name, collection_name]) => ({ alias_name, collection_name })) };
+    }
+
+    async getCollection(name) {
+        const collection = this.collections.get(this.resolve(name));
+        if (!collection) throw new Error(`Not found: Collection \`${name}\` doesn't exist!`);
+        return { points_count: collection.points.size, config: { params: { vectors: collection.vectors } } };
+    }
+
+    async createCollection(name, { vectors } = {}) {
+        if (this.collections.has(name) || this.aliases.has(name)) throw new Error(`Collection \`${name}\` already exists!`);
+        this.collections.set(name, { vectors, points: new Map() });
+        return true;
+    }
+
+    async deleteCollection(name) {
+        return this.collections.delete(name);
+    }
+
+    async createPayloadIndex() {
+        return {};
+    }
+
+    async updateCollectionAliases({ actions }) {
+        for (const action of actions) {
+            if (action.delete_alias) this.aliases.delete(action.delete_alias.alias_name);
+            if (action.create_alias) {
+                const { alias_name: alias, collection_name: collection } = action.create_alias;
+                // Like Qdrant, an alias cannot take the name of a collection
+                if (this.collections.has(alias)) throw new Error(`Collection \`${alias}\` already exists!`);
+                if (!this.collections.has(collection)) throw new Error(`Not found: Collection \`${collection}\` doesn't exist!`);
+                this.aliases.set(alias, collection);
+            }
+        }
+        return true;
+    }
+
+    async upsert(name, { points }) {
+        const stored = this.points(name);
+        for (const point of points) stored.set(String(point.id), structuredClone(point));
+        return { status: 'completed' };
+    }
+
+    async delete(name, { points, filter }) {
+        const stored = this.points(name);
+        for (const id of points || []) stored.delete(String(id));
+        if (filter) {
+            for (const [id, point] of stored) {
+                if (matchesFilter(point, filter)) stored.delete(id);
+            }
+        }
+        return { status: 'completed' };
+    }
+
+    async scroll(name, { filter, limit = 10, offset, with_vector: withVector = false } = {}) {
+        const matching = [...this.points(name).values()].filter(point => matchesFilter(point, filter));
+        const start = offset ? Number(offset) : 0;
+        const page = matching.slice(start, start + limit).map(point => ({
+            id: point.id,
+            payload: point.payload,
+            ...(withVector ? { vector: point.vector } : {})
+        }));
+        return { points: page, next_page_offset: start + limit < matching.length ? start + limit : null };
+    }
+
+    async count(name, { filter } = {}) {
+        return { count: [...this.points(name).values()].filter(point => matchesFilter(point, filter)).length };
+    }
+
+    async search(name, { vector, limit = 10, filter }) {
+        return [...this.points(name).values()]
+            .filter(point => matchesFilter(point, filter))
+            .map(point => ({ id: point.id, payload: point.payload, score: cosine(vector, point.vector) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+// Swaps the RAG service's Qdrant client for a FakeQdrantClient and creates its collection
+export async function useFakeQdrant(ragService) {
+    const client = new FakeQdrantClient();
+    ragService.vectorStore.client = client;
+    await ragService.initializeCollection();
+    return client;
+}
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * Test Bulk Directory Sync
+ *
+ * Ingests a directory through BulkPdfService, edits it on disk and checks the sync plan (new
+ * files added, edited files changed, deleted files removed, stored files outside the directory
+ * or the include patterns left alone), the dry run, and a sync that applies the plan.
+ * Runs against an in-memory Qdrant stand-in and a throwaway DATA_DIR, so no external services
+ * are needed.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { check, useTempDataDir, useFakeQdrant } from './helpers.js';
+
+const cleanup = useTempDataDir('bulk-sync-test-');
+process.env.QDRANT_URL = 'http://127.0.0.1:9';
+process.env.QDRANT_COLLECTION = 'documents';
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.CHAT_PROVIDER = 'fake';
+process.env.LOG_LEVEL = 'error';
+
+const { default: ragService } = await import('../backend/src/services/ragService.js');
+const { default: BulkPdfService } = await import('../backend/src/services/bulkPdfService.js');
+const { default: documentCatalog } = await import('../backend/src/services/documentCatalog.js');
+const { default: lexicalIndex } = await import('../backend/src/services/lexicalIndex.js');
+
+console.log('🧪 Testing bulk directory sync...\n');
+
+await useFakeQdrant(ragService);
+const bulk = new BulkPdfService(ragService);
+
+const rootDir = path.join(process.env.DATA_DIR, 'lectures');
+const file = name => path.join(rootDir, name);
+const write = (name, text) => {
+    fs.mkdirSync(path.dirname(file(name)), { recursive: true });
+    fs.writeFileSync(file(name), text);
+};
+
+write('asthma.txt', 'Inhaled corticosteroids are the mainstay of asthma control.');
+write('copd.md', '# COPD\n\nPulmonary rehabilitation improves exercise capacity.');
+write('week2/spirometry.txt', 'Spirometry confirms airflow obstruction.');
+
+// 1. Nothing is stored yet: every file is new
+const initial = await bulk.planSync(rootDir, ragService);
+check('Every file of a fresh directory is added', initial.added.length === 3 && initial.changed.length === 0 && initial.removed.length === 0);
+
+await bulk.processDirectory(rootDir, 'bulk-sync-1');
+const stored = await bulk.planSync(rootDir, ragService);
+check('An ingested directory has nothing to sync', stored.added.length === 0 && stored.changed.length === 0 && stored.removed.length === 0 && stored.unchanged === 3);
+
+// 2. Added, changed and removed files are told apart
+write('copd.md', '# COPD\n\nLong-acting bronchodilators reduce exacerbations.');
+write('week2/peak-flow.txt', 'Peak flow varies by more than 20% in asthma.');
+fs.rmSync(file('week2/spirometry.txt'));
+
+const plan = await bulk.planSync(rootDir, ragService);
+check('New file is added', plan.added.join() === file('week2/peak-flow.txt'));
+check('Edited file is changed', plan.changed.join() === file('copd.md'));
+check('Deleted file is removed', plan.removed.length === 1 && plan.removed[0].path === file('week2/spirometry.txt'));
+check('Removed files report their chunks', plan.removed[0].chunks > 0 && plan.removed_chunks === plan.removed[0].chunks);
+check('Untouched file is unchanged', plan.unchanged === 1);
+
+// 3. Only stored files below the directory that are gone from disk count as removed
+const narrowed = await bulk.planSync(rootDir, ragService, { include: ['**/*.md'] });
+check('Files outside the include patterns are not removed', narrowed.removed.length === 1 && narrowed.unchanged === 0 && narrowed.changed.length === 1);
+const subdir = await bulk.planSync(path.join(rootDir, 'week2'), ragService);
+check('Stored files outside the directory are left alone', subdir.removed.length === 1 && subdir.unchanged === 0 && subdir.added.length === 1);
+
+let missing = null;
+try {
+    await bulk.planSync(file('nowhere'), ragService);
+} catch (error) {
+    missing = error;
+}
+check('A missing directory is an error', missing?.message.startsWith('Directory does not exist'));
+
+// 4. A dry run reports the plan and changes nothing
+const pointsBefore = await ragService.getCollectionPointCount();
+const dryRun = await bulk.syncDirectory(rootDir, 'bulk-sync-dry', { dryRun: true });
+check('Dry run reports the plan', dryRun.dry_run && dryRun.added.length === 1 && dryRun.changed.length === 1 && dryRun.removed.length === 1);
+check('Dry run leaves the collection as it was', await ragService.getCollectionPointCount() === pointsBefore);
+check('Dry run leaves removed files in the catalog', Boolean(documentCatalog.get(ragService.localIndexKey, file('week2/spirometry.txt'))));
+
+// 5. Syncing deletes vanished files, replaces changed ones and ingests new ones
+const summary = await bulk.syncDirectory(rootDir, 'bulk-sync-2');
+check('Sync summary reports each kind of change', summary.files_added === 1 && summary.files_changed === 1 && summary.files_removed === 1 && summary.files_unchanged === 1);
+check('Only new and changed files are ingested', summary.total_files === 2 && summary.completed === 2 && summary.errors === 0);
+check('Vanished file is gone from the catalog', !documentCatalog.get(ragService.localIndexKey, file('week2/spirometry.txt')));
+check('Vanished file is gone from the keyword index', lexicalIndex.search(ragService.localIndexKey, 'spirometry', 5).length === 0);
+check('Vanished file is gone from the manifest', !bulk.getFileStmt.get(file('week2/spirometry.txt')));
+check('Changed file has only its new chunks', lexicalIndex.search(ragService.localIndexKey, 'rehabilitation', 5).length === 0
+    && lexicalIndex.search(ragService.localIndexKey, 'bronchodilators', 5).length === 1);
+check('New file is searchable', lexicalIndex.search(ragService.localIndexKey, 'peak flow', 5).length === 1);
+
+const synced = await bulk.planSync(rootDir, ragService);
+check('A synced directory has nothing left to sync', synced.added.length === 0 && synced.changed.length === 0 && synced.removed.length === 0 && synced.unchanged === 3);
+
+bulk.close();
+cleanup();
+
+console.log('\n✅ Bulk directory sync test completed!');
+process.exit();
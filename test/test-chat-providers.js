@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+/**
+ * Test Chat Model Providers
+ *
+ * Checks chat settings validation, the layering of environment, workspace and
+ * request settings, and the scripted fake model. No external services needed.
+ */
+
+import { createChatModel, validateChatConfig, describeChatConfig } from '../backend/src/services/chatModelProviders.js';
+import { getModelConfig } from '../backend/src/config/promptConfig.js';
+import { getPersona } from '../backend/src/config/personas.js';
+import { check } from './helpers.js';
+
+console.log('🧪 Testing chat model providers...\n');
+
+// 1. Validation
+check('Accepts provider, model, temperature and maxTokens', validateChatConfig({ provider: 'openai', model: 'llama-3.1-8b', temperature: 0.2, maxTokens: 512 }) === null);
+check('Rejects unknown providers', validateChatConfig({ provider: 'claude-local' }) !== null);
+check('Rejects temperatures above 2', validateChatConfig({ temperature: 2.5 }) !== null);
+check('Rejects baseUrl from requests', validateChatConfig({ baseUrl: 'http://10.0.0.1:8000/v1' }) !== null);
+check('Accepts baseUrl in workspace settings', validateChatConfig({ baseUrl: 'http://10.0.0.1:8000/v1' }, { allowBaseUrl: true }) === null);
+check('Rejects the fake provider from requests', validateChatConfig({ provider: 'fake' }) !== null);
+check('Rejects the fake provider in workspace settings', validateChatConfig({ provider: 'fake' }, { allowBaseUrl: true }) !== null);
+
+// 2. Layering: request/workspace settings over the environment, persona temperature as fallback
+process.env.CHAT_PROVIDER = 'gemini';
+process.env.CHAT_MODEL = 'gemini-1.5-pro';
+const physician = getPersona('physician');
+check('Environment model applies to the environment provider', getModelConfig(physician).model === 'gemini-1.5-pro');
+check('Persona temperature is the fallback', getModelConfig(physician).temperature === physician.temperature);
+check('Request temperature wins over the persona', getModelConfig(physician, { temperature: 0.9 }).temperature === 0.9);
+const local = getModelConfig(physician, { provider: 'openai', baseUrl: 'http://localhost:8000/v1' });
+check('Switching provider drops the environment model', local.model === undefined && describeChatConfig(local).model === 'gpt-4o-mini');
+
+// 3. Fake model replies with its script
+const fake = createChatModel({ provider: 'fake', responses: ['first', 'second'] });
+const replies = [(await fake.invoke('a')).content, (await fake.invoke('b')).content];
+check('Fake model replies in order', replies.join(',') === 'first,second');
+
+console.log('\n✅ Chat model provider test completed!');
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+/**
+ * Test Deterministic Chunk IDs
+ *
+ * Checks that assignChunkIds derives each point id from the source, the chunk's position in
+ * it and its content, formatted as a UUID Qdrant accepts. Uses a throwaway DATA_DIR and no
+ * external services.
+ */
+
+import { check, useTempDataDir } from './helpers.js';
+
+const cleanup = useTempDataDir('chunk-ids-test-');
+process.env.QDRANT_URL = 'http://127.0.0.1:9';
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.CHAT_PROVIDER = 'fake';
+process.env.LOG_LEVEL = 'error';
+
+const { default: ragService } = await import('../backend/src/services/ragService.js');
+
+console.log('🧪 Testing deterministic chunk ids...\n');
+
+const chunks = (source, texts) => texts.map(text => ({ pageContent: text, metadata: { source } }));
+const ids = (list) => ragService.assignChunkIds(list).map(chunk => chunk.metadata.chunk_id);
+
+// 1. Same input, same ids, in UUID form
+const first = ids(chunks('guide.pdf', ['alpha', 'beta', 'gamma']));
+const again = ids(chunks('guide.pdf', ['alpha', 'beta', 'gamma']));
+check('Ids are stable across runs', first.join() === again.join());
+check('Ids are UUIDs', first.every(id => /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(id)));
+check('Ids within a source are distinct', new Set(first).size === 3);
+
+// 2. Chunk index and content hash are recorded with the id
+const [numbered] = ragService.assignChunkIds(chunks('guide.pdf', ['alpha']));
+check('Chunk index is recorded', numbered.metadata.chunk_index === 0);
+check('Content hash is recorded', /^[0-9a-f]{64}$/.test(numbered.metadata.content_hash));
+
+// 3. Each part of the key changes the id
+check('Another source gives another id', ids(chunks('other.pdf', ['alpha']))[0] !== first[0]);
+check('Edited content gives another id', ids(chunks('guide.pdf', ['alpha!', 'beta', 'gamma']))[0] !== first[0]);
+check('Repeated text at another position gets its own id', new Set(ids(chunks('guide.pdf', ['same', 'same']))).size === 2);
+check('Inserting a chunk renumbers the ones after it', ids(chunks('guide.pdf', ['new', 'alpha', 'beta', 'gamma'])).slice(1).every(id => !first.includes(id)));
+
+// 4. Chunks are numbered per source, even when sources are interleaved
+const mixed = ragService.assignChunkIds([
+    ...chunks('a.txt', ['one']), ...chunks('b.txt', ['one']), ...chunks('a.txt', ['two'])
+]);
+check('Indexes count per source', mixed.map(chunk => chunk.metadata.chunk_index).join() === '0,0,1');
+check('Interleaving does not change a source\'s ids', mixed[2].metadata.chunk_id === ids(chunks('a.txt', ['one', 'two']))[1]);
+
+// 5. getChunkId prefers the stored id
+check('getChunkId returns the assigned id', ragService.getChunkId(numbered) === numbered.metadata.chunk_id);
+check('Legacy chunks fall back to a content hash', /^[0-9a-f]{40}$/.test(ragService.getChunkId({ pageContent: 'x', metadata: { source: 'old' } })));
+
+cleanup();
+
+console.log('\n✅ Deterministic chunk id test completed!');
+process.exit();
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * Test Citation Extraction
+ *
+ * Checks how the [n] markers in an answer are mapped to the numbered sources: lists, ranges,
+ * markers that match no source, and bracketed numbers that are not citations at all.
+ * Uses a throwaway DATA_DIR and no external services.
+ */
+
+import { check, useTempDataDir } from './helpers.js';
+
+const cleanup = useTempDataDir('citations-test-');
+process.env.QDRANT_URL = 'http://127.0.0.1:9';
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.CHAT_PROVIDER = 'fake';
+process.env.LOG_LEVEL = 'error';
+
+const { default: ragService } = await import('../backend/src/services/ragService.js');
+
+console.log('🧪 Testing citation extraction...\n');
+
+const sources = ragService.numberSources([
+    { pageContent: 'ICS are first-line therapy.', metadata: { source: 'gina.pdf', page_start: 12, section: 'Treatment' } },
+    { pageContent: 'SABA relieve symptoms.', metadata: { source: 'gina.pdf', page_start: 14 } },
+    { pageContent: 'LTRA are an alternative.', metadata: { source: 'https://example.com/ltra', breadcrumbs: ['Asthma', 'LTRA'] } }
+]);
+const cited = (answer) => ragService.extractCitations(answer, sources);
+const numbers = (result) => result.citations.map(c => c.citation).join();
+
+// 1. Single markers resolve to their source
+const single = cited('ICS are first-line [1]. SABA help [2].');
+check('Single markers are found', numbers(single) === '1,2');
+check('Citation carries the source and page', single.citations[0].source === 'gina.pdf' && single.citations[0].page === 12 && single.citations[0].section === 'Treatment');
+check('Citation carries the chunk id', single.citations[0].chunkId === sources[0].metadata.chunk_id);
+check('Web citations carry breadcrumbs', cited('[3]').citations[0].breadcrumbs.join('>') === 'Asthma>LTRA');
+
+// 2. Lists and ranges are expanded, duplicates collapsed
+check('Lists are expanded', numbers(cited('Both [1, 3].')) === '1,3');
+check('Ranges are expanded', numbers(cited('All of them [1-3].')) === '1,2,3');
+check('En dash ranges are expanded', numbers(cited('All of them [1–3].')) === '1,2,3');
+check('Repeated markers are reported once', numbers(cited('[2] and again [2][1]')) === '1,2');
+
+// 3. Numbers just past the sources are invalid citations
+const invalid = cited('Unsupported claim [4]. Another [2, 5].');
+check('Markers past the sources are invalid', invalid.invalidCitations.join() === '4,5');
+check('Invalid citations are marked valid: false', invalid.citations.find(c => c.citation === 4).valid === false);
+check('A range into missing sources reports the missing ones', cited('[2-4]').invalidCitations.join() === '4');
+
+// 4. Bracketed numbers that cannot be citations are ignored
+check('A year is not a citation', cited('Published in [2019].').citations.length === 0);
+check('A range up to a year is not a citation', cited('Studies [1-2019].').citations.length === 0);
+check('Zero is not a citation', cited('Index [0].').citations.length === 0);
+check('A reversed range is not a citation', cited('[3-1]').citations.length === 0);
+check('A year next to a real citation leaves the citation', numbers(cited('In [2019] guidance changed [1].')) === '1');
+
+// 5. No answer, no citations
+const empty = cited(undefined);
+check('Missing answer gives no citations', empty.citations.length === 0 && empty.invalidCitations.length === 0);
+
+cleanup();
+
+console.log('\n✅ Citation extraction test completed!');
+process.exit();
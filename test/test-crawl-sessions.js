@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+/**
+ * Test Crawl Sessions
+ *
+ * Crawls small sites served by local HTTP servers: crawls running side by side keep their own
+ * seen URLs and reports, the concurrency limit holds, requests to one host are spaced by the
+ * politeness delay, the report counts fetched, skipped and failed pages by reason,
+ * cancelling a crawl aborts its requests, and documents linked from a page are stored with
+ * the page they were found on. Runs against an in-memory Qdrant stand-in and a throwaway
+ * DATA_DIR, so no external services are needed.
+ */
+
+import http from 'node:http';
+import { check, useTempDataDir, useFakeQdrant } from './helpers.js';
+
+const cleanup = useTempDataDir('crawl-sessions-test-');
+process.env.QDRANT_URL = 'http://127.0.0.1:9';
+process.env.QDRANT_COLLECTION = 'documents';
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.CHAT_PROVIDER = 'fake';
+process.env.LOG_LEVEL = 'error';
+
+const { default: crawler } = await import('../backend/src/services/websiteCrawler.js');
+const { default: ragService } = await import('../backend/src/services/ragService.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const page = (title, links = []) =>
+    `<html><head><title>${title}</title></head><body><main><h1>${title}</h1><p>About ${title}.</p>`
+    + links.map(href => `<a href="${href}">${href}</a>`).join(' ')
+    + '</main></body></html>';
+
+// A site from a map of path -> { body, type, status, delay }; records each request
+async function serve(pages, robots = '') {
+    const site = { requests: [], inFlight: 0, maxInFlight: 0 };
+    site.server = http.createServer(async (req, res) => {
+        if (req.url === '/robots.txt') {
+            res.writeHead(robots ? 200 : 404, { 'content-type': 'text/plain' });
+            return res.end(robots);
+        }
+        site.requests.push({ path: req.url, at: Date.now() });
+        site.inFlight++;
+        site.maxInFlight = Math.max(site.maxInFlight, site.inFlight);
+        const entry = pages[req.url];
+        await sleep(entry?.delay ?? 0);
+        site.inFlight--;
+        if (!entry) {
+            res.writeHead(404, { 'content-type': 'text/html' });
+            return res.end('Not found');
+        }
+        res.writeHead(entry.status ?? 200, { 'content-type': entry.type ?? 'text/html' });
+        res.end(entry.body);
+    });
+    await new Promise(resolve => site.server.listen(0, '127.0.0.1', resolve));
+    site.url = `http://127.0.0.1:${site.server.address().port}/`;
+    site.paths = () => site.requests.map(request => request.path).sort();
+    site.close = () => {
+        site.server.closeAllConnections();
+        site.server.close();
+    };
+    return site;
+}
+
+// Pages of a session's result by path
+const fetchedPaths = result => result.pages.map(pageData => new URL(pageData.url).pathname).sort();
+
+console.log('🧪 Testing crawl sessions...\n');
+
+crawler.delayMs = 0;
+const options = { useSitemap: false };
+
+// 1. Crawls running side by side keep their own seen URLs and reports
+const library = {
+    '/': { body: page('Library', ['/asthma', '/copd']) },
+    '/asthma': { body: page('Asthma', ['/', '/copd']), delay: 20 },
+    '/copd': { body: page('COPD'), delay: 20 }
+};
+const first = await serve(library);
+const second = await serve(library);
+const [resultA, resultB, resultA2] = await Promise.all([
+    crawler.crawlWebsite(first.url, 'crawl-a', options),
+    crawler.crawlWebsite(second.url, 'crawl-b', options),
+    crawler.crawlWebsite(first.url, 'crawl-a2', options)
+]);
+check('Each crawl fetches its own site', fetchedPaths(resultA).join() === '/,/asthma,/copd' && fetchedPaths(resultB).join() === '/,/asthma,/copd');
+check('Crawls of one site side by side do not share seen URLs', fetchedPaths(resultA2).join() === '/,/asthma,/copd' && first.requests.length === 6);
+check('Pages keep to their session', resultB.pages.every(pageData => pageData.url.startsWith(second.url)));
+check('Each crawl has its own report', resultA.report !== resultA2.report && resultA.report.fetched === 3 && resultB.report.fetched === 3);
+first.close();
+second.close();
+
+// 2. No more pages in flight than the concurrency allows
+const wide = { '/': { body: page('Index', Array.from({ length: 8 }, (_, i) => `/topic-${i}`)) } };
+for (let i = 0; i < 8; i++) wide[`/topic-${i}`] = { body: page(`Topic ${i}`), delay: 40 };
+const limited = await serve(wide);
+await crawler.crawlWebsite(limited.url, 'crawl-limited', { ...options, concurrency: 2 });
+check('Concurrency 2 keeps at most 2 requests in flight', limited.maxInFlight === 2);
+limited.maxInFlight = 0;
+await crawler.crawlWebsite(limited.url, 'crawl-wider', { ...options, concurrency: 4 });
+check('Concurrency 4 fetches up to 4 pages at once', limited.maxInFlight === 4);
+limited.close();
+
+// 3. Requests to one host are spaced by the delay, also across crawls and with Crawl-delay
+crawler.delayMs = 100;
+crawler.nextRequestAt.clear();
+const spaced = await serve(library);
+await Promise.all([
+    crawler.crawlWebsite(spaced.url, 'crawl-polite-1', { ...options, concurrency: 4 }),
+    crawler.crawlWebsite(spaced.url, 'crawl-polite-2', { ...options, concurrency: 4 })
+]);
+const gaps = spaced.requests.slice(1).map((request, i) => request.at - spaced.requests[i].at);
+check('Requests to a host are spaced by the delay across crawls', spaced.requests.length === 6 && gaps.every(gap => gap >= 90));
+spaced.close();
+
+crawler.delayMs = 0;
+crawler.nextRequestAt.clear();
+const slowSite = await serve(library, 'User-agent: *\nCrawl-delay: 0.2\n');
+await crawler.crawlWebsite(slowSite.url, 'crawl-delay', { ...options, concurrency: 4 });
+const slowGaps = slowSite.requests.slice(1).map((request, i) => request.at - slowSite.requests[i].at);
+check('robots.txt Crawl-delay raises the spacing', slowGaps.length === 2 && slowGaps.every(gap => gap >= 190));
+slowSite.close();
+
+// 4. The report counts fetched, skipped and failed pages by reason
+const mixed = await serve({
+    '/': { body: page('Home', ['/guide', '/private/notes', '/missing', '/logo.png', '/deep', 'https://elsewhere.example/']) },
+    '/guide': { body: page('Guide') },
+    '/logo.png': { body: 'png', type: 'image/png' },
+    '/deep': { body: page('Deep', ['/deeper']) },
+    '/deeper': { body: page('Deeper') }
+}, 'User-agent: *\nDisallow: /private/\n');
+const reported = await crawler.crawlWebsite(mixed.url, 'crawl-report', { ...options, maxDepth: 1 });
+const { report } = reported;
+check('Fetched pages are counted', report.fetched === 3 && reported.pagesProcessed === 3);
+check('robots.txt exclusions are reported', report.reasons.robots === 1 && reported.blockedByRobots === 1);
+check('Out-of-scope and too-deep links are reported', report.reasons.out_of_scope === 1 && report.reasons.max_depth === 1);
+check('Unsupported content types are reported', report.reasons.unsupported_type === 1);
+check('Failed pages are reported with their error', report.failed === 1 && report.failedUrls[0].reason.startsWith('HTTP 404'));
+check('Missing pages are listed as gone', reported.gone.length === 1 && reported.gone[0].endsWith('/missing'));
+check('Skipped URLs are listed', report.skipped === 4 && report.skippedUrls.some(entry => entry.url.endsWith('/private/notes')));
+
+const capped = await crawler.crawlWebsite(mixed.url, 'crawl-capped', { ...options, maxPages: 1, concurrency: 1 });
+check('Links left by maxPages are reported', capped.pages.length === 1 && capped.report.reasons.max_pages > 0);
+mixed.close();
+
+// 5. Cancelling a crawl aborts its requests and reports the rest as cancelled
+const stalled = await serve({
+    '/': { body: page('Index', ['/slow-1', '/slow-2', '/slow-3']) },
+    '/slow-1': { body: page('Slow 1'), delay: 5000 },
+    '/slow-2': { body: page('Slow 2'), delay: 5000 },
+    '/slow-3': { body: page('Slow 3'), delay: 5000 }
+});
+const controller = new AbortController();
+const started = Date.now();
+const cancelled = crawler.crawlWebsite(stalled.url, 'crawl-cancel', { ...options, concurrency: 2, signal: controller.signal });
+await sleep(200);
+controller.abort();
+const cancelledResult = await cancelled;
+check('Cancelling does not wait for slow pages', Date.now() - started < 2000);
+check('Aborted and queued pages are reported as cancelled', cancelledResult.report.reasons.cancelled === 3 && cancelledResult.report.failed === 0);
+stalled.close();
+
+// 6. Documents linked from a page are extracted and stored with the page that links to them
+const withDocuments = await serve({
+    '/': { body: page('Handouts', ['/handouts/inhaler-steps.txt', '/files/peak-flow.md']) },
+    '/handouts/inhaler-steps.txt': { body: 'Shake the inhaler, breathe out, then press and inhale slowly.', type: 'text/plain' },
+    '/files/peak-flow.md': { body: '# Peak flow\n\nRecord the best of three blows every morning.', type: 'application/octet-stream' }
+});
+const documents = await crawler.crawlWebsite(withDocuments.url, 'crawl-documents', options);
+const linked = documents.pages.filter(pageData => pageData.document);
+check('Linked documents are fetched as documents', linked.length === 2 && documents.report.documents === 2);
+check('Documents are told by content type, or by extension when it is generic', linked.map(pageData => pageData.document.fileType).sort().join() === 'md,txt' && linked.every(pageData => pageData.html === null));
+check('Documents remember the page that links to them', linked.every(pageData => pageData.linkedFrom === withDocuments.url));
+
+const client = await useFakeQdrant(ragService);
+const ingested = await ragService.processWebUrl(withDocuments.url, 'crawl-documents-ingest', options);
+const documentUrl = new URL('/handouts/inhaler-steps.txt', withDocuments.url).href;
+const { points } = await client.scroll(ragService.collectionName, {
+    filter: { must: [{ key: 'metadata.source', match: { value: documentUrl } }] },
+    limit: 10
+});
+const storedDocuments = ingested.sources.filter(source => source.fileType);
+check('Linked documents are stored', storedDocuments.length === 2 && points.length > 0);
+check('Stored documents report the linking page', storedDocuments.every(source => source.linkedFrom === withDocuments.url));
+check('Stored chunks keep the document URL and the linking page', points.every(point =>
+    point.payload.metadata.linked_from === withDocuments.url && point.payload.metadata.file_type === 'txt'));
+withDocuments.close();
+
+cleanup();
+
+console.log('\n✅ Crawl session test completed!');
+process.exit();
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+/**
+ * Test Document Catalog
+ *
+ * Exercises the SQLite catalog behind document listing, stats and deletes.
+ * Uses a throwaway DATA_DIR, so no external services are needed.
+ */
+
+import { check, useTempDataDir } from './helpers.js';
+
+const cleanup = useTempDataDir('catalog-test-');
+const { default: catalog } = await import('../backend/src/services/documentCatalog.js');
+
+console.log('🧪 Testing document catalog...\n');
+
+// 1. Upserts create one row per source and keep the first ingest time
+catalog.upsert('docs', { source: '/data/a.pdf', displayName: 'a.pdf', type: 'pdf', chunkCount: 4, checksum: 'abc', updatedAt: '2024-01-01T00:00:00.000Z' });
+catalog.upsert('docs', { source: 'https://example.com/b', displayName: 'example.com/b', type: 'web', chunkCount: 2 });
+catalog.upsert('docs', { source: '/data/a.pdf', displayName: 'a.pdf', chunkCount: 5, updatedAt: '2024-02-01T00:00:00.000Z' });
+
+const a = catalog.get('docs', '/data/a.pdf');
+check('Re-ingest updates the chunk count', a.chunk_count === 5);
+check('Re-ingest keeps the ingest time', a.ingested_at === '2024-01-01T00:00:00.000Z');
+check('Missing checksum keeps the previous one', a.checksum === 'abc');
+
+// 2. Stats are exact and per collection
+const stats = catalog.stats('docs');
+check('Stats count sources and chunks', stats.sources === 2 && stats.chunks === 7);
+check('Other collections are untouched', catalog.stats('other').sources === 0);
+
+// 3. Display names map back to raw sources
+check('Display name resolves to the raw source', catalog.sourcesForDisplayName('docs', 'a.pdf')[0] === '/data/a.pdf');
+
+// 4. Deletes and rebuilds
+check('remove() deletes one source', catalog.remove('docs', ['/data/a.pdf']) === 1 && catalog.list('docs').length === 1);
+catalog.replaceAll('docs', [{ source: 'raw-text', displayName: 'raw-text', type: 'text', chunkCount: 1 }]);
+check('replaceAll() swaps the whole collection', catalog.list('docs').map(row => row.source).join() === 'raw-text');
+
+catalog.close();
+cleanup();
+
+console.log('\n✅ Document catalog test completed!');
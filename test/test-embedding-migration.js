@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Test Re-embedding Migration
+ *
+ * Stores a few chunks in a throwaway collection with the offline hashing embedder, re-embeds
+ * them at a different vector size and checks that the collection name now aliases the new
+ * collection. Requires a running Qdrant (QDRANT_URL, default http://localhost:6333).
+ */
+
+import { check, useTempDataDir } from './helpers.js';
+
+const cleanup = useTempDataDir('notebooklm-migration-test-');
+process.env.QDRANT_URL = process.env.QDRANT_URL || 'http://localhost:6333';
+process.env.QDRANT_COLLECTION = `migration_test_${Date.now()}`;
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.EMBEDDING_DIMENSIONS = '64';
+process.env.CHAT_PROVIDER = 'fake';
+
+const { default: ragService } = await import('../backend/src/services/ragService.js');
+const { HashingEmbeddings } = await import('../backend/src/services/embeddingProviders.js');
+const { resolveCollection } = await import('../backend/src/services/qdrantCollections.js');
+
+const client = ragService.vectorStore.client;
+const collection = ragService.collectionName;
+
+console.log(`🧪 Testing re-embedding migration on ${collection}...\n`);
+
+try {
+    await ragService.initializeCollection();
+    await ragService.processText('Inhaled corticosteroids are the mainstay of asthma control. '.repeat(30));
+    const before = await ragService.getCollectionPointCount();
+    check(`Stored ${before} chunks with 64-dimensional vectors`, before > 0);
+
+    // Switch the embedding provider to a different size, as a changed EMBEDDING_DIMENSIONS would
+    ragService.embeddings = new HashingEmbeddings({ dimensions: 96 });
+    ragService.vectorSize = null;
+
+    const first = await ragService.reembedCollection();
+    const resolved = await resolveCollection(client, collection);
+    const info = await client.getCollection(first.physicalCollection);
+    check('All chunks were re-embedded', first.migrated === before);
+    check('Collection name is now an alias of the new collection', resolved.isAlias && resolved.physicalName === first.physicalCollection);
+    check('New collection uses 96-dimensional vectors', info.config.params.vectors.size === 96);
+
+    const results = await ragService.retrieveDocuments('asthma corticosteroids', { k: 2, lexicalWeight: 0 });
+    check('Searches through the alias return chunks', results.length > 0);
+
+    const second = await ragService.reembedCollection();
+    check('A second migration moves the alias atomically', (await resolveCollection(client, collection)).physicalName === second.physicalCollection);
+    check('The previous collection was deleted', !(await client.getCollections()).collections.some(c => c.name === first.physicalCollection));
+} catch (error) {
+    check(`Migration ran without errors (${error.message})`, false);
+} finally {
+    cleanup();
+    // Qdrant may be the reason the test failed
+    await resolveCollection(client, collection)
+        .then(({ physicalName }) => client.deleteCollection(physicalName))
+        .catch(() => {});
+}
+
+console.log(process.exitCode ? '\n❌ Re-embedding migration test failed' : '\n✅ Re-embedding migration test completed!');
+process.exit();
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * Test Embedding Providers
+ *
+ * Checks the offline hashing embedder and provider selection.
+ * No external services needed.
+ */
+
+import { createEmbeddings, detectVectorSize, embeddingConfigFromEnv } from '../backend/src/services/embeddingProviders.js';
+import { check } from './helpers.js';
+
+const cosine = (a, b) => a.reduce((sum, value, index) => sum + value * b[index], 0);
+
+console.log('🧪 Testing embedding providers...\n');
+
+// 1. Hashing embedder: deterministic, normalised, vocabulary-sensitive
+const hash = createEmbeddings({ provider: 'hash', dimensions: 256 });
+const [query, related, unrelated] = await hash.embedDocuments([
+    'asthma inhaler technique',
+    'inhaler technique in asthma patients',
+    'react hooks and state management'
+]);
+check('Vectors have the configured size', query.length === 256);
+check('Same text gives the same vector', JSON.stringify(query) === JSON.stringify(await hash.embedQuery('asthma inhaler technique')));
+check('Vectors are unit length', Math.abs(cosine(query, query) - 1) < 1e-9);
+check('Shared vocabulary scores higher than unrelated text', cosine(query, related) > cosine(query, unrelated));
+check('Empty text still gives a usable vector', cosine(await hash.embedQuery(''), await hash.embedQuery('')) > 0);
+
+// 2. Vector size detection
+check('detectVectorSize uses the declared size', await detectVectorSize(hash) === 256);
+
+// 3. Configuration
+const config = embeddingConfigFromEnv({ EMBEDDING_PROVIDER: 'ollama', EMBEDDING_MODEL: 'nomic-embed-text', EMBEDDING_DIMENSIONS: '768' });
+check('Config is read from EMBEDDING_* variables', config.provider === 'ollama' && config.model === 'nomic-embed-text' && config.dimensions === 768);
+check('Gemini is the default provider', embeddingConfigFromEnv({}).provider === 'gemini');
+
+let unknownError = null;
+try {
+    createEmbeddings({ provider: 'word2vec' });
+} catch (error) {
+    unknownError = error;
+}
+check('Unknown providers are rejected', unknownError !== null);
+
+console.log('\n✅ Embedding provider test completed!');
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Test File Extractors
+ *
+ * Checks how files are matched to the shared per-format extractors used by uploads, bulk runs
+ * and documents linked from crawled pages, and what text the text-based formats produce. No
+ * external dependencies.
+ */
+
+import { findExtractor, processSubtitleContent, SUPPORTED_EXTENSIONS } from '../backend/src/services/fileExtractors.js';
+import websiteCrawler from '../backend/src/services/websiteCrawler.js';
+import { check } from './helpers.js';
+
+async function extract(filename, content, options) {
+    const extractor = findExtractor(filename);
+    return (await extractor.extract(Buffer.from(content), options)).text;
+}
+
+console.log('🧪 Testing file extractors...\n');
+
+console.log('1️⃣ Matching files to extractors');
+check('every upload format is supported', ['.pdf', '.docx', '.txt', '.md', '.csv', '.html', '.vtt', '.srt'].every(extension => SUPPORTED_EXTENSIONS.includes(extension)));
+check('PDF by extension', findExtractor('/data/Lecture 1.pdf')?.name === 'pdf-parse');
+check('extension matching ignores case', findExtractor('NOTES.MD')?.fileType === 'md');
+check('markdown and text share the plain-text extractor', findExtractor('a.md').name === findExtractor('a.txt').name);
+check('extension wins over a generic MIME type', findExtractor('talk.srt', 'text/plain')?.name === 'subtitle-srt');
+check('MIME type used without a known extension', findExtractor('upload', 'application/pdf')?.fileType === 'pdf');
+check('unknown formats have no extractor', findExtractor('archive.zip', 'application/zip') === null);
+check('subtitle progress message mentions timestamps', findExtractor('a.vtt').describe({ removeTimestamps: true }).includes('removing timestamps'));
+
+console.log('\n2️⃣ Extracting text');
+const vtt = 'WEBVTT\n\n1\n00:00:01.000 --> 00:00:04.000\nWelcome to the lecture.\n';
+check('VTT keeps timings by default', (await extract('a.vtt', vtt)).includes('-->'));
+check('VTT timings removed on request', await extract('a.vtt', vtt, { removeTimestamps: true }) === 'Welcome to the lecture.');
+check('SRT timings removed on request', processSubtitleContent('1\n00:00:01,000 --> 00:00:02,000\nHello\n', 'srt', true) === 'Hello');
+check('CSV rows become " | " separated lines', (await extract('a.csv', 'name,role\n"Alice",doctor')) === 'name | role\nAlice | doctor');
+
+const html = await extract('page.html', '<html><head><script>var x = 1;</script></head><body><nav>Menu</nav><main><h1>Heart</h1><p>Four chambers.</p></main></body></html>');
+check('HTML keeps the main content', html.includes('Four chambers.'));
+check('HTML drops scripts and navigation', !html.includes('var x') && !html.includes('Menu'));
+
+console.log('\n3️⃣ Linked documents in crawls');
+const crawled = (url, contentType) => websiteCrawler.findDocumentExtractor(url, contentType)?.fileType ?? null;
+check('PDF content type is a document', crawled('https://example.org/download?id=3', 'application/pdf') === 'pdf');
+check('generic content types fall back to the extension', crawled('https://example.org/g/Guideline.PDF', 'application/octet-stream') === 'pdf' && crawled('https://example.org/a.docx', '') === 'docx');
+check('text/plain is a TXT document', crawled('https://example.org/notes', 'text/plain') === 'txt');
+check('other formats are not crawled', crawled('https://example.org/a.zip', 'application/zip') === null && crawled('https://example.org/a.csv', 'text/csv') === null);
+
+console.log('\n✨ File extractor tests completed');
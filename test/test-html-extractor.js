@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Test HTML Extraction
+ *
+ * Checks main-content detection, the Markdown-like structure kept for headings, lists and
+ * tables, and the heading breadcrumbs given to chunks. No external dependencies.
+ */
+
+import { extractHtmlContent, headingMetadataForChunks } from '../backend/src/services/htmlExtractor.js';
+import { check } from './helpers.js';
+
+const PAGE = `<html><head><title>Asthma guideline</title></head><body>
+<header><a href="/">Home</a></header>
+<nav><a href="/menu">Menu</a></nav>
+<div id="layout">
+  <div class="sidebar"><a href="/related">Related guideline on allergic rhinitis</a></div>
+  <div class="content">
+    <h1>Asthma in adults</h1>
+    <p>Asthma is a chronic inflammatory disease of the airways, with variable symptoms, airflow limitation, and exacerbations.</p>
+    <h2>Dosing</h2>
+    <p>Inhaled corticosteroids are the mainstay of treatment, adjusted to symptoms, lung function, and risk.</p>
+    <table>
+      <caption>Daily ICS doses</caption>
+      <tr><th>Drug</th><th>Low</th><th>High</th></tr>
+      <tr><td rowspan="2">Budesonide</td><td>200 mcg</td><td>800 mcg</td></tr>
+      <tr><td>100 mcg (child)</td><td>400 mcg (child)</td></tr>
+    </table>
+    <h3>Children</h3>
+    <ul><li>Use a spacer<ul><li>with a mask under 4 years</li></ul></li><li>Check inhaler technique</li></ul>
+    <h2>Monitoring</h2>
+    <ol><li>Peak flow</li><li>Symptom diary</li></ol>
+  </div>
+</div>
+<footer>Copyright</footer>
+</body></html>`;
+
+console.log('🧪 Testing HTML extraction...\n');
+
+const page = extractHtmlContent(PAGE);
+
+console.log('1️⃣ Main content');
+check('title comes from <title>', page.title === 'Asthma guideline');
+check('main content found without <main> or <article>', page.text.startsWith('# Asthma in adults'));
+check('sidebar, navigation and footer are left out', !/Related guideline|Menu|Copyright/.test(page.text));
+check('links outside the navigation stay in pageHtml', page.pageHtml.includes('/related') && !page.pageHtml.includes('/menu'));
+check('<main> wins over longer boilerplate', extractHtmlContent(`<body><div>${'<p>Footer boilerplate, repeated, many times, everywhere.</p>'.repeat(2)}</div><main><p>The actual guideline text, short but marked as main content.</p></main></body>`).text.includes('actual guideline'));
+
+console.log('\n2️⃣ Structure');
+check('headings become "#" lines', page.text.includes('\n## Dosing\n') && page.text.includes('\n### Children\n'));
+check('tables stay Markdown tables', page.text.includes('| Drug | Low | High |\n| --- | --- | --- |\n| Budesonide | 200 mcg | 800 mcg |'));
+check('rowspans repeat in the rows below', page.text.includes('| Budesonide | 100 mcg (child) | 400 mcg (child) |'));
+check('table captions are kept', page.text.includes('Daily ICS doses'));
+check('nested lists are indented', page.text.includes('- Use a spacer\n  - with a mask under 4 years'));
+check('ordered lists are numbered', page.text.includes('1. Peak flow\n2. Symptom diary'));
+check('single-column tables are treated as layout', !extractHtmlContent('<body><table><tr><td><p>Layout cell text</p></td></tr></table></body>').text.includes('|'));
+
+console.log('\n3️⃣ Breadcrumbs');
+const chunkAt = (marker) => page.text.slice(page.text.indexOf(marker), page.text.indexOf(marker) + 30);
+const [dosing, children, monitoring] = headingMetadataForChunks(page, [chunkAt('Inhaled'), chunkAt('- Use a spacer'), chunkAt('1. Peak flow')]);
+check('section is the nearest heading', dosing.section === 'Dosing' && children.section === 'Children');
+check('breadcrumbs follow the heading levels', children.breadcrumbs.join(' > ') === 'Asthma in adults > Dosing > Children');
+check('a new h2 closes the previous h3', monitoring.breadcrumbs.join(' > ') === 'Asthma in adults > Monitoring');
+check('text before any heading has no section', headingMetadataForChunks({ text: 'intro', headings: [] }, ['intro'])[0].section === null);
+
+console.log('\n✨ HTML extraction tests completed');
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+
+/**
+ * Test Hybrid Retrieval Fusion
+ *
+ * Checks the reciprocal rank fusion used to merge dense (Qdrant) and lexical (BM25)
+ * results. No external services needed.
+ */
+
+import { reciprocalRankFusion } from '../backend/src/services/rankFusion.js';
+import { check } from './helpers.js';
+
+console.log('🧪 Testing hybrid rank fusion...\n');
+
+const dense = [{ key: 'asthma' }, { key: 'abpa' }, { key: 'copd' }];
+const lexical = [{ key: 'fev1' }, { key: 'abpa' }];
+
+// 1. A chunk found by both retrievers beats chunks found by only one
+const balanced = reciprocalRankFusion([
+    { name: 'dense', weight: 0.5, items: dense },
+    { name: 'lexical', weight: 0.5, items: lexical }
+]);
+console.log('Balanced fusion:', balanced.map(entry => `${entry.key} (${entry.fusionScore.toFixed(4)})`).join(', '));
+check('Chunk present in both lists ranks first', balanced[0].key === 'abpa');
+check('Ranks from each list are recorded', balanced[0].ranks.dense === 2 && balanced[0].ranks.lexical === 2);
+
+// 2. Weight 0 for the lexical list reproduces the dense order
+const denseOnly = reciprocalRankFusion([
+    { name: 'dense', weight: 1, items: dense },
+    { name: 'lexical', weight: 0, items: lexical }
+]);
+check('Lexical weight 0 keeps dense order', denseOnly.map(entry => entry.key).join() === 'asthma,abpa,copd');
+
+// 3. A heavy lexical weight lifts a keyword-only match above the best dense-only match
+const keywordHeavy = reciprocalRankFusion([
+    { name: 'dense', weight: 0.1, items: dense },
+    { name: 'lexical', weight: 0.9, items: lexical }
+]);
+const keyOrder = keywordHeavy.map(entry => entry.key);
+check('Lexical weight 0.9 ranks the keyword hit above the top dense hit', keyOrder.indexOf('fev1') < keyOrder.indexOf('asthma'));
+
+console.log('\n✅ Hybrid fusion test completed!');
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Test Idempotent Re-ingestion
+ *
+ * Stores the same chunks twice through storeChunks with the offline hashing embedder and
+ * checks that the second pass reuses the point ids instead of adding duplicates. Runs against
+ * an in-memory Qdrant stand-in and a throwaway DATA_DIR, so no external services are needed.
+ */
+
+import { check, useTempDataDir, useFakeQdrant } from './helpers.js';
+
+const cleanup = useTempDataDir('ingest-test-');
+process.env.QDRANT_URL = 'http://127.0.0.1:9';
+process.env.QDRANT_COLLECTION = 'documents';
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.CHAT_PROVIDER = 'fake';
+process.env.LOG_LEVEL = 'error';
+
+const { default: ragService } = await import('../backend/src/services/ragService.js');
+const { default: documentCatalog } = await import('../backend/src/services/documentCatalog.js');
+
+console.log('🧪 Testing idempotent re-ingestion...\n');
+
+const client = await useFakeQdrant(ragService);
+const collection = ragService.collectionName;
+
+const texts = [
+    'Inhaled corticosteroids are the mainstay of asthma control.',
+    'Short-acting beta agonists relieve acute symptoms.',
+    'Spirometry confirms airflow obstruction.'
+];
+const chunksFor = (source, contents = texts) => contents.map(text => ({ pageContent: text, metadata: { source } }));
+const storedIds = async () => (await client.scroll(collection, { limit: 100 })).points.map(point => point.id).sort();
+
+// 1. First ingest adds every chunk
+const first = await ragService.storeChunks(chunksFor('/app/uploads/asthma.txt'));
+const idsAfterFirst = await storedIds();
+check('First ingest adds every chunk', first.added === 3 && idsAfterFirst.length === 3);
+
+// 2. Identical content again: same ids, nothing written or removed
+const second = await ragService.storeChunks(chunksFor('/app/uploads/asthma.txt'));
+const idsAfterSecond = await storedIds();
+check('Re-ingest reports every chunk unchanged', second.unchanged === 3 && second.added === 0 && second.updated === 0 && second.removed === 0);
+check('Re-ingest keeps the same point ids', idsAfterSecond.join() === idsAfterFirst.join());
+check('No duplicate points were stored', (await client.count(collection)).count === 3);
+check('Catalog still counts three chunks', documentCatalog.get(ragService.localIndexKey, '/app/uploads/asthma.txt').chunk_count === 3);
+
+// 3. The same text under another source is a separate set of points
+await ragService.storeChunks(chunksFor('https://example.com/asthma'));
+check('Another source gets its own ids', (await client.count(collection)).count === 6);
+
+// 4. Editing one chunk replaces only that point
+const edited = await ragService.storeChunks(chunksFor('/app/uploads/asthma.txt', [texts[0], 'Short-acting beta agonists relieve acute bronchospasm.', texts[2]]));
+check('Only the edited chunk is rewritten', edited.updated === 1 && edited.unchanged === 2 && edited.added === 0);
+check('The old version of the chunk is gone', (await client.count(collection, {
+    filter: { must: [{ key: 'metadata.source', match: { value: '/app/uploads/asthma.txt' } }] }
+})).count === 3);
+
+cleanup();
+
+console.log('\n✅ Idempotent re-ingestion test completed!');
+process.exit();
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * Test Job Queue
+ *
+ * Runs jobs through the SQLite-backed queue with stand-in handlers: results, failures,
+ * progress recording, cancellation of queued and running jobs (including handlers that ignore
+ * the signal), the slot kept free for interactive jobs, and the requeue of jobs interrupted
+ * by a restart. Uses a temporary DATA_DIR; no external dependencies.
+ */
+
+import fs from 'node:fs';
+import { check, useTempDataDir } from './helpers.js';
+
+const cleanup = useTempDataDir('notebooklm-jobs-');
+process.env.JOB_CONCURRENCY = '1';
+
+const { default: jobQueue } = await import('../backend/src/services/jobQueue.js');
+const { emitProgress } = await import('../backend/src/services/progress.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+console.log('🧪 Testing job queue...\n');
+
+jobQueue.register('text', async (job) => {
+    emitProgress(job.opId, 'Chunking text', { step: 1 });
+    return { chunksAdded: job.params.text.length };
+});
+jobQueue.register('file', async () => {
+    throw new Error('Unsupported file type');
+});
+jobQueue.register('crawl', async (job, { signal }) => {
+    while (true) {
+        await sleep(10);
+        signal.throwIfAborted();
+    }
+});
+// Ignores its signal and finishes normally
+jobQueue.register('import', async () => {
+    await sleep(50);
+    return { imported: 3 };
+});
+// Runs until released
+const releases = [];
+jobQueue.register('bulk', () => new Promise(resolve => releases.push(resolve)));
+jobQueue.start();
+
+// 1. Completed and failed jobs keep their result, progress and error
+const textJob = await jobQueue.waitFor(jobQueue.enqueue('text', { text: 'hello' }, { opId: 'op-1' }).id);
+check('Text job completed with its result', textJob.status === 'completed' && textJob.result.chunksAdded === 5);
+check('Progress events are recorded on the job', textJob.progress?.message === 'Chunking text');
+
+const fileJob = await jobQueue.waitFor(jobQueue.enqueue('file', { files: [] }).id);
+check('Failing job records the error', fileJob.status === 'failed' && fileJob.error === 'Unsupported file type');
+
+// 2. Cancellation
+const crawlJob = jobQueue.enqueue('crawl', { url: 'https://example.com' });
+const queuedJob = jobQueue.enqueue('text', { text: 'never runs' });
+check('Queued job is cancelled immediately', jobQueue.cancel(queuedJob.id).status === 'cancelled');
+await sleep(30);
+jobQueue.cancel(crawlJob.id);
+check('Running job stops when cancelled', (await jobQueue.waitFor(crawlJob.id)).status === 'cancelled');
+
+const stubbornJob = jobQueue.enqueue('import', {});
+await sleep(10);
+jobQueue.cancel(stubbornJob.id);
+const stubborn = await jobQueue.waitFor(stubbornJob.id);
+check('Job that ignores the signal is still recorded as cancelled', stubborn.status === 'cancelled');
+check('Its result is kept', stubborn.result?.imported === 3);
+
+// 3. Uploads are kept on disk until the job finishes
+const [upload] = jobQueue.saveUploads([{ originalname: 'notes.txt', mimetype: 'text/plain', buffer: Buffer.from('notes') }]);
+check('Uploaded file is saved under DATA_DIR', upload.path.startsWith(process.env.DATA_DIR) && jobQueue.loadUploads([upload])[0].buffer.toString() === 'notes');
+await jobQueue.waitFor(jobQueue.enqueue('file', { files: [upload] }).id);
+check('Upload is removed once its job has finished', !fs.existsSync(upload.path));
+
+// 4. Long-running types leave a slot free: a text job is not stuck behind bulk runs
+jobQueue.concurrency = 2;
+const firstBulk = jobQueue.enqueue('bulk', {});
+const secondBulk = jobQueue.enqueue('bulk', {});
+const textBehindBulk = jobQueue.enqueue('text', { text: 'urgent' });
+check('Only one bulk run starts', jobQueue.get(firstBulk.id).status === 'running' && jobQueue.get(secondBulk.id).status === 'queued');
+check('Text job runs next to the bulk run', (await jobQueue.waitFor(textBehindBulk.id)).status === 'completed');
+check('Second bulk run is still queued', jobQueue.get(secondBulk.id).status === 'queued');
+releases.shift()();
+await sleep(10);
+check('Second bulk run starts when the first finishes', jobQueue.get(secondBulk.id).status === 'running');
+releases.shift()();
+await jobQueue.waitFor(secondBulk.id);
+jobQueue.concurrency = 1;
+
+// 5. A job left running by a crash is queued again on the next start
+jobQueue.db.prepare(`UPDATE jobs SET status = 'running', attempts = 1 WHERE id = ?`).run(textJob.id);
+jobQueue.started = false;
+jobQueue.start();
+const rerun = await jobQueue.waitFor(textJob.id);
+check('Interrupted job is picked up again', rerun.status === 'completed' && rerun.attempts === 2);
+
+check('Jobs are listed newest first', jobQueue.list({ limit: 1 })[0].createdAt >= textJob.createdAt);
+check('Jobs can be filtered by status', jobQueue.list({ status: 'cancelled' }).length === 3);
+
+jobQueue.close();
+cleanup();
+console.log('\n✅ Job queue test completed!');
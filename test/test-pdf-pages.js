@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+/**
+ * Test Page-Aware PDF Extraction
+ *
+ * Usage: node test/test-pdf-pages.js <file.pdf>
+ *
+ * Prints the detected pages and headings, then the page_start / page_end / section
+ * that each 500-character chunk would be stored with.
+ */
+
+import fs from 'node:fs';
+import { extractPdf, pageMetadataForChunks } from '../backend/src/services/pdfExtractor.js';
+
+const pdfPath = process.argv[2];
+if (!pdfPath) {
+    console.error('Usage: node test/test-pdf-pages.js <file.pdf>');
+    process.exit(1);
+}
+
+console.log(`🧪 Testing page-aware extraction for ${pdfPath}...\n`);
+
+const layout = await extractPdf(fs.readFileSync(pdfPath));
+console.log(`1️⃣ ${layout.numpages} pages, ${layout.text.length} characters`);
+console.log(`2️⃣ ${layout.headings.length} headings detected:`);
+layout.headings.slice(0, 20).forEach(heading => console.log(`   p. ${heading.page}: ${heading.text}`));
+
+// Same fixed-size windows as BulkPdfService.splitIntoChunks
+const chunks = [];
+for (let start = 0; start < layout.text.length; start += 300) {
+    const chunk = layout.text.slice(start, start + 500).trim();
+    if (chunk) chunks.push(chunk);
+}
+
+const metadata = pageMetadataForChunks(layout, chunks);
+console.log(`\n3️⃣ ${chunks.length} chunks:`);
+metadata.slice(0, 10).forEach((entry, index) => {
+    const pages = entry.page_start === entry.page_end ? `p. ${entry.page_start}` : `pp. ${entry.page_start}-${entry.page_end}`;
+    console.log(`   #${index} ${pages} ${entry.section ? `(${entry.section})` : ''}`);
+});
+
+const ordered = metadata.every(entry => entry.page_start <= entry.page_end);
+console.log(`\n${ordered ? '✅' : '❌'} Every chunk has page_start <= page_end`);
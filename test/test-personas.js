@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+
+/**
+ * Test Persona Registry
+ *
+ * Checks that every registered persona is complete and that lookups behave.
+ * No external services needed.
+ */
+
+import { PERSONAS, getPersona, listPersonas, DEFAULT_PERSONA_ID } from '../backend/src/config/personas.js';
+import { check } from './helpers.js';
+
+console.log('🧪 Testing persona registry...\n');
+
+// 1. Every persona has the fields the chat pipeline relies on
+for (const persona of Object.values(PERSONAS)) {
+    const complete = persona.systemPrompt && persona.queryPrompt.includes('{context}') && persona.queryPrompt.includes('{input}')
+        && typeof persona.temperature === 'number' && persona.errorMessages.noContext && persona.errorMessages.generic;
+    check(`${persona.id} (${persona.name}) is complete`, Boolean(complete));
+}
+
+// 2. Lookups
+check(`Empty id resolves to the default persona (${DEFAULT_PERSONA_ID})`, getPersona(undefined).id === DEFAULT_PERSONA_ID);
+check('Unknown id resolves to null', getPersona('does-not-exist') === null);
+
+// 3. The public list never exposes prompts
+const listed = listPersonas();
+check('listPersonas returns every persona', listed.length === Object.keys(PERSONAS).length);
+check('listPersonas hides prompts', listed.every(persona => !('systemPrompt' in persona) && !('queryPrompt' in persona)));
+
+console.log('\n✅ Persona registry test completed!');
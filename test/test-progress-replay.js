@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Test Progress Replay
+ *
+ * Subscribes to progress streams with stand-in request/response objects to check event ids,
+ * replay for late subscribers, Last-Event-ID resumption and the bounded buffer.
+ * No external dependencies.
+ */
+
+import { check } from './helpers.js';
+
+process.env.PROGRESS_BUFFER_SIZE = '3';
+
+const { sseHandler, emitProgress, emitDone } = await import('../backend/src/services/progress.js');
+
+// Parse what a subscriber received into [{ id, event, data }]
+function subscribe(opId, headers = {}) {
+    const chunks = [];
+    let onClose = () => {};
+    const req = { params: { opId }, headers, query: {}, on: (event, handler) => { if (event === 'close') onClose = handler; } };
+    const res = { setHeader() {}, write: chunk => chunks.push(chunk) };
+    sseHandler(req, res);
+    return {
+        close: () => onClose(),
+        events: () => chunks.join('').split('\n\n').filter(block => block.startsWith('id') || block.startsWith('event')).map(block => {
+            const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+            return { id: fields.id ? Number(fields.id) : null, event: fields.event, data: JSON.parse(fields.data) };
+        })
+    };
+}
+
+console.log('🧪 Testing progress replay...\n');
+
+emitProgress('op-replay', 'Chunking text');
+emitProgress('op-replay', 'Storing 3 chunks');
+
+// 1. A subscriber that connects after the work started gets the earlier events
+const late = subscribe('op-replay');
+const lateEvents = late.events();
+check('Late subscriber receives an open event first', lateEvents[0].event === 'open' && lateEvents[0].id === null);
+check('Earlier events are replayed with their ids', lateEvents.slice(1).map(e => e.id).join(',') === '1,2');
+
+emitDone('op-replay', { chunksAdded: 3 });
+check('Live events keep increasing ids', late.events().at(-1).id === 3 && late.events().at(-1).event === 'done');
+late.close();
+
+// 2. A reconnecting client only gets what it has not seen
+const resumed = subscribe('op-replay', { 'last-event-id': '2' }).events();
+check('Last-Event-ID resumes after the given event', resumed.length === 2 && resumed[1].event === 'done');
+
+// 3. The buffer is bounded and reports what fell out of it
+emitProgress('op-replay', 'extra 1');
+emitProgress('op-replay', 'extra 2');
+const fresh = subscribe('op-replay').events();
+check('Only the newest events are kept', fresh.slice(1).map(e => e.id).join(',') === '3,4,5');
+check('Dropped events are reported in the open event', fresh[0].data.dropped === 2);
+
+// 4. Unknown operations just open
+check('Unknown opId opens with nothing to replay', subscribe('op-unknown').events().length === 1);
+
+console.log('\n✅ Progress replay test completed!');
+process.exit();
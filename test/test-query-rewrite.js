@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+/**
+ * Test Question Rewriting
+ *
+ * Checks the condense-question step that turns follow-ups into standalone retrieval queries,
+ * using the scripted fake chat model, and that queryWithHistory retrieves with the rewrite.
+ * Runs against an in-memory Qdrant stand-in and a throwaway DATA_DIR, so no external services
+ * are needed.
+ */
+
+import { check, useTempDataDir, useFakeQdrant } from './helpers.js';
+
+const cleanup = useTempDataDir('rewrite-test-');
+process.env.QDRANT_URL = 'http://127.0.0.1:9';
+process.env.QDRANT_COLLECTION = 'documents';
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.CHAT_PROVIDER = 'fake';
+process.env.CHAT_FAKE_RESPONSES = JSON.stringify([
+    '"What are the side effects of salbutamol?"',
+    '   ',
+    'What are the side effects of salbutamol?',
+    'Tremor and palpitations are common [1].'
+]);
+process.env.LOG_LEVEL = 'error';
+delete process.env.GOOGLE_API_KEY;
+delete process.env.CHAT_API_KEY;
+
+const { default: ragService } = await import('../backend/src/services/ragService.js');
+
+console.log('🧪 Testing question rewriting...\n');
+
+await useFakeQdrant(ragService);
+
+const history = 'User: What is salbutamol used for?\nAssistant: It relieves acute asthma symptoms.';
+const followUp = 'What about its side effects?';
+
+// 1. Nothing to rewrite without history or with rewriting turned off (no model call either)
+check('No history keeps the question', await ragService.condenseQuestion(followUp, '') === followUp);
+check('rewriteQuery=false keeps the question', await ragService.condenseQuestion(followUp, history, false) === followUp);
+
+// 2. The model's rewrite is used, with surrounding quotes stripped
+const rewritten = await ragService.condenseQuestion(followUp, history);
+check('Follow-up is rewritten into a standalone question', rewritten === 'What are the side effects of salbutamol?');
+
+// 3. An empty rewrite or a failing model falls back to the original question
+check('Blank rewrite keeps the question', await ragService.condenseQuestion(followUp, history) === followUp);
+check('Failing chat model keeps the question', await ragService.condenseQuestion(followUp, history, true, { provider: 'gemini' }) === followUp);
+
+// 4. queryWithHistory retrieves with the rewrite and reports it
+await ragService.storeChunks([
+    { pageContent: 'Salbutamol side effects include tremor, palpitations and headache.', metadata: { source: 'salbutamol.txt' } },
+    { pageContent: 'Montelukast is a leukotriene receptor antagonist taken once daily.', metadata: { source: 'montelukast.txt' } }
+]);
+const retrievedWith = [];
+const retrieveDocuments = ragService.retrieveDocuments.bind(ragService);
+ragService.retrieveDocuments = (query, options) => {
+    retrievedWith.push(query);
+    return retrieveDocuments(query, options);
+};
+
+const result = await ragService.queryWithHistory(followUp, [
+    { role: 'user', content: 'What is salbutamol used for?' },
+    { role: 'assistant', content: 'It relieves acute asthma symptoms.' }
+], 1, [], 0.1, true, { lexicalWeight: 1 });
+check('Response reports the standalone query', result.standaloneQuery === 'What are the side effects of salbutamol?');
+check('Retrieval used the standalone query', retrievedWith[0] === 'What are the side effects of salbutamol?');
+check('Answer is grounded in the matching chunk', result.sources[0]?.metadata?.source === 'salbutamol.txt');
+
+cleanup();
+
+console.log('\n✅ Question rewriting test completed!');
+process.exit();
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Test Incremental Recrawls
+ *
+ * Crawls a site served by a local HTTP server twice through processWebUrl: the recrawl sends
+ * conditional requests (ETag / Last-Modified) and counts 304 answers as unchanged, skips pages
+ * whose text hash did not change, replaces the chunks of changed pages and, with deleteMissing,
+ * deletes pages that now answer 404 or 410. Also checks that due crawl schedules queue crawl
+ * jobs. Runs against an in-memory Qdrant stand-in and a throwaway DATA_DIR, so no external
+ * services are needed.
+ */
+
+import http from 'node:http';
+import { check, useTempDataDir, useFakeQdrant } from './helpers.js';
+
+const cleanup = useTempDataDir('recrawl-test-');
+process.env.QDRANT_URL = 'http://127.0.0.1:9';
+process.env.QDRANT_COLLECTION = 'documents';
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.CHAT_PROVIDER = 'fake';
+process.env.LOG_LEVEL = 'error';
+
+const { default: ragService } = await import('../backend/src/services/ragService.js');
+const { default: crawler } = await import('../backend/src/services/websiteCrawler.js');
+const { default: crawlHistory } = await import('../backend/src/services/crawlHistory.js');
+const { default: crawlScheduler } = await import('../backend/src/services/crawlScheduler.js');
+const { default: jobQueue } = await import('../backend/src/services/jobQueue.js');
+const { default: documentCatalog } = await import('../backend/src/services/documentCatalog.js');
+const { default: lexicalIndex } = await import('../backend/src/services/lexicalIndex.js');
+
+const page = (title, text, links = []) =>
+    `<html><head><title>${title}</title></head><body><main><h1>${title}</h1><p>${text}</p>`
+    + links.map(href => `<a href="${href}">${href}</a>`).join(' ')
+    + '</main></body></html>';
+
+const LAST_MODIFIED = 'Mon, 05 Oct 2026 08:00:00 GMT';
+const site = {
+    '/': { body: page('Guidelines', 'Clinical guidelines index.', ['/inhalers', '/spirometry', '/dosing', '/oxygen', '/retired', '/leaflet']) },
+    '/inhalers': { body: page('Inhalers', 'Inhaler technique matters for asthma control.'), etag: '"inhalers-v1"' },
+    '/spirometry': { body: page('Spirometry', 'Spirometry confirms airflow obstruction.'), lastModified: LAST_MODIFIED },
+    '/dosing': { body: page('Dosing', 'Salbutamol is given as two puffs when needed.') },
+    '/oxygen': { body: page('Oxygen', 'Target saturation is 88 to 92 percent in hypercapnia.') },
+    '/retired': { body: page('Retired', 'Theophylline levels need monitoring.') },
+    '/leaflet': { body: page('Leaflet', 'Spacers help children use inhalers.') }
+};
+
+// Serves `site` (null: 410 Gone), honouring If-None-Match / If-Modified-Since; records each
+// request's headers
+const requests = [];
+const server = http.createServer((req, res) => {
+    if (req.url === '/robots.txt') {
+        res.writeHead(404);
+        return res.end();
+    }
+    requests.push({ path: req.url, headers: req.headers });
+    const entry = site[req.url];
+    if (!entry) {
+        res.writeHead(entry === null ? 410 : 404, { 'content-type': 'text/html' });
+        return res.end('Gone');
+    }
+    const validators = {
+        ...(entry.etag ? { etag: entry.etag } : {}),
+        ...(entry.lastModified ? { 'last-modified': entry.lastModified } : {})
+    };
+    if ((entry.etag && req.headers['if-none-match'] === entry.etag)
+        || (entry.lastModified && req.headers['if-modified-since'] === entry.lastModified)) {
+        res.writeHead(304, validators);
+        return res.end();
+    }
+    res.writeHead(200, { 'content-type': 'text/html', ...validators });
+    res.end(entry.body);
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const baseUrl = `http://127.0.0.1:${server.address().port}/`;
+const url = path => new URL(path, baseUrl).href;
+const requestFor = path => requests.find(request => request.path === path);
+const stored = path => Boolean(documentCatalog.get(ragService.localIndexKey, url(path)));
+const found = text => lexicalIndex.search(ragService.localIndexKey, text, 5).length > 0;
+
+console.log('🧪 Testing incremental recrawls...\n');
+
+await useFakeQdrant(ragService);
+crawler.delayMs = 0;
+const options = { useSitemap: false };
+
+// 1. The first crawl stores every page and remembers its validators and text hash
+const first = await ragService.processWebUrl(baseUrl, 'recrawl-1', options);
+check('First crawl stores every page', first.pagesChanged === 7 && first.pagesUnchanged === 0);
+check('First crawl sends no conditional headers', requests.every(request => !request.headers['if-none-match'] && !request.headers['if-modified-since']));
+const history = crawlHistory.forSite(ragService.localIndexKey, baseUrl);
+check('History keeps ETag and Last-Modified', history.get(url('/inhalers')).etag === '"inhalers-v1"' && history.get(url('/spirometry')).lastModified === LAST_MODIFIED);
+check('History keeps a hash of each page\'s text', [...history.values()].every(entry => /^[0-9a-f]{64}$/.test(entry.contentHash)));
+
+// 2. The recrawl: one page edited, one gone (410), one missing (404), the rest as before
+site['/oxygen'].body = page('Oxygen', 'Aim for saturations of 94 to 98 percent in most adults.');
+site['/retired'] = null;
+delete site['/leaflet'];
+requests.length = 0;
+const pointsBefore = await ragService.getCollectionPointCount();
+const second = await ragService.processWebUrl(baseUrl, 'recrawl-2', { ...options, deleteMissing: true });
+
+check('Recrawl sends If-None-Match with the stored ETag', requestFor('/inhalers')?.headers['if-none-match'] === '"inhalers-v1"');
+check('Recrawl sends If-Modified-Since with the stored Last-Modified', requestFor('/spirometry')?.headers['if-modified-since'] === LAST_MODIFIED);
+check('304 answers count as unchanged', second.crawlReport.unchanged === 2);
+check('Pages with the same text are skipped', second.pagesUnchanged === 4);
+check('Only the edited page is stored again', second.pagesChanged === 1 && second.sources.map(source => source.url).join() === url('/oxygen'));
+check('The edited page\'s old chunks are replaced', !found('hypercapnia') && found('saturations adults'));
+check('deleteMissing deletes pages that answer 404 or 410', second.pagesDeleted === 2 && !stored('/retired') && !stored('/leaflet') && !found('theophylline'));
+check('Deleted pages leave the history', !crawlHistory.forSite(ragService.localIndexKey, baseUrl).has(url('/retired')));
+check('Unchanged pages keep their chunks', stored('/inhalers') && stored('/spirometry') && stored('/dosing'));
+check('The collection holds no duplicate chunks', await ragService.getCollectionPointCount() === pointsBefore - 2);
+
+// 3. Without deleteMissing a missing page stays; force re-fetches and stores every page again
+site['/'].body = page('Guidelines', 'Clinical guidelines index.', ['/inhalers', '/spirometry', '/dosing', '/oxygen']);
+delete site['/dosing'];
+const kept = await ragService.processWebUrl(baseUrl, 'recrawl-3', options);
+check('Without deleteMissing a missing page is kept', kept.pagesDeleted === 0 && stored('/dosing'));
+site['/dosing'] = { body: page('Dosing', 'Salbutamol is given as two puffs when needed.') };
+requests.length = 0;
+const forced = await ragService.processWebUrl(baseUrl, 'recrawl-4', { ...options, force: true });
+check('force sends no conditional headers', requests.every(request => !request.headers['if-none-match'] && !request.headers['if-modified-since']));
+check('force stores every page again', forced.pagesChanged === 5 && forced.pagesUnchanged === 0);
+
+// 4. Due schedules queue crawl jobs, one at a time per schedule (the queue is not started, so
+// the jobs stay queued)
+jobQueue.register('crawl', async () => ({}));
+const schedule = crawlHistory.createSchedule({ url: baseUrl, options: { deleteMissing: true }, intervalMinutes: 60 });
+const [job] = crawlScheduler.runDue();
+check('A due schedule queues a crawl job', job?.type === 'crawl' && job.status === 'queued' && job.params.url === baseUrl && job.params.options.deleteMissing === true);
+check('The next run moves one interval ahead', Date.parse(crawlHistory.getSchedule(schedule.id).nextRunAt) - Date.now() > 59 * 60 * 1000);
+const later = new Date(Date.now() + 2 * 60 * 60 * 1000);
+check('No second job while the first is queued', crawlScheduler.runDue(later).length === 0);
+jobQueue.cancel(job.id);
+const [next] = crawlScheduler.runDue(later);
+check('The schedule queues again once its job has finished', next?.params.scheduleId === schedule.id && crawlHistory.getSchedule(schedule.id).lastJobId === next.id);
+
+server.closeAllConnections();
+server.close();
+jobQueue.close();
+cleanup();
+
+console.log('\n✅ Incremental recrawl test completed!');
+process.exit();
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Test Re-embedding Offline
+ *
+ * Re-embeds a plain collection at a new vector size against the in-memory Qdrant stand-in,
+ * which like Qdrant refuses an alias named like an existing collection: the first migration
+ * turns the collection name into an alias, a second one moves it, and a cancelled one leaves
+ * everything as it was. Uses a throwaway DATA_DIR; no external services are needed.
+ */
+
+import { check, useTempDataDir, useFakeQdrant } from './helpers.js';
+
+const cleanup = useTempDataDir('reembed-test-');
+process.env.QDRANT_URL = 'http://127.0.0.1:9';
+process.env.QDRANT_COLLECTION = 'documents';
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.EMBEDDING_DIMENSIONS = '64';
+process.env.CHAT_PROVIDER = 'fake';
+process.env.LOG_LEVEL = 'error';
+
+const { default: ragService } = await import('../backend/src/services/ragService.js');
+const { HashingEmbeddings } = await import('../backend/src/services/embeddingProviders.js');
+const { resolveCollection } = await import('../backend/src/services/qdrantCollections.js');
+
+console.log('🧪 Testing offline re-embedding...\n');
+
+const client = await useFakeQdrant(ragService);
+await ragService.storeChunks([
+    { pageContent: 'Inhaled corticosteroids are the mainstay of asthma control.', metadata: { source: 'asthma.txt' } },
+    { pageContent: 'Spirometry confirms airflow obstruction.', metadata: { source: 'asthma.txt' } },
+    { pageContent: 'Pulmonary rehabilitation improves exercise capacity.', metadata: { source: 'copd.txt' } }
+]);
+const collectionNames = async () => (await client.getCollections()).collections.map(c => c.name);
+
+// 1. The stand-in refuses an alias that shares its name with a collection, as Qdrant does
+let refused = false;
+try {
+    await client.updateCollectionAliases({ actions: [{ create_alias: { collection_name: 'documents', alias_name: 'documents' } }] });
+} catch {
+    refused = true;
+}
+check('An alias cannot be named like an existing collection', refused);
+
+// 2. First migration of a plain collection: the name becomes an alias of the new collection
+check('Collection starts out plain', !(await resolveCollection(client, 'documents')).isAlias);
+ragService.embeddings = new HashingEmbeddings({ dimensions: 96 });
+ragService.vectorSize = null;
+
+const first = await ragService.reembedCollection('reembed-1');
+const resolved = await resolveCollection(client, 'documents');
+check('All chunks were re-embedded', first.migrated === 3);
+check('Collection name is now an alias of the new collection', resolved.isAlias && resolved.physicalName === first.physicalCollection);
+check('The plain collection was deleted', !(await collectionNames()).includes('documents'));
+check('New collection uses 96-dimensional vectors', (await client.getCollection('documents')).config.params.vectors.size === 96);
+const results = await ragService.retrieveDocuments('asthma corticosteroids', { k: 2, lexicalWeight: 0 });
+check('Searches through the alias return chunks', results.length > 0);
+
+// 3. Later migrations move the alias and drop the previous collection
+const second = await ragService.reembedCollection('reembed-2');
+check('A second migration moves the alias', (await resolveCollection(client, 'documents')).physicalName === second.physicalCollection);
+check('The previous collection was deleted', !(await collectionNames()).includes(first.physicalCollection));
+
+// 4. A cancelled migration keeps the alias and drops its partial copy
+const controller = new AbortController();
+controller.abort();
+let cancelled = false;
+try {
+    await ragService.reembedCollection('reembed-3', { signal: controller.signal });
+} catch {
+    cancelled = true;
+}
+check('Aborting the signal stops the migration', cancelled);
+check('The alias still points to the current collection', (await resolveCollection(client, 'documents')).physicalName === second.physicalCollection);
+check('The partial copy was dropped', (await collectionNames()).join() === second.physicalCollection);
+
+cleanup();
+
+console.log('\n✅ Offline re-embedding test completed!');
+process.exit();
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Test Reranking Stage
+ *
+ * Checks the local reranker and the LLM reranker's prompt/grade handling.
+ * No external services needed: the chat model is replaced by a canned reply.
+ */
+
+import { LocalReranker, LLMReranker } from '../backend/src/services/reranker.js';
+import { check } from './helpers.js';
+
+const documents = [
+    { pageContent: 'Asthma is a chronic inflammatory disease of the airways.' },
+    { pageContent: 'ABPA is treated with oral steroids and itraconazole.' },
+    { pageContent: 'Spirometry reports FEV1 and FVC.' }
+];
+
+console.log('🧪 Testing rerankers...\n');
+
+// 1. Local reranker prefers the chunk that covers the question terms
+const local = new LocalReranker();
+const localScores = await local.rerank('How is ABPA treated?', documents);
+console.log('Local scores:', localScores.map(score => score.toFixed(2)).join(', '));
+check('Local reranker scores the ABPA chunk highest', localScores[1] === Math.max(...localScores));
+check('Local scores are between 0 and 1', localScores.every(score => score >= 0 && score <= 1));
+
+// 2. LLM reranker turns 0-10 grades into 0-1 scores, batch by batch
+const prompts = [];
+const fakeModel = {
+    invoke: async (prompt) => {
+        prompts.push(prompt);
+        return { content: prompts.length === 1 ? 'Here you go: [2, 10]' : '[5]' };
+    }
+};
+const llm = new LLMReranker(fakeModel, { batchSize: 2 });
+const llmScores = await llm.rerank('How is ABPA treated?', documents);
+console.log('LLM scores:', llmScores.join(', '));
+check('LLM reranker sends one prompt per batch', prompts.length === 2);
+check('Grades are scaled to 0-1', llmScores.join() === '0.2,1,0.5');
+
+// 3. A reply with the wrong number of grades is rejected
+const badModel = { invoke: async () => ({ content: '[1]' }) };
+try {
+    await new LLMReranker(badModel).rerank('question', documents);
+    check('Mismatched grade count throws', false);
+} catch (error) {
+    check(`Mismatched grade count throws (${error.message})`, true);
+}
+
+console.log('\n✅ Reranker test completed!');
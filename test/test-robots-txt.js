@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Test robots.txt Parsing
+ *
+ * Checks user-agent group selection, Allow/Disallow precedence, wildcards, Crawl-delay and
+ * Sitemap lines, plus the crawl option validation. No external dependencies.
+ */
+
+import { createRobotsPolicy, matchesPath, parseRobotsTxt } from '../backend/src/services/robotsTxt.js';
+import { validateCrawlOptions } from '../backend/src/services/websiteCrawler.js';
+import { check } from './helpers.js';
+
+const ROBOTS = `
+# Comments and blank lines are ignored
+User-agent: *
+Disallow: /private
+Allow: /private/public
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+User-agent: chai-rag
+User-agent: otherbot
+Disallow: /drafts/
+
+Sitemap: https://example.com/sitemap-index.xml
+`;
+
+console.log('🧪 Testing robots.txt parsing...\n');
+
+console.log('1️⃣ Parsing');
+const parsed = parseRobotsTxt(ROBOTS);
+check('two user-agent groups', parsed.groups.length === 2);
+check('consecutive User-agent lines share a group', parsed.groups[1].agents.join(',') === 'chai-rag,otherbot');
+check('sitemap lines collected', parsed.sitemaps[0] === 'https://example.com/sitemap-index.xml');
+
+console.log('\n2️⃣ Group selection');
+const generic = createRobotsPolicy(ROBOTS, 'somebot');
+const named = createRobotsPolicy(ROBOTS, 'Chai-RAG');
+check('unknown agents get the "*" group', !generic.isAllowed('https://example.com/private/x'));
+check('a named group replaces the "*" group', named.isAllowed('https://example.com/private/x') && !named.isAllowed('https://example.com/drafts/a'));
+check('crawl delay comes from the chosen group', generic.crawlDelay === 2 && named.crawlDelay === null);
+
+console.log('\n3️⃣ Rule matching');
+check('longest match wins (Allow inside a disallowed path)', generic.isAllowed('https://example.com/private/public/page'));
+check('"$" anchors the end', !generic.isAllowed('https://example.com/files/a.pdf') && generic.isAllowed('https://example.com/files/a.pdf?download=1'));
+check('unmatched paths are allowed', generic.isAllowed('https://example.com/docs'));
+check('robots.txt itself is always allowed', createRobotsPolicy('User-agent: *\nDisallow: /', 'x').isAllowed('https://example.com/robots.txt'));
+check('empty Disallow allows everything', createRobotsPolicy('User-agent: *\nDisallow:', 'x').isAllowed('https://example.com/a'));
+check('Allow wins a tie', createRobotsPolicy('User-agent: *\nDisallow: /a\nAllow: /a', 'x').isAllowed('https://example.com/a'));
+check('"*" matches any characters', matchesPath('/docs/*/intro', '/docs/v2/intro') && !matchesPath('/docs/*/intro', '/blog/v2/intro'));
+
+console.log('\n4️⃣ Crawl options');
+check('valid options pass', validateCrawlOptions({ maxPages: 20, maxDepth: 2, include: ['/docs/'], includeSubdomains: true }) === null);
+check('maxPages is bounded', validateCrawlOptions({ maxPages: 0 }) !== null);
+check('patterns must be URL paths', validateCrawlOptions({ exclude: ['docs'] }) !== null);
+check('flags must be booleans', validateCrawlOptions({ useSitemap: 'no' }) !== null);
+check('concurrency is bounded', validateCrawlOptions({ concurrency: 64 }) !== null && validateCrawlOptions({ concurrency: 8 }) === null);
+check('recrawl flags must be booleans', validateCrawlOptions({ force: true, deleteMissing: false }) === null && validateCrawlOptions({ deleteMissing: 'yes' }) !== null);
+
+console.log('\n✨ robots.txt tests completed');
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Test Collection Snapshots
+ *
+ * Exports a collection to a JSONL file the way GET /api/collection/export does, imports it into
+ * an empty collection and checks that ids, payloads, vectors and the local indexes come back,
+ * and that a failing catalog rebuild does not hide the error that stopped an import.
+ * Runs against an in-memory Qdrant stand-in and a throwaway DATA_DIR, so no external services
+ * are needed.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { check, useTempDataDir, useFakeQdrant } from './helpers.js';
+
+const cleanup = useTempDataDir('snapshot-test-');
+process.env.QDRANT_URL = 'http://127.0.0.1:9';
+process.env.QDRANT_COLLECTION = 'documents';
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.CHAT_PROVIDER = 'fake';
+process.env.LOG_LEVEL = 'error';
+process.env.BULK_EMBED_BATCH = '2';
+
+const { default: ragService } = await import('../backend/src/services/ragService.js');
+const { default: documentCatalog } = await import('../backend/src/services/documentCatalog.js');
+const { default: lexicalIndex } = await import('../backend/src/services/lexicalIndex.js');
+
+console.log('🧪 Testing collection snapshots...\n');
+
+const snapshotPath = path.join(process.env.DATA_DIR, 'documents.jsonl');
+const exportTo = async (file, options) => {
+    const lines = [];
+    for await (const point of ragService.exportPoints(options)) lines.push(JSON.stringify(point));
+    fs.writeFileSync(file, `${lines.join('\n')}\n`);
+    return lines.length;
+};
+const allPoints = async (client) => (await client.scroll(ragService.collectionName, { limit: 100, with_vector: true })).points
+    .sort((a, b) => String(a.id).localeCompare(String(b.id)));
+
+// 1. Export a populated collection, vectors included
+const original = await useFakeQdrant(ragService);
+await ragService.storeChunks([
+    { pageContent: 'Inhaled corticosteroids are the mainstay of asthma control.', metadata: { source: '/app/uploads/asthma.pdf', page_start: 3 } },
+    { pageContent: 'Spirometry confirms airflow obstruction.', metadata: { source: '/app/uploads/asthma.pdf', page_start: 4 } },
+    { pageContent: 'Pulmonary rehabilitation improves exercise capacity.', metadata: { source: 'https://example.com/copd' } }
+]);
+const before = await allPoints(original);
+check('Export writes one line per point', await exportTo(snapshotPath, { withVectors: true }) === 3);
+
+// 2. Import into an empty collection: everything comes back as it was
+lexicalIndex.clearCollection(ragService.localIndexKey);
+documentCatalog.replaceAll(ragService.localIndexKey, []);
+const restored = await useFakeQdrant(ragService);
+const result = await ragService.importPoints(snapshotPath, 'snapshot-test');
+const after = await allPoints(restored);
+check('All points were imported without re-embedding', result.imported === 3 && result.reembedded === 0 && result.invalid === 0);
+check('Point ids survive the round trip', after.map(point => point.id).join() === before.map(point => point.id).join());
+check('Payloads survive the round trip', JSON.stringify(after.map(point => point.payload)) === JSON.stringify(before.map(point => point.payload)));
+check('Vectors survive the round trip', JSON.stringify(after.map(point => point.vector)) === JSON.stringify(before.map(point => point.vector)));
+check('Document catalog is rebuilt', documentCatalog.stats(ragService.localIndexKey).sources === 2);
+check('Keyword index is refilled', lexicalIndex.search(ragService.localIndexKey, 'spirometry', 5).length === 1);
+
+// 3. A snapshot without vectors is re-embedded, or skipped with reembed=never
+await exportTo(snapshotPath, {});
+await useFakeQdrant(ragService);
+check('Points without vectors are skipped with reembed=never', (await ragService.importPoints(snapshotPath, null, { reembed: 'never' })).skipped === 3);
+const reembedded = await ragService.importPoints(snapshotPath, null);
+check('Points without vectors are re-embedded by default', reembedded.imported === 3 && reembedded.reembedded === 3);
+
+// 4. Bad lines are counted and reported; CRLF line endings are fine
+const [first] = before;
+fs.writeFileSync(snapshotPath, [
+    JSON.stringify({ id: first.id, payload: first.payload, vector: first.vector }),
+    'not json',
+    JSON.stringify({ id: 7, payload: { metadata: {} } }),
+    ''
+].join('\r\n'));
+const mixed = await ragService.importPoints(snapshotPath, null);
+check('Valid lines are imported', mixed.imported === 1);
+check('Invalid lines are counted', mixed.invalid === 2);
+check('Errors name the offending lines', mixed.errors[0].startsWith('line 2:') && mixed.errors[1].startsWith('line 3:'));
+
+// 5. A cancelled import stops before writing
+const controller = new AbortController();
+controller.abort();
+let cancelled = false;
+try {
+    await ragService.importPoints(snapshotPath, null, { signal: controller.signal });
+} catch {
+    cancelled = true;
+}
+check('Aborting the signal stops the import', cancelled);
+
+// 6. A failing catalog rebuild does not hide the error that stopped the import
+await exportTo(snapshotPath, { withVectors: true });
+const target = await useFakeQdrant(ragService);
+const upsert = target.upsert.bind(target);
+let upserts = 0;
+target.upsert = (name, data) => (++upserts > 1 ? Promise.reject(new Error('Qdrant went away')) : upsert(name, data));
+ragService.rebuildDocumentCatalog = () => Promise.reject(new Error('catalog rebuild failed'));
+let importError = null;
+try {
+    await ragService.importPoints(snapshotPath, null);
+} catch (error) {
+    importError = error;
+}
+check('The import error propagates past a failing rebuild', importError?.message === 'Qdrant went away');
+
+cleanup();
+
+console.log('\n✅ Collection snapshot test completed!');
+process.exit();
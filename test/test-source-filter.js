@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Test Source Filters
+ *
+ * Builds the Qdrant payload filters behind includedSources/excludedSources, including
+ * display names resolved through a catalog that has to be rebuilt first. Runs against an
+ * in-memory Qdrant stand-in and a throwaway DATA_DIR, so no external services are needed.
+ */
+
+import { check, useTempDataDir, useFakeQdrant } from './helpers.js';
+
+const cleanup = useTempDataDir('source-filter-test-');
+process.env.QDRANT_URL = 'http://127.0.0.1:9';
+process.env.QDRANT_COLLECTION = 'documents';
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.CHAT_PROVIDER = 'fake';
+process.env.LOG_LEVEL = 'error';
+
+const { default: ragService } = await import('../backend/src/services/ragService.js');
+const { default: documentCatalog } = await import('../backend/src/services/documentCatalog.js');
+
+console.log('🧪 Testing source filters...\n');
+
+const client = await useFakeQdrant(ragService);
+
+// 1. No sources means no filter
+check('No sources gives no filter', await ragService.buildSourceFilter([], []) === undefined);
+check('Missing lists are treated as empty', await ragService.buildSourceFilter(undefined, null) === undefined);
+
+// 2. Points stored before the catalog existed: the display name only resolves once it is rebuilt
+await client.upsert(ragService.collectionName, {
+    points: [
+        { id: 1, vector: [1, 0], payload: { content: 'a', metadata: { source: '/app/uploads/1700000000-guidelines.pdf' } } },
+        { id: 2, vector: [0, 1], payload: { content: 'b', metadata: { source: 'https://example.com/asthma' } } }
+    ]
+});
+check('Catalog starts empty', documentCatalog.stats(ragService.localIndexKey).sources === 0);
+
+const included = await ragService.buildSourceFilter([], ['1700000000-guidelines.pdf']);
+check('Catalog was rebuilt before resolving', documentCatalog.stats(ragService.localIndexKey).sources === 2);
+check('Inclusion uses a must condition', included.must?.[0]?.key === 'metadata.source' && !included.must_not);
+check('Display name expands to the raw source', included.must[0].match.any.includes('/app/uploads/1700000000-guidelines.pdf'));
+
+// 3. Exclusions use must_not, and both lists can be combined
+const excluded = await ragService.buildSourceFilter(['https://example.com/asthma'], []);
+check('Exclusion uses a must_not condition', excluded.must_not?.[0]?.match.any.includes('https://example.com/asthma') && !excluded.must);
+
+const both = await ragService.buildSourceFilter(['https://example.com/asthma'], ['1700000000-guidelines.pdf']);
+check('Both lists produce must and must_not', both.must.length === 1 && both.must_not.length === 1);
+
+// 4. The filter does what it says against the store
+const { points } = await client.scroll(ragService.collectionName, { filter: both, limit: 10 });
+check('Filtered scroll returns only the included source', points.length === 1 && points[0].id === 1);
+
+// 5. Blank and non-string names are ignored
+check('Blank names are ignored', await ragService.buildSourceFilter(['', '  ', 42], []) === undefined);
+
+cleanup();
+
+console.log('\n✅ Source filter test completed!');
+process.exit();
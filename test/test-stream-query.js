@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Test Streaming Answers
+ *
+ * Streams answers through streamQueryWithHistory, which backs /api/chat/stream, using the
+ * scripted fake chat model: sources arrive before the first token, the tokens add up to the
+ * answer, citations come with the result, and aborting the signal (as a client disconnect
+ * does) stops generation with the partial answer. Runs against an in-memory Qdrant stand-in
+ * and a throwaway DATA_DIR, so no external services are needed.
+ */
+
+import { check, useTempDataDir, useFakeQdrant } from './helpers.js';
+
+const cleanup = useTempDataDir('stream-test-');
+process.env.QDRANT_URL = 'http://127.0.0.1:9';
+process.env.QDRANT_COLLECTION = 'documents';
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.CHAT_PROVIDER = 'fake';
+process.env.CHAT_FAKE_RESPONSES = JSON.stringify([
+    'Tremor and palpitations are common [1].',
+    'Salbutamol is a short-acting beta agonist used for acute symptoms; the usual dose is two puffs.'
+]);
+process.env.LOG_LEVEL = 'error';
+
+const { default: ragService } = await import('../backend/src/services/ragService.js');
+
+console.log('🧪 Testing streaming answers...\n');
+
+await useFakeQdrant(ragService);
+await ragService.storeChunks([
+    { pageContent: 'Salbutamol side effects include tremor, palpitations and headache.', metadata: { source: 'salbutamol.txt' } },
+    { pageContent: 'Montelukast is a leukotriene receptor antagonist taken once daily.', metadata: { source: 'montelukast.txt' } }
+]);
+
+// Records the callbacks in order, as the route turns them into SSE events
+const stream = (signal, onEvent = () => {}) => {
+    const events = [];
+    const promise = ragService.streamQueryWithHistory('What are the side effects of salbutamol?', [], {
+        userTopK: 1,
+        userSimilarityThreshold: 0.1,
+        lexicalWeight: 1,
+        signal,
+        onSources: (sources, standaloneQuery) => {
+            events.push({ type: 'sources', sources, standaloneQuery });
+            onEvent(events);
+        },
+        onToken: token => {
+            events.push({ type: 'token', token });
+            onEvent(events);
+        }
+    });
+    return { events, promise };
+};
+const tokensOf = events => events.filter(event => event.type === 'token').map(event => event.token);
+
+// 1. Sources first, then the answer token by token, then citations with the result
+const { events, promise } = stream();
+const result = await promise;
+check('Sources arrive before the first token', events[0].type === 'sources' && events.slice(1).every(event => event.type === 'token'));
+check('Sources hold the matching chunk', events[0].sources[0]?.metadata?.source === 'salbutamol.txt');
+check('The answer is streamed in several tokens', tokensOf(events).length > 1);
+check('Streamed tokens add up to the answer', tokensOf(events).join('') === 'Tremor and palpitations are common [1].');
+check('The result carries the citations', result.citations.length === 1 && result.citations[0].source === 'salbutamol.txt' && result.invalidCitations.length === 0);
+check('A finished stream is not cancelled', result.cancelled === false);
+
+// 2. Aborting the signal stops generation and returns the partial answer
+ragService.getChatModel().sleep = 5;
+const controller = new AbortController();
+const aborted = stream(controller.signal, seen => {
+    if (tokensOf(seen).length === 5) controller.abort();
+});
+const partial = await aborted.promise;
+check('An aborted stream is reported as cancelled', partial.cancelled === true);
+check('No tokens follow the abort', tokensOf(aborted.events).length <= 6);
+check('The partial answer is what was streamed', partial.answer === tokensOf(aborted.events).join('') && partial.answer.length < 20);
+
+cleanup();
+
+console.log('\n✅ Streaming answer test completed!');
+process.exit();
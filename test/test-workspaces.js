@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+
+/**
+ * Test Workspace Registry
+ *
+ * Checks workspace validation, collection naming and conflict detection.
+ * Uses a throwaway DATA_DIR, so no external services are needed.
+ */
+
+import { check, useTempDataDir } from './helpers.js';
+
+const cleanup = useTempDataDir('workspace-test-');
+process.env.QDRANT_COLLECTION = 'documents';
+const { default: store, DEFAULT_WORKSPACE } = await import('../backend/src/services/workspaceStore.js');
+
+console.log('🧪 Testing workspace registry...\n');
+
+// 1. The default workspace always exists and maps to QDRANT_COLLECTION
+check('Default workspace is listed first', store.list()[0].name === DEFAULT_WORKSPACE);
+check('Omitted workspace resolves to the default one', store.get(undefined).collectionName === 'documents');
+
+// 2. Validation
+check('Rejects names with spaces or capitals', store.validate({ name: 'Pulmo Notes' }) !== null);
+check('Rejects overlap >= chunk size', store.validate({ name: 'pulmo', chunkSize: 300, chunkOverlap: 300 }) !== null);
+check('Rejects unknown personas', store.validate({ name: 'pulmo', defaultPersona: 'nobody' }) !== null);
+check('Rejects the fake chat provider', store.validate({ name: 'pulmo', chat: { provider: 'fake' } }) !== null);
+check('Accepts a complete definition', store.validate({ name: 'pulmo', chunkSize: 1000, chunkOverlap: 100, defaultPersona: 'physician' }) === null);
+
+// 3. Creation and conflicts
+const pulmo = store.create({ name: 'pulmo', chunkSize: 1000, chunkOverlap: 100, defaultPersona: 'physician' });
+check('Collection name defaults to <QDRANT_COLLECTION>_<name>', pulmo.collectionName === 'documents_pulmo');
+check('Duplicate names conflict', store.findConflict({ name: 'pulmo' }) !== null);
+check('Reusing another workspace\'s collection conflicts', store.findConflict({ name: 'other', collectionName: 'documents_pulmo' }) !== null);
+check('Reusing the default collection conflicts', store.findConflict({ name: 'other', collectionName: 'documents' }) !== null);
+
+// 4. Removal
+check('remove() deletes the workspace', store.remove('pulmo') && store.get('pulmo') === null);
+
+store.close();
+cleanup();
+
+console.log('\n✅ Workspace registry test completed!');